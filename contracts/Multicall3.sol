@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+/**
+ * @title Multicall3
+ * @notice Batches read calls into a single eth_call
+ * @dev ABI-compatible subset of the canonical Multicall3 (aggregate3 and block
+ * helpers). Public networks already have Multicall3 at
+ * 0xcA11bde05977b3631167028862bE2a173976CA11; this copy is deployed by
+ * scripts/deploy.cjs on local chains, which start empty.
+ */
+contract Multicall3 {
+
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /**
+     * @notice Run every call and return each result
+     * @param calls Target, calldata and whether a revert may be returned instead of bubbling up
+     * @return returnData One result per call, in order
+     */
+    function aggregate3(Call3[] calldata calls) external payable returns (Result[] memory returnData) {
+        uint256 length = calls.length;
+        returnData = new Result[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            Call3 calldata call = calls[i];
+            (bool success, bytes memory data) = call.target.call(call.callData);
+
+            if (!success && !call.allowFailure) {
+                assembly {
+                    revert(add(data, 32), mload(data))
+                }
+            }
+
+            returnData[i] = Result(success, data);
+        }
+    }
+
+    function getBlockNumber() external view returns (uint256 blockNumber) {
+        blockNumber = block.number;
+    }
+
+    function getCurrentBlockTimestamp() external view returns (uint256 timestamp) {
+        timestamp = block.timestamp;
+    }
+}
@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import {Zackathon} from "./zackathon.sol";
+
+/**
+ * @title ZackathonLens
+ * @notice Paged listing views over a Zackathon deployment
+ * @dev Lives outside Zackathon to keep it under the EIP-170 size limit.
+ *      Reads only Zackathon's external views, so it holds no state of its
+ *      own and can be redeployed against an existing Zackathon.
+ */
+contract ZackathonLens {
+
+    /// @dev Listing row returned by getSubmissionsPage (no encrypted handles)
+    struct SubmissionSummary {
+        uint256 submissionId;
+        address participant;
+        uint256 submissionTime;
+        Zackathon.SubmissionStatus status;
+        uint256 judgeCount;
+    }
+
+    /// @notice Largest page returned by the paged listing views
+    uint256 public constant MAX_PAGE_SIZE = 50;
+
+    /// @notice Zackathon contract being read
+    Zackathon public immutable zackathon;
+
+    constructor(Zackathon zackathon_) {
+        zackathon = zackathon_;
+    }
+
+    /**
+     * @dev Clamp [offset, offset + limit) to a collection of `total` items
+     */
+    function _pageBounds(uint256 offset, uint256 limit, uint256 total)
+        private
+        pure
+        returns (uint256 start, uint256 end)
+    {
+        start = offset < total ? offset : total;
+        uint256 size = limit < MAX_PAGE_SIZE ? limit : MAX_PAGE_SIZE;
+        end = total - start < size ? total : start + size;
+    }
+
+    /**
+     * @notice Hackathons in creation order
+     * @param offset Zero-based position (offset 0 is hackathon ID 1)
+     * @param limit Page size, capped at MAX_PAGE_SIZE
+     * @return page Hackathon records
+     * @return total Number of hackathons
+     */
+    function getHackathonsPage(uint256 offset, uint256 limit)
+        external
+        view
+        returns (Zackathon.Hackathon[] memory page, uint256 total)
+    {
+        total = zackathon.getTotalHackathons();
+        (uint256 start, uint256 end) = _pageBounds(offset, limit, total);
+
+        page = new Zackathon.Hackathon[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            Zackathon.Hackathon memory h = page[i - start];
+            (
+                h.id,
+                h.name,
+                h.description,
+                h.prizeDetails,
+                h.submissionDeadline,
+                h.judgingDeadline,
+                h.organizer,
+                h.judges,
+                h.maxParticipants,
+                h.status,
+                h.participantCount,
+                h.submissionCount,
+                h.judgeAccessGranted,
+                h.winnerCount
+            ) = zackathon.getHackathonDetails(i + 1);
+        }
+    }
+
+    /**
+     * @notice Submissions of a hackathon with their judging progress
+     * @return page Submission summaries
+     * @return total Number of submissions
+     */
+    function getSubmissionsPage(uint256 hackathonId, uint256 offset, uint256 limit)
+        external
+        view
+        returns (SubmissionSummary[] memory page, uint256 total)
+    {
+        total = zackathon.getSubmissionCount(hackathonId);
+        (uint256 start, uint256 end) = _pageBounds(offset, limit, total);
+
+        page = new SubmissionSummary[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            SubmissionSummary memory s = page[i - start];
+            (
+                s.submissionId,
+                s.participant,
+                s.submissionTime,
+                s.status,
+                s.judgeCount
+            ) = zackathon.getSubmission(hackathonId, i);
+        }
+    }
+
+    /**
+     * @notice Registered participants of a hackathon in registration order
+     * @return page Participant records
+     * @return total Number of participants
+     */
+    function getParticipantsPage(uint256 hackathonId, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Zackathon.Participant[] memory page, uint256 total)
+    {
+        address[] memory list = zackathon.getParticipantList(hackathonId);
+        total = list.length;
+        (uint256 start, uint256 end) = _pageBounds(offset, limit, total);
+
+        page = new Zackathon.Participant[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            Zackathon.Participant memory p = page[i - start];
+            (
+                p.wallet,
+                p.email,
+                p.discord,
+                p.twitter,
+                p.teamName,
+                p.teamMembers,
+                p.registrationTime,
+                p.hasSubmitted
+            ) = zackathon.getParticipant(hackathonId, list[i]);
+        }
+    }
+}
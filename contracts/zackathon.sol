@@ -30,6 +30,11 @@ contract Zackathon is ZamaEthereumConfig {
         Judged
     }
     
+    enum RankingMode {
+        RevealAll,
+        TopN
+    }
+    
     // ============ Structs ============
     
     struct Hackathon {
@@ -46,6 +51,7 @@ contract Zackathon is ZamaEthereumConfig {
         uint256 participantCount;
         uint256 submissionCount;
         bool judgeAccessGranted;
+        uint256 winnerCount;
     }
     
     struct Participant {
@@ -62,7 +68,8 @@ contract Zackathon is ZamaEthereumConfig {
     struct Submission {
         uint256 submissionId;
         address participant;
-        euint256 encryptedIPFSHash;
+        euint256[] encryptedIPFSHash;
+        euint256 encryptedContentKey;
         uint256 submissionTime;
         SubmissionStatus status;
         uint256 totalScores;
@@ -81,8 +88,26 @@ contract Zackathon is ZamaEthereumConfig {
         bool isDecrypted;
     }
     
+    struct Criterion {
+        string name;
+        uint16 maxScore;
+        uint16 weight;
+    }
+    
     // ============ State Variables ============
     
+    /// @notice Maximum number of 32-byte words an encrypted IPFS CID may span
+    uint256 public constant MAX_CID_CHUNKS = 4;
+    
+    /// @notice Maximum number of criteria in a hackathon's scoring rubric
+    uint256 public constant MAX_CRITERIA = 10;
+    
+    /// @notice Upper bound for a single criterion's max points and weight
+    uint16 public constant MAX_CRITERION_VALUE = 100;
+    
+    /// @notice Largest number of winners a hackathon may award
+    uint256 public constant MAX_WINNERS = 10;
+    
     uint256 public hackathonCounter;
     
     mapping(uint256 => Hackathon) public hackathons;
@@ -90,14 +115,44 @@ contract Zackathon is ZamaEthereumConfig {
     mapping(uint256 => address[]) public participantList;
     mapping(uint256 => Submission[]) public submissions;
     mapping(uint256 => mapping(uint256 => mapping(address => euint16))) public scores;
+    mapping(uint256 => mapping(uint256 => mapping(address => euint16[]))) public criterionScores;
+    mapping(uint256 => mapping(uint256 => mapping(address => ebool))) public scoreClamped;
     mapping(uint256 => mapping(uint256 => mapping(address => bool))) public hasJudgeScored;
     mapping(uint256 => Winner[]) public winners;
+    mapping(uint256 => Criterion[]) public rubrics;
+    mapping(uint256 => RankingMode) public rankingModes;
     mapping(uint256 => mapping(address => bool)) public isJudge;
     mapping(uint256 => mapping(address => bool)) public hasRegistered;
     
     // For public decryption workflow
     mapping(uint256 => mapping(uint256 => euint256)) public publicDecryptableScores;
     mapping(uint256 => mapping(uint256 => DecryptedScore)) public decryptedScores;
+    mapping(uint256 => mapping(uint256 => euint256[])) public publicDecryptableCriterionScores;
+    mapping(uint256 => mapping(uint256 => uint256[])) public decryptedCriterionScores;
+    
+    /// @notice Submissions whose handles judges can already decrypt (grants go in order)
+    mapping(uint256 => uint256) public judgeAccessProgress;
+    
+    /// @notice Submissions whose encrypted totals have been aggregated (batches go in order)
+    mapping(uint256 => uint256) public winnersProgress;
+    
+    /// @notice Submissions whose decrypted scores have been verified (RevealAll mode)
+    mapping(uint256 => uint256) public decryptionProgress;
+    
+    /// @notice Winners whose criterion totals have been revealed (TopN mode, batches go in order)
+    mapping(uint256 => uint256) public criterionRevealProgress;
+    
+    // Encrypted top-N ranking (TopN mode), best first
+    mapping(uint256 => euint256[]) public encryptedRankingIds;
+    mapping(uint256 => euint256[]) public encryptedRankingScores;
+    
+    // Submission ids by final score, best first: every submission in RevealAll
+    // mode, the revealed winners in TopN mode
+    mapping(uint256 => uint256[]) internal rankings;
+    
+    // Running encrypted top-N between calculateWinnersBatch calls (TopN mode)
+    mapping(uint256 => euint64[]) internal rankingKeys;
+    mapping(uint256 => euint32[]) internal rankingSlots;
     
     // ============ Events ============
     
@@ -127,12 +182,30 @@ contract Zackathon is ZamaEthereumConfig {
         uint256 submissionCount
     );
     
+    event JudgeAccessBatchGranted(
+        uint256 indexed hackathonId,
+        uint256 granted,
+        uint256 submissionCount
+    );
+    
     event ScoreSubmitted(
         uint256 indexed hackathonId,
         uint256 indexed submissionId,
         address indexed judge
     );
     
+    event WinnersBatchCalculated(
+        uint256 indexed hackathonId,
+        uint256 calculated,
+        uint256 submissionCount
+    );
+    
+    event ScoresBatchDecrypted(
+        uint256 indexed hackathonId,
+        uint256 decrypted,
+        uint256 submissionCount
+    );
+    
     event WinnersCalculated(
         uint256 indexed hackathonId,
         uint256 winnerCount
@@ -140,9 +213,7 @@ contract Zackathon is ZamaEthereumConfig {
     
     event WinnersAnnounced(
         uint256 indexed hackathonId,
-        address indexed firstPlace,
-        address indexed secondPlace,
-        address thirdPlace
+        address[] winners
     );
     
     event ScoreDecrypted(
@@ -151,58 +222,142 @@ contract Zackathon is ZamaEthereumConfig {
         uint256 score
     );
     
+    // ============ Errors ============
+    
+    error OnlyOrganizer(uint256 hackathonId, address organizer);
+    error OnlyJudge(uint256 hackathonId);
+    error HackathonNotFound(uint256 hackathonId);
+    error SubmissionDeadlinePassed(uint256 deadline, uint256 currentTime);
+    error SubmissionDeadlineNotReached(uint256 deadline, uint256 currentTime);
+    error JudgingDeadlinePassed(uint256 deadline, uint256 currentTime);
+    error JudgingDeadlineNotReached(uint256 deadline, uint256 currentTime);
+    error NameRequired();
+    error InvalidSubmissionDeadline(uint256 deadline, uint256 currentTime);
+    error InvalidJudgingDeadline(uint256 judgingDeadline, uint256 submissionDeadline);
+    error NotEnoughJudges(uint256 provided, uint256 required);
+    error InvalidRubricSize(uint256 provided, uint256 max);
+    error InvalidWinnerCount(uint256 provided, uint256 max);
+    error InvalidJudge(address judge);
+    error InvalidCriterion(uint256 index);
+    error JudgeAccessAlreadyGranted(uint256 hackathonId);
+    error JudgeAccessNotGranted(uint256 hackathonId);
+    error InvalidBatchRange(uint256 from, uint256 to, uint256 next, uint256 submissionCount);
+    error NoSubmissions(uint256 hackathonId);
+    error WrongStatus(uint256 hackathonId, HackathonStatus expected, HackathonStatus actual);
+    error WrongRankingMode(uint256 hackathonId, RankingMode expected);
+    error NotAllJudgesScored(uint256 submissionId, uint256 scored, uint256 required);
+    error CountMismatch(uint256 provided, uint256 expected);
+    error InvalidSubmission(uint256 submissionId, uint256 submissionCount);
+    error WinnersNotAnnounced(uint256 hackathonId);
+    error WinnersAlreadyAnnounced(uint256 hackathonId);
+    error AlreadyRegistered(uint256 hackathonId);
+    error EmailRequired();
+    error JudgesCannotParticipate(uint256 hackathonId);
+    error MaxParticipantsReached(uint256 maxParticipants);
+    error NotRegistered(uint256 hackathonId);
+    error AlreadySubmitted(uint256 hackathonId);
+    error InvalidIPFSHashLength(uint256 length, uint256 max);
+    error AlreadyScored(uint256 submissionId);
+    
     // ============ Modifiers ============
     
     modifier onlyOrganizer(uint256 hackathonId) {
-        require(
-            hackathons[hackathonId].organizer == msg.sender,
-            "Only organizer"
-        );
+        _onlyOrganizer(hackathonId);
         _;
     }
     
     modifier onlyJudge(uint256 hackathonId) {
-        require(isJudge[hackathonId][msg.sender], "Only judge");
+        _onlyJudge(hackathonId);
         _;
     }
     
     modifier hackathonExists(uint256 hackathonId) {
-        require(hackathonId > 0 && hackathonId <= hackathonCounter, "Invalid hackathon");
+        _hackathonExists(hackathonId);
         _;
     }
     
     modifier beforeSubmissionDeadline(uint256 hackathonId) {
-        require(
-            block.timestamp < hackathons[hackathonId].submissionDeadline,
-            "Submission deadline passed"
-        );
+        _beforeSubmissionDeadline(hackathonId);
         _;
     }
     
     modifier afterSubmissionDeadline(uint256 hackathonId) {
-        require(
-            block.timestamp >= hackathons[hackathonId].submissionDeadline,
-            "Submission deadline not reached"
-        );
+        _afterSubmissionDeadline(hackathonId);
         _;
     }
     
     modifier beforeJudgingDeadline(uint256 hackathonId) {
-        require(
-            block.timestamp < hackathons[hackathonId].judgingDeadline,
-            "Judging deadline passed"
-        );
+        _beforeJudgingDeadline(hackathonId);
         _;
     }
     
     modifier afterJudgingDeadline(uint256 hackathonId) {
-        require(
-            block.timestamp >= hackathons[hackathonId].judgingDeadline,
-            "Judging deadline not reached"
-        );
+        _afterJudgingDeadline(hackathonId);
         _;
     }
     
+    // ============ Internal Checks ============
+    
+    function _onlyOrganizer(uint256 hackathonId) private view {
+        address organizer = hackathons[hackathonId].organizer;
+        if (organizer != msg.sender) revert OnlyOrganizer(hackathonId, organizer);
+    }
+    
+    function _onlyJudge(uint256 hackathonId) private view {
+        if (!isJudge[hackathonId][msg.sender]) revert OnlyJudge(hackathonId);
+    }
+    
+    function _hackathonExists(uint256 hackathonId) private view {
+        if (hackathonId == 0 || hackathonId > hackathonCounter) revert HackathonNotFound(hackathonId);
+    }
+    
+    function _beforeSubmissionDeadline(uint256 hackathonId) private view {
+        uint256 deadline = hackathons[hackathonId].submissionDeadline;
+        if (block.timestamp >= deadline) revert SubmissionDeadlinePassed(deadline, block.timestamp);
+    }
+    
+    function _afterSubmissionDeadline(uint256 hackathonId) private view {
+        uint256 deadline = hackathons[hackathonId].submissionDeadline;
+        if (block.timestamp < deadline) revert SubmissionDeadlineNotReached(deadline, block.timestamp);
+    }
+    
+    function _beforeJudgingDeadline(uint256 hackathonId) private view {
+        uint256 deadline = hackathons[hackathonId].judgingDeadline;
+        if (block.timestamp >= deadline) revert JudgingDeadlinePassed(deadline, block.timestamp);
+    }
+    
+    function _afterJudgingDeadline(uint256 hackathonId) private view {
+        uint256 deadline = hackathons[hackathonId].judgingDeadline;
+        if (block.timestamp < deadline) revert JudgingDeadlineNotReached(deadline, block.timestamp);
+    }
+    
+    function _requireStatus(uint256 hackathonId, HackathonStatus expected) private view {
+        HackathonStatus actual = hackathons[hackathonId].status;
+        if (actual != expected) revert WrongStatus(hackathonId, expected, actual);
+    }
+    
+    function _requireRankingMode(uint256 hackathonId, RankingMode expected) private view {
+        if (rankingModes[hackathonId] != expected) revert WrongRankingMode(hackathonId, expected);
+    }
+    
+    function _requireJudgeAccess(uint256 hackathonId) private view {
+        if (!hackathons[hackathonId].judgeAccessGranted) revert JudgeAccessNotGranted(hackathonId);
+    }
+    
+    function _requireSubmission(uint256 hackathonId, uint256 submissionId) private view {
+        uint256 count = submissions[hackathonId].length;
+        if (submissionId >= count) revert InvalidSubmission(submissionId, count);
+    }
+    
+    function _requireCount(uint256 provided, uint256 expected) private pure {
+        if (provided != expected) revert CountMismatch(provided, expected);
+    }
+    
+    /// @dev Batches cover [from, to) and must continue where the previous one stopped
+    function _requireBatch(uint256 from, uint256 to, uint256 next, uint256 total) private pure {
+        if (from != next || to <= from || to > total) revert InvalidBatchRange(from, to, next, total);
+    }
+    
     // ============ Constructor ============
     
     constructor() {
@@ -220,6 +375,8 @@ contract Zackathon is ZamaEthereumConfig {
      * @param judgingDeadline Timestamp for judging deadline
      * @param maxParticipants Maximum number of participants (0 for unlimited)
      * @param judges Array of judge addresses
+     * @param rubric Scoring criteria with max points and weights, in scoring order
+     * @param rankingMode RevealAll publishes every score, TopN only the winners'
      * @return hackathonId The ID of the created hackathon
      * 
      * TESTING NOTE: Minimum judges reduced to 1 (was 3) for faster testing
@@ -231,12 +388,25 @@ contract Zackathon is ZamaEthereumConfig {
         uint256 submissionDeadline,
         uint256 judgingDeadline,
         uint256 maxParticipants,
-        address[] memory judges
+        address[] memory judges,
+        Criterion[] memory rubric,
+        RankingMode rankingMode,
+        uint256 winnerCount
     ) external returns (uint256) {
-        require(bytes(name).length > 0, "Name required");
-        require(submissionDeadline > block.timestamp, "Invalid submission deadline");
-        require(judgingDeadline > submissionDeadline, "Invalid judging deadline");
-        require(judges.length >= 1, "Minimum 1 judge required"); // CHANGED FROM 3 TO 1
+        if (bytes(name).length == 0) revert NameRequired();
+        if (submissionDeadline <= block.timestamp) {
+            revert InvalidSubmissionDeadline(submissionDeadline, block.timestamp);
+        }
+        if (judgingDeadline <= submissionDeadline) {
+            revert InvalidJudgingDeadline(judgingDeadline, submissionDeadline);
+        }
+        if (judges.length < 1) revert NotEnoughJudges(judges.length, 1); // CHANGED FROM 3 TO 1
+        if (rubric.length == 0 || rubric.length > MAX_CRITERIA) {
+            revert InvalidRubricSize(rubric.length, MAX_CRITERIA);
+        }
+        if (winnerCount == 0 || winnerCount > MAX_WINNERS) {
+            revert InvalidWinnerCount(winnerCount, MAX_WINNERS);
+        }
         
         hackathonCounter++;
         uint256 hackathonId = hackathonCounter;
@@ -254,14 +424,24 @@ contract Zackathon is ZamaEthereumConfig {
         newHackathon.participantCount = 0;
         newHackathon.submissionCount = 0;
         newHackathon.judgeAccessGranted = false;
+        newHackathon.winnerCount = winnerCount;
+        rankingModes[hackathonId] = rankingMode;
         
         for (uint256 i = 0; i < judges.length; i++) {
-            require(judges[i] != address(0), "Invalid judge address");
-            require(judges[i] != msg.sender, "Organizer cannot be judge");
+            if (judges[i] == address(0) || judges[i] == msg.sender) revert InvalidJudge(judges[i]);
             newHackathon.judges.push(judges[i]);
             isJudge[hackathonId][judges[i]] = true;
         }
         
+        for (uint256 i = 0; i < rubric.length; i++) {
+            if (
+                bytes(rubric[i].name).length == 0
+                || rubric[i].maxScore == 0 || rubric[i].maxScore > MAX_CRITERION_VALUE
+                || rubric[i].weight == 0 || rubric[i].weight > MAX_CRITERION_VALUE
+            ) revert InvalidCriterion(i);
+            rubrics[hackathonId].push(rubric[i]);
+        }
+        
         emit HackathonCreated(
             hackathonId,
             name,
@@ -274,58 +454,99 @@ contract Zackathon is ZamaEthereumConfig {
     }
     
     /**
-     * @notice Grant judges access to encrypted submissions after deadline
+     * @notice Grant judges access to submissions [from, to) after deadline
+     * @dev Ranges must continue where the previous batch stopped
+     *      (judgeAccessProgress), so an interrupted grant resumes from there.
+     *      The batch reaching the last submission opens judging.
      * @param hackathonId The hackathon ID
+     * @param from First submission ID of the batch (inclusive)
+     * @param to Last submission ID of the batch (exclusive)
      */
-    function grantJudgeAccess(uint256 hackathonId)
+    function grantJudgeAccessBatch(uint256 hackathonId, uint256 from, uint256 to)
         external
         onlyOrganizer(hackathonId)
         hackathonExists(hackathonId)
         afterSubmissionDeadline(hackathonId)
     {
-        require(!hackathons[hackathonId].judgeAccessGranted, "Access already granted");
-        require(submissions[hackathonId].length > 0, "No submissions");
-        
         Hackathon storage hackathon = hackathons[hackathonId];
         Submission[] storage hackathonSubmissions = submissions[hackathonId];
+        uint256 total = hackathonSubmissions.length;
+        
+        if (hackathon.judgeAccessGranted) revert JudgeAccessAlreadyGranted(hackathonId);
+        if (total == 0) revert NoSubmissions(hackathonId);
         
-        for (uint256 i = 0; i < hackathonSubmissions.length; i++) {
-            euint256 encryptedHash = hackathonSubmissions[i].encryptedIPFSHash;
+        _requireBatch(from, to, judgeAccessProgress[hackathonId], total);
+        
+        for (uint256 i = from; i < to; i++) {
+            euint256[] storage encryptedHash = hackathonSubmissions[i].encryptedIPFSHash;
             
-            for (uint256 j = 0; j < hackathon.judges.length; j++) {
-                FHE.allow(encryptedHash, hackathon.judges[j]);
+            for (uint256 k = 0; k < encryptedHash.length; k++) {
+                for (uint256 j = 0; j < hackathon.judges.length; j++) {
+                    FHE.allow(encryptedHash[k], hackathon.judges[j]);
+                }
+                
+                FHE.allowThis(encryptedHash[k]);
             }
             
-            FHE.allowThis(encryptedHash);
+            euint256 contentKey = hackathonSubmissions[i].encryptedContentKey;
+            for (uint256 j = 0; j < hackathon.judges.length; j++) {
+                FHE.allow(contentKey, hackathon.judges[j]);
+            }
+            FHE.allowThis(contentKey);
         }
         
-        hackathon.judgeAccessGranted = true;
-        hackathon.status = HackathonStatus.Judging;
+        judgeAccessProgress[hackathonId] = to;
+        emit JudgeAccessBatchGranted(hackathonId, to, total);
         
-        emit JudgeAccessGranted(hackathonId, hackathonSubmissions.length);
+        if (to == total) {
+            hackathon.judgeAccessGranted = true;
+            hackathon.status = HackathonStatus.Judging;
+            
+            emit JudgeAccessGranted(hackathonId, total);
+        }
     }
     
     /**
-     * @notice Calculate winners using encrypted scores
+     * @notice Aggregate the encrypted scores of submissions [from, to)
+     * @dev Each submission's final score is the weighted sum of its criterion totals
+     *      across all judges; criterion totals themselves are revealed unweighted.
+     *      In TopN mode the totals stay private: the running encrypted top
+     *      winnerCount is kept between batches, and only its final
+     *      (submission id, score) pairs are made publicly decryptable.
+     *      The batch reaching the last submission completes the calculation.
      * @param hackathonId The hackathon ID
+     * @param from First submission ID of the batch (inclusive)
+     * @param to Last submission ID of the batch (exclusive)
      */
-    function calculateWinners(uint256 hackathonId)
+    function calculateWinnersBatch(uint256 hackathonId, uint256 from, uint256 to)
         external
         onlyOrganizer(hackathonId)
         hackathonExists(hackathonId)
         afterJudgingDeadline(hackathonId)
     {
-        require(
-            hackathons[hackathonId].status == HackathonStatus.Judging,
-            "Not in judging phase"
-        );
+        _requireStatus(hackathonId, HackathonStatus.Judging);
         
-        Submission[] storage hackathonSubmissions = submissions[hackathonId];
-        require(hackathonSubmissions.length > 0, "No submissions");
+        uint256 total = submissions[hackathonId].length;
+        if (total == 0) revert NoSubmissions(hackathonId);
+        _requireBatch(from, to, winnersProgress[hackathonId], total);
         
         uint256 judgeCount = hackathons[hackathonId].judges.length;
+        Criterion[] storage rubric = rubrics[hackathonId];
+        bool revealAll = rankingModes[hackathonId] == RankingMode.RevealAll;
+        
+        uint256 winnerCount = hackathons[hackathonId].winnerCount;
+        uint256 rankedCount = total < winnerCount ? total : winnerCount;
+        euint64[] memory topKeys = new euint64[](rankedCount);
+        euint32[] memory topIds = new euint32[](rankedCount);
+        
+        if (!revealAll) {
+            for (uint256 k = 0; k < rankedCount; k++) {
+                topKeys[k] = from == 0 ? FHE.asEuint64(0) : rankingKeys[hackathonId][k];
+                topIds[k] = from == 0 ? FHE.asEuint32(0) : rankingSlots[hackathonId][k];
+            }
+        }
         
-        for (uint256 i = 0; i < hackathonSubmissions.length; i++) {
+        for (uint256 i = from; i < to; i++) {
             uint256 scoredJudges = 0;
             for (uint256 j = 0; j < judgeCount; j++) {
                 address judge = hackathons[hackathonId].judges[j];
@@ -333,128 +554,355 @@ contract Zackathon is ZamaEthereumConfig {
                     scoredJudges++;
                 }
             }
-            require(scoredJudges == judgeCount, "Not all judges scored");
-        }
-        
-        for (uint256 i = 0; i < hackathonSubmissions.length; i++) {
+            if (scoredJudges != judgeCount) revert NotAllJudgesScored(i, scoredJudges, judgeCount);
+            
             euint64 totalScore = FHE.asEuint64(0);
             
-            for (uint256 j = 0; j < judgeCount; j++) {
-                address judge = hackathons[hackathonId].judges[j];
-                euint16 judgeScore = scores[hackathonId][i][judge];
-                euint64 score64 = FHE.asEuint64(judgeScore);
-                totalScore = FHE.add(totalScore, score64);
+            delete publicDecryptableCriterionScores[hackathonId][i];
+            
+            for (uint256 c = 0; c < rubric.length; c++) {
+                euint64 criterionTotal = FHE.asEuint64(0);
+                
+                for (uint256 j = 0; j < judgeCount; j++) {
+                    address judge = hackathons[hackathonId].judges[j];
+                    euint16 judgeScore = criterionScores[hackathonId][i][judge][c];
+                    criterionTotal = FHE.add(criterionTotal, FHE.asEuint64(judgeScore));
+                }
+                
+                totalScore = FHE.add(totalScore, FHE.mul(criterionTotal, uint64(rubric[c].weight)));
+                
+                euint256 revealedCriterion = FHE.asEuint256(criterionTotal);
+                FHE.allowThis(revealedCriterion);
+                if (revealAll) {
+                    FHE.makePubliclyDecryptable(revealedCriterion);
+                }
+                publicDecryptableCriterionScores[hackathonId][i].push(revealedCriterion);
             }
             
             publicDecryptableScores[hackathonId][i] = FHE.asEuint256(totalScore);
-            FHE.makePubliclyDecryptable(publicDecryptableScores[hackathonId][i]);
+            FHE.allowThis(publicDecryptableScores[hackathonId][i]);
+            
+            if (revealAll) {
+                FHE.makePubliclyDecryptable(publicDecryptableScores[hackathonId][i]);
+            } else {
+                _insertIntoRanking(topKeys, topIds, totalScore, i);
+            }
         }
         
-        hackathons[hackathonId].status = HackathonStatus.Completed;
+        winnersProgress[hackathonId] = to;
+        emit WinnersBatchCalculated(hackathonId, to, total);
         
-        emit WinnersCalculated(hackathonId, hackathonSubmissions.length);
+        if (!revealAll) {
+            delete rankingKeys[hackathonId];
+            delete rankingSlots[hackathonId];
+            
+            if (to < total) {
+                // Later batches continue from this running ranking
+                for (uint256 k = 0; k < rankedCount; k++) {
+                    FHE.allowThis(topKeys[k]);
+                    FHE.allowThis(topIds[k]);
+                    rankingKeys[hackathonId].push(topKeys[k]);
+                    rankingSlots[hackathonId].push(topIds[k]);
+                }
+            } else {
+                delete encryptedRankingIds[hackathonId];
+                delete encryptedRankingScores[hackathonId];
+                
+                for (uint256 k = 0; k < rankedCount; k++) {
+                    euint256 rankedId = FHE.asEuint256(topIds[k]);
+                    euint256 rankedScore = FHE.asEuint256(FHE.sub(topKeys[k], 1));
+                    
+                    FHE.makePubliclyDecryptable(rankedId);
+                    FHE.makePubliclyDecryptable(rankedScore);
+                    
+                    encryptedRankingIds[hackathonId].push(rankedId);
+                    encryptedRankingScores[hackathonId].push(rankedScore);
+                }
+            }
+        }
+        
+        if (to == total) {
+            hackathons[hackathonId].status = HackathonStatus.Completed;
+            
+            emit WinnersCalculated(hackathonId, total);
+        }
     }
     
     /**
-     * @notice Submit decrypted scores and determine winners
+     * @notice Submit the decrypted scores of submissions [from, to) (RevealAll mode)
+     * @dev One public decryption covers the batch's totals followed by its
+     *      criterion totals (submission-major order), so a single proof verifies
+     *      both. The batch reaching the last submission announces the winners.
      * @param hackathonId The hackathon ID
-     * @param clearScores Array of decrypted scores in order
+     * @param from First submission ID of the batch (inclusive)
+     * @param to Last submission ID of the batch (exclusive)
+     * @param clearScores Decrypted scores of the batch, in order
+     * @param clearCriterionScores Decrypted criterion totals, one per rubric criterion per submission
      * @param decryptionProof Proof from public decryption
      */
-    function submitDecryptedScores(
+    function submitDecryptedScoresBatch(
         uint256 hackathonId,
+        uint256 from,
+        uint256 to,
         uint256[] memory clearScores,
+        uint256[] memory clearCriterionScores,
         bytes memory decryptionProof
     )
         external
         onlyOrganizer(hackathonId)
         hackathonExists(hackathonId)
     {
-        require(
-            hackathons[hackathonId].status == HackathonStatus.Completed,
-            "Winners not calculated"
-        );
+        _requireStatus(hackathonId, HackathonStatus.Completed);
+        _requireRankingMode(hackathonId, RankingMode.RevealAll);
         
-        Submission[] storage hackathonSubmissions = submissions[hackathonId];
-        require(clearScores.length == hackathonSubmissions.length, "Score count mismatch");
+        uint256 total = submissions[hackathonId].length;
+        _requireBatch(from, to, decryptionProgress[hackathonId], total);
+        
+        uint256 criteriaCount = rubrics[hackathonId].length;
+        _requireCount(clearScores.length, to - from);
+        _requireCount(clearCriterionScores.length, clearScores.length * criteriaCount);
         
-        bytes32[] memory handlesList = new bytes32[](clearScores.length);
+        bytes32[] memory handlesList = new bytes32[](clearScores.length + clearCriterionScores.length);
         for (uint256 i = 0; i < clearScores.length; i++) {
-            handlesList[i] = FHE.toBytes32(publicDecryptableScores[hackathonId][i]);
+            handlesList[i] = FHE.toBytes32(publicDecryptableScores[hackathonId][from + i]);
+            
+            for (uint256 c = 0; c < criteriaCount; c++) {
+                handlesList[clearScores.length + i * criteriaCount + c] =
+                    FHE.toBytes32(publicDecryptableCriterionScores[hackathonId][from + i][c]);
+            }
         }
         
-        bytes memory abiEncodedScores = abi.encode(clearScores);
+        // KMS signs the concatenation of the 32-byte clear values, not a dynamic array encoding
+        bytes memory abiEncodedScores = abi.encodePacked(clearScores, clearCriterionScores);
         FHE.checkSignatures(handlesList, abiEncodedScores, decryptionProof);
         
         for (uint256 i = 0; i < clearScores.length; i++) {
-            decryptedScores[hackathonId][i] = DecryptedScore({
+            uint256 submissionId = from + i;
+            decryptedScores[hackathonId][submissionId] = DecryptedScore({
                 score: clearScores[i],
                 isDecrypted: true
             });
             
-            emit ScoreDecrypted(hackathonId, i, clearScores[i]);
+            delete decryptedCriterionScores[hackathonId][submissionId];
+            for (uint256 c = 0; c < criteriaCount; c++) {
+                decryptedCriterionScores[hackathonId][submissionId].push(clearCriterionScores[i * criteriaCount + c]);
+            }
+            
+            emit ScoreDecrypted(hackathonId, submissionId, clearScores[i]);
         }
         
-        uint256 firstPlace = 0;
-        uint256 secondPlace = 0;
-        uint256 thirdPlace = 0;
-        uint256 maxScore = 0;
-        uint256 secondMaxScore = 0;
-        uint256 thirdMaxScore = 0;
+        decryptionProgress[hackathonId] = to;
+        emit ScoresBatchDecrypted(hackathonId, to, total);
         
-        for (uint256 i = 0; i < clearScores.length; i++) {
-            if (clearScores[i] > maxScore) {
-                thirdMaxScore = secondMaxScore;
-                thirdPlace = secondPlace;
-                secondMaxScore = maxScore;
-                secondPlace = firstPlace;
-                maxScore = clearScores[i];
-                firstPlace = i;
-            } else if (clearScores[i] > secondMaxScore) {
-                thirdMaxScore = secondMaxScore;
-                thirdPlace = secondPlace;
-                secondMaxScore = clearScores[i];
-                secondPlace = i;
-            } else if (clearScores[i] > thirdMaxScore) {
-                thirdMaxScore = clearScores[i];
-                thirdPlace = i;
+        if (to == total) {
+            _announceWinners(hackathonId);
+        }
+    }
+    
+    /**
+     * @dev Sort every verified score into the full ranking and store its top
+     *      winnerCount as the winners (RevealAll mode). Insertion sort in memory,
+     *      stable so ties keep the earlier submission ahead.
+     */
+    function _announceWinners(uint256 hackathonId) private {
+        Submission[] storage hackathonSubmissions = submissions[hackathonId];
+        uint256 total = hackathonSubmissions.length;
+        
+        uint256[] memory ids = new uint256[](total);
+        uint256[] memory sortedScores = new uint256[](total);
+        
+        for (uint256 i = 0; i < total; i++) {
+            uint256 score = decryptedScores[hackathonId][i].score;
+            uint256 k = i;
+            
+            while (k > 0 && sortedScores[k - 1] < score) {
+                ids[k] = ids[k - 1];
+                sortedScores[k] = sortedScores[k - 1];
+                k--;
             }
+            
+            ids[k] = i;
+            sortedScores[k] = score;
         }
         
+        rankings[hackathonId] = ids;
+        
+        uint256 winnerCount = hackathons[hackathonId].winnerCount;
+        address[] memory podium = new address[](total < winnerCount ? total : winnerCount);
+        
         delete winners[hackathonId];
         
-        if (hackathonSubmissions.length >= 1) {
+        for (uint256 k = 0; k < podium.length; k++) {
+            podium[k] = hackathonSubmissions[ids[k]].participant;
+            
             winners[hackathonId].push(Winner({
-                participant: hackathonSubmissions[firstPlace].participant,
-                ranking: 1,
-                finalScore: maxScore,
-                submissionId: firstPlace
+                participant: podium[k],
+                ranking: k + 1,
+                finalScore: sortedScores[k],
+                submissionId: ids[k]
             }));
         }
         
-        if (hackathonSubmissions.length >= 2) {
-            winners[hackathonId].push(Winner({
-                participant: hackathonSubmissions[secondPlace].participant,
-                ranking: 2,
-                finalScore: secondMaxScore,
-                submissionId: secondPlace
-            }));
+        emit WinnersAnnounced(hackathonId, podium);
+    }
+    
+    /**
+     * @notice Submit the decrypted top-N ranking and announce winners (TopN mode)
+     * @dev Only the winners' totals are stored; their criterion totals become publicly
+     *      decryptable here and are revealed with submitDecryptedCriterionScoresBatch.
+     *      Can only run once: a second call would reset the criterion reveal.
+     * @param hackathonId The hackathon ID
+     * @param clearSubmissionIds Decrypted submission ids, best first
+     * @param clearScores Decrypted scores matching clearSubmissionIds
+     * @param decryptionProof Proof from public decryption (ids followed by scores)
+     */
+    function submitDecryptedRanking(
+        uint256 hackathonId,
+        uint256[] memory clearSubmissionIds,
+        uint256[] memory clearScores,
+        bytes memory decryptionProof
+    )
+        external
+        onlyOrganizer(hackathonId)
+        hackathonExists(hackathonId)
+    {
+        _requireStatus(hackathonId, HackathonStatus.Completed);
+        _requireRankingMode(hackathonId, RankingMode.TopN);
+        if (winners[hackathonId].length > 0) revert WinnersAlreadyAnnounced(hackathonId);
+        
+        euint256[] storage rankedIds = encryptedRankingIds[hackathonId];
+        euint256[] storage rankedScores = encryptedRankingScores[hackathonId];
+        _requireCount(clearSubmissionIds.length, rankedIds.length);
+        _requireCount(clearScores.length, rankedIds.length);
+        
+        bytes32[] memory handlesList = new bytes32[](rankedIds.length * 2);
+        for (uint256 k = 0; k < rankedIds.length; k++) {
+            handlesList[k] = FHE.toBytes32(rankedIds[k]);
+            handlesList[rankedIds.length + k] = FHE.toBytes32(rankedScores[k]);
         }
         
-        if (hackathonSubmissions.length >= 3) {
+        FHE.checkSignatures(
+            handlesList,
+            abi.encodePacked(clearSubmissionIds, clearScores),
+            decryptionProof
+        );
+        
+        Submission[] storage hackathonSubmissions = submissions[hackathonId];
+        uint256 criteriaCount = rubrics[hackathonId].length;
+        address[] memory podium = new address[](clearSubmissionIds.length);
+        
+        rankings[hackathonId] = clearSubmissionIds;
+        
+        for (uint256 k = 0; k < clearSubmissionIds.length; k++) {
+            uint256 submissionId = clearSubmissionIds[k];
+            _requireSubmission(hackathonId, submissionId);
+            
+            decryptedScores[hackathonId][submissionId] = DecryptedScore({
+                score: clearScores[k],
+                isDecrypted: true
+            });
+            
             winners[hackathonId].push(Winner({
-                participant: hackathonSubmissions[thirdPlace].participant,
-                ranking: 3,
-                finalScore: thirdMaxScore,
-                submissionId: thirdPlace
+                participant: hackathonSubmissions[submissionId].participant,
+                ranking: k + 1,
+                finalScore: clearScores[k],
+                submissionId: submissionId
             }));
+            
+            for (uint256 c = 0; c < criteriaCount; c++) {
+                FHE.makePubliclyDecryptable(publicDecryptableCriterionScores[hackathonId][submissionId][c]);
+            }
+            
+            podium[k] = hackathonSubmissions[submissionId].participant;
+            
+            emit ScoreDecrypted(hackathonId, submissionId, clearScores[k]);
+        }
+        
+        emit WinnersAnnounced(hackathonId, podium);
+    }
+    
+    /**
+     * @notice Submit decrypted criterion totals of winners [from, to) (TopN mode)
+     * @dev Batches must continue from criterionRevealProgress, keeping each
+     *      decryption proof to a bounded number of handles.
+     * @param hackathonId The hackathon ID
+     * @param from First winner of the batch (zero-based, ranking order)
+     * @param to Winner after the last one of the batch
+     * @param clearCriterionScores Criterion totals per winner of the batch, in ranking order
+     * @param decryptionProof Proof from public decryption
+     */
+    function submitDecryptedCriterionScoresBatch(
+        uint256 hackathonId,
+        uint256 from,
+        uint256 to,
+        uint256[] memory clearCriterionScores,
+        bytes memory decryptionProof
+    )
+        external
+        onlyOrganizer(hackathonId)
+        hackathonExists(hackathonId)
+    {
+        _requireRankingMode(hackathonId, RankingMode.TopN);
+        
+        Winner[] storage hackathonWinners = winners[hackathonId];
+        if (hackathonWinners.length == 0) revert WinnersNotAnnounced(hackathonId);
+        _requireBatch(from, to, criterionRevealProgress[hackathonId], hackathonWinners.length);
+        
+        uint256 criteriaCount = rubrics[hackathonId].length;
+        _requireCount(clearCriterionScores.length, (to - from) * criteriaCount);
+        
+        bytes32[] memory handlesList = new bytes32[](clearCriterionScores.length);
+        for (uint256 k = from; k < to; k++) {
+            uint256 submissionId = hackathonWinners[k].submissionId;
+            for (uint256 c = 0; c < criteriaCount; c++) {
+                handlesList[(k - from) * criteriaCount + c] =
+                    FHE.toBytes32(publicDecryptableCriterionScores[hackathonId][submissionId][c]);
+            }
         }
         
-        address first = hackathonSubmissions.length >= 1 ? hackathonSubmissions[firstPlace].participant : address(0);
-        address second = hackathonSubmissions.length >= 2 ? hackathonSubmissions[secondPlace].participant : address(0);
-        address third = hackathonSubmissions.length >= 3 ? hackathonSubmissions[thirdPlace].participant : address(0);
+        FHE.checkSignatures(handlesList, abi.encodePacked(clearCriterionScores), decryptionProof);
+        
+        for (uint256 k = from; k < to; k++) {
+            uint256 submissionId = hackathonWinners[k].submissionId;
+            
+            delete decryptedCriterionScores[hackathonId][submissionId];
+            for (uint256 c = 0; c < criteriaCount; c++) {
+                decryptedCriterionScores[hackathonId][submissionId].push(
+                    clearCriterionScores[(k - from) * criteriaCount + c]
+                );
+            }
+        }
+        
+        criterionRevealProgress[hackathonId] = to;
+    }
+    
+    /**
+     * @dev Insert an encrypted total into the encrypted top-N list (best first).
+     *      Every slot is compared with FHE.gt and swapped with FHE.select, so the
+     *      ordering never leaks. Keys are shifted by one so any real submission
+     *      outranks an empty slot; ties keep the earlier submission ahead.
+     */
+    function _insertIntoRanking(
+        euint64[] memory topKeys,
+        euint32[] memory topIds,
+        euint64 totalScore,
+        uint256 submissionId
+    ) private {
+        euint64 currentKey = FHE.add(totalScore, 1);
+        euint32 currentId = FHE.asEuint32(uint32(submissionId));
         
-        emit WinnersAnnounced(hackathonId, first, second, third);
+        for (uint256 k = 0; k < topKeys.length; k++) {
+            ebool isHigher = FHE.gt(currentKey, topKeys[k]);
+            
+            euint64 slotKey = FHE.select(isHigher, currentKey, topKeys[k]);
+            euint32 slotId = FHE.select(isHigher, currentId, topIds[k]);
+            
+            currentKey = FHE.select(isHigher, topKeys[k], currentKey);
+            currentId = FHE.select(isHigher, topIds[k], currentId);
+            
+            topKeys[k] = slotKey;
+            topIds[k] = slotId;
+        }
     }
     
     // ============ Participant Functions ============
@@ -480,17 +928,14 @@ contract Zackathon is ZamaEthereumConfig {
         hackathonExists(hackathonId)
         beforeSubmissionDeadline(hackathonId)
     {
-        require(!hasRegistered[hackathonId][msg.sender], "Already registered");
-        require(bytes(email).length > 0, "Email required");
-        require(!isJudge[hackathonId][msg.sender], "Judges cannot participate");
+        if (hasRegistered[hackathonId][msg.sender]) revert AlreadyRegistered(hackathonId);
+        if (bytes(email).length == 0) revert EmailRequired();
+        if (isJudge[hackathonId][msg.sender]) revert JudgesCannotParticipate(hackathonId);
         
         Hackathon storage hackathon = hackathons[hackathonId];
         
-        if (hackathon.maxParticipants > 0) {
-            require(
-                hackathon.participantCount < hackathon.maxParticipants,
-                "Max participants reached"
-            );
+        if (hackathon.maxParticipants > 0 && hackathon.participantCount >= hackathon.maxParticipants) {
+            revert MaxParticipantsReached(hackathon.maxParticipants);
         }
         
         Participant storage newParticipant = participants[hackathonId][msg.sender];
@@ -516,43 +961,54 @@ contract Zackathon is ZamaEthereumConfig {
     
     /**
      * @notice Submit encrypted project IPFS hash
+     * @dev The CID bytes are split into 32-byte big-endian words (zero-padded on the right)
+     *      so judges can reassemble the original CID after decryption. The IPFS payload
+     *      itself is AES-GCM encrypted client-side with the content key.
      * @param hackathonId The hackathon ID
-     * @param encryptedIPFSHash Encrypted IPFS hash
-     * @param inputProof ZK proof for encrypted input
+     * @param encryptedIPFSHash Encrypted IPFS CID words, in order
+     * @param encryptedContentKey Encrypted AES-256 key for the IPFS payload
+     * @param inputProof ZK proof covering all encrypted words and the key
      */
     function submitProject(
         uint256 hackathonId,
-        externalEuint256 encryptedIPFSHash,
+        externalEuint256[] calldata encryptedIPFSHash,
+        externalEuint256 encryptedContentKey,
         bytes calldata inputProof
     )
         external
         hackathonExists(hackathonId)
         beforeSubmissionDeadline(hackathonId)
     {
-        require(hasRegistered[hackathonId][msg.sender], "Not registered");
-        require(
-            !participants[hackathonId][msg.sender].hasSubmitted,
-            "Already submitted"
-        );
+        if (!hasRegistered[hackathonId][msg.sender]) revert NotRegistered(hackathonId);
+        if (participants[hackathonId][msg.sender].hasSubmitted) revert AlreadySubmitted(hackathonId);
+        if (encryptedIPFSHash.length == 0 || encryptedIPFSHash.length > MAX_CID_CHUNKS) {
+            revert InvalidIPFSHashLength(encryptedIPFSHash.length, MAX_CID_CHUNKS);
+        }
         
-        euint256 validatedHash = FHE.fromExternal(encryptedIPFSHash, inputProof);
+        uint256 submissionId = submissions[hackathonId].length;
         
-        FHE.allowThis(validatedHash);
-        FHE.allow(validatedHash, msg.sender);
+        Submission storage newSubmission = submissions[hackathonId].push();
+        newSubmission.submissionId = submissionId;
+        newSubmission.participant = msg.sender;
+        newSubmission.submissionTime = block.timestamp;
+        newSubmission.status = SubmissionStatus.Pending;
+        newSubmission.totalScores = 0;
+        newSubmission.judgeCount = 0;
         
-        uint256 submissionId = submissions[hackathonId].length;
+        for (uint256 i = 0; i < encryptedIPFSHash.length; i++) {
+            euint256 validatedHash = FHE.fromExternal(encryptedIPFSHash[i], inputProof);
+            
+            FHE.allowThis(validatedHash);
+            FHE.allow(validatedHash, msg.sender);
+            
+            newSubmission.encryptedIPFSHash.push(validatedHash);
+        }
+        
+        euint256 validatedKey = FHE.fromExternal(encryptedContentKey, inputProof);
+        FHE.allowThis(validatedKey);
+        FHE.allow(validatedKey, msg.sender);
+        newSubmission.encryptedContentKey = validatedKey;
         
-        Submission memory newSubmission = Submission({
-            submissionId: submissionId,
-            participant: msg.sender,
-            encryptedIPFSHash: validatedHash,
-            submissionTime: block.timestamp,
-            status: SubmissionStatus.Pending,
-            totalScores: 0,
-            judgeCount: 0
-        });
-        
-        submissions[hackathonId].push(newSubmission);
         participants[hackathonId][msg.sender].hasSubmitted = true;
         hackathons[hackathonId].submissionCount++;
         
@@ -562,16 +1018,19 @@ contract Zackathon is ZamaEthereumConfig {
     // ============ Judge Functions ============
     
     /**
-     * @notice Submit encrypted score for a submission
+     * @notice Submit encrypted per-criterion scores for a submission
      * @param hackathonId The hackathon ID
      * @param submissionId The submission ID
-     * @param encryptedScore Encrypted score (1-50 range, 5 categories * 10 max)
-     * @param inputProof ZK proof for encrypted input
+     * @dev Each score is clamped to [1, maxScore] with FHE.max/FHE.min before it is stored,
+     *      so an out-of-range ciphertext cannot skew the ranking. Whether any value had
+     *      to be clamped is kept as an encrypted flag readable by the judge and organizer.
+     * @param encryptedScores Encrypted criterion scores, one per rubric criterion in rubric order
+     * @param inputProof ZK proof covering all criterion scores
      */
     function submitScore(
         uint256 hackathonId,
         uint256 submissionId,
-        externalEuint16 encryptedScore,
+        externalEuint16[] calldata encryptedScores,
         bytes calldata inputProof
     )
         external
@@ -580,19 +1039,41 @@ contract Zackathon is ZamaEthereumConfig {
         afterSubmissionDeadline(hackathonId)
         beforeJudgingDeadline(hackathonId)
     {
-        require(hackathons[hackathonId].judgeAccessGranted, "Judge access not granted");
-        require(submissionId < submissions[hackathonId].length, "Invalid submission");
-        require(
-            !hasJudgeScored[hackathonId][submissionId][msg.sender],
-            "Already scored"
-        );
+        _requireJudgeAccess(hackathonId);
+        _requireSubmission(hackathonId, submissionId);
+        if (hasJudgeScored[hackathonId][submissionId][msg.sender]) revert AlreadyScored(submissionId);
+        
+        Criterion[] storage rubric = rubrics[hackathonId];
+        uint256 criteriaCount = rubric.length;
+        _requireCount(encryptedScores.length, criteriaCount);
+        
+        euint16[] storage judgeCriterionScores = criterionScores[hackathonId][submissionId][msg.sender];
+        euint16 totalScore = FHE.asEuint16(0);
+        ebool clamped = FHE.asEbool(false);
         
-        euint16 validatedScore = FHE.fromExternal(encryptedScore, inputProof);
+        for (uint256 c = 0; c < criteriaCount; c++) {
+            euint16 rawScore = FHE.fromExternal(encryptedScores[c], inputProof);
+            uint16 maxScore = rubric[c].maxScore;
+            
+            clamped = FHE.or(clamped, FHE.or(FHE.lt(rawScore, 1), FHE.gt(rawScore, maxScore)));
+            euint16 validatedScore = FHE.min(FHE.max(rawScore, 1), maxScore);
+            
+            FHE.allowThis(validatedScore);
+            FHE.allow(validatedScore, msg.sender);
+            
+            judgeCriterionScores.push(validatedScore);
+            totalScore = FHE.add(totalScore, validatedScore);
+        }
         
-        FHE.allowThis(validatedScore);
-        FHE.allow(validatedScore, msg.sender);
+        FHE.allowThis(totalScore);
+        FHE.allow(totalScore, msg.sender);
         
-        scores[hackathonId][submissionId][msg.sender] = validatedScore;
+        FHE.allowThis(clamped);
+        FHE.allow(clamped, msg.sender);
+        FHE.allow(clamped, hackathons[hackathonId].organizer);
+        
+        scores[hackathonId][submissionId][msg.sender] = totalScore;
+        scoreClamped[hackathonId][submissionId][msg.sender] = clamped;
         hasJudgeScored[hackathonId][submissionId][msg.sender] = true;
         
         submissions[hackathonId][submissionId].judgeCount++;
@@ -605,21 +1086,40 @@ contract Zackathon is ZamaEthereumConfig {
      * @notice Get encrypted IPFS hash for a submission (judges only after access granted)
      * @param hackathonId The hackathon ID
      * @param submissionId The submission ID
-     * @return The encrypted IPFS hash
+     * @return The encrypted IPFS CID words, in order
      */
     function getSubmissionIPFSHash(uint256 hackathonId, uint256 submissionId)
         external
         view
         hackathonExists(hackathonId)
         onlyJudge(hackathonId)
-        returns (euint256)
+        returns (euint256[] memory)
     {
-        require(hackathons[hackathonId].judgeAccessGranted, "Access not granted");
-        require(submissionId < submissions[hackathonId].length, "Invalid submission");
+        _requireJudgeAccess(hackathonId);
+        _requireSubmission(hackathonId, submissionId);
         
         return submissions[hackathonId][submissionId].encryptedIPFSHash;
     }
     
+    /**
+     * @notice Get encrypted payload key for a submission (judges only after access granted)
+     * @param hackathonId The hackathon ID
+     * @param submissionId The submission ID
+     * @return The encrypted AES-256 content key
+     */
+    function getSubmissionContentKey(uint256 hackathonId, uint256 submissionId)
+        external
+        view
+        hackathonExists(hackathonId)
+        onlyJudge(hackathonId)
+        returns (euint256)
+    {
+        _requireJudgeAccess(hackathonId);
+        _requireSubmission(hackathonId, submissionId);
+        
+        return submissions[hackathonId][submissionId].encryptedContentKey;
+    }
+    
     // ============ View Functions ============
     
     function getHackathonDetails(uint256 hackathonId)
@@ -639,7 +1139,8 @@ contract Zackathon is ZamaEthereumConfig {
             HackathonStatus status,
             uint256 participantCount,
             uint256 submissionCount,
-            bool judgeAccessGranted
+            bool judgeAccessGranted,
+            uint256 winnerCount
         )
     {
         Hackathon storage h = hackathons[hackathonId];
@@ -656,7 +1157,8 @@ contract Zackathon is ZamaEthereumConfig {
             h.status,
             h.participantCount,
             h.submissionCount,
-            h.judgeAccessGranted
+            h.judgeAccessGranted,
+            h.winnerCount
         );
     }
     
@@ -718,7 +1220,7 @@ contract Zackathon is ZamaEthereumConfig {
             uint256 judgeCount
         )
     {
-        require(submissionId < submissions[hackathonId].length, "Invalid submission");
+        _requireSubmission(hackathonId, submissionId);
         Submission storage s = submissions[hackathonId][submissionId];
         return (
             s.submissionId,
@@ -738,6 +1240,15 @@ contract Zackathon is ZamaEthereumConfig {
         return winners[hackathonId];
     }
     
+    function getRanking(uint256 hackathonId)
+        external
+        view
+        hackathonExists(hackathonId)
+        returns (uint256[] memory)
+    {
+        return rankings[hackathonId];
+    }
+    
     function getDecryptedScore(uint256 hackathonId, uint256 submissionId)
         external
         view
@@ -748,6 +1259,36 @@ contract Zackathon is ZamaEthereumConfig {
         return (ds.score, ds.isDecrypted);
     }
     
+    function getEncryptedRanking(uint256 hackathonId)
+        external
+        view
+        hackathonExists(hackathonId)
+        returns (euint256[] memory rankedIds, euint256[] memory rankedScores)
+    {
+        return (encryptedRankingIds[hackathonId], encryptedRankingScores[hackathonId]);
+    }
+    
+    function getRubric(uint256 hackathonId)
+        external
+        view
+        hackathonExists(hackathonId)
+        returns (Criterion[] memory)
+    {
+        return rubrics[hackathonId];
+    }
+    
+    function getCriterionScores(uint256 hackathonId, uint256 submissionId)
+        external
+        view
+        hackathonExists(hackathonId)
+        returns (uint256[] memory criterionTotals, bool isDecrypted)
+    {
+        return (
+            decryptedCriterionScores[hackathonId][submissionId],
+            decryptedScores[hackathonId][submissionId].isDecrypted
+        );
+    }
+    
     function isHackathonJudge(uint256 hackathonId, address judge)
         external
         view
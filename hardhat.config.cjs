@@ -1,9 +1,12 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@fhevm/hardhat-plugin");
 require("dotenv").config();
 
 /**
  * Hardhat configuration for Zackathon (FHEVM v0.9)
- * Supports Sepolia testnet deployment with Zama FHEVM integration
+ * Supports Sepolia testnet deployment with Zama FHEVM integration.
+ * @fhevm/hardhat-plugin runs the FHEVM mock host contracts and relayer RPC
+ * methods inside `npx hardhat node` for local development.
  */
 module.exports = {
   solidity: {
@@ -26,6 +29,10 @@ module.exports = {
     },
     hardhat: {
       chainId: 31337
+    },
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337
     }
   },
   
@@ -3,13 +3,113 @@ const fs = require('fs');
 const path = require('path');
 
 /**
- * Deploy Zackathon contract to Sepolia testnet
- * This script deploys the FHEVM v0.9-powered hackathon platform
+ * FHEVM v0.9 host/gateway configuration per chain
+ * Local chains read the mock addresses from the node instead (see readLocalFhevmConfig).
+ */
+const FHEVM_CONFIGS = {
+  11155111: {
+    backend: 'relayer',
+    aclContractAddress: '0xf0Ffdc93b7E186bC2f8CB3dAA75D86d1930A433D',
+    kmsContractAddress: '0xbE0E383937d564D7FF0BC3b46c51f0bF8d5C311A',
+    inputVerifierContractAddress: '0xBBC1fFCdc7C316aAAd72E807D9b0272BE8F84DA0',
+    verifyingContractAddressDecryption: '0x5D8BD78e2ea6bbE41f26dFe9fdaEAa349e077478',
+    verifyingContractAddressInputVerification: '0x483b9dE06E4E4C7D35CCf5837A1668487406D955',
+    chainId: 11155111,
+    gatewayChainId: 10901,
+    relayerUrl: 'https://relayer.testnet.zama.org'
+  }
+};
+
+const LOCAL_CHAIN_ID = 31337;
+
+// Canonical Multicall3, present on every public network
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const REGISTRY_PATH = path.join(__dirname, '..', 'src', 'utils', 'deployments.json');
+
+/**
+ * Read the FHEVM mock addresses from a local Hardhat node
+ * The node must run @fhevm/hardhat-plugin (`npx hardhat node`), which serves
+ * fhevm_relayer_metadata and deploys the mock host contracts.
+ */
+async function readLocalFhevmConfig() {
+  let metadata;
+  try {
+    metadata = await hre.ethers.provider.send('fhevm_relayer_metadata', []);
+  } catch (error) {
+    throw new Error(
+      "❌ Node did not return FHEVM metadata. Start it with `npx hardhat node` " +
+      "(requires @fhevm/hardhat-plugin in hardhat.config.cjs), then rerun deploy-contract:local.",
+      { cause: error }
+    );
+  }
+
+  return {
+    backend: 'mock',
+    chainId: LOCAL_CHAIN_ID,
+    gatewayChainId: metadata.gatewayChainId,
+    aclContractAddress: metadata.ACLAddress,
+    kmsContractAddress: metadata.KMSVerifierAddress,
+    inputVerifierContractAddress: metadata.InputVerifierAddress,
+    verifyingContractAddressDecryption: '0x5ffdaAB0373E62E2ea2944776209aEf29E631A64',
+    verifyingContractAddressInputVerification: '0x812b06e1CDCE800494b79fFE4f925A504a9A9810'
+  };
+}
+
+/**
+ * Find or deploy Multicall3 for frontend read batching
+ * Public networks use the canonical deployment; local chains start empty,
+ * so the previous local deployment is reused while the node keeps it and
+ * contracts/Multicall3.sol is deployed otherwise.
+ */
+async function resolveMulticall(isLocal, previousAddress) {
+  const hasCode = async (address) =>
+    !!address && (await hre.ethers.provider.getCode(address)) !== '0x';
+
+  if (!isLocal) {
+    if (await hasCode(MULTICALL3_ADDRESS)) {
+      return MULTICALL3_ADDRESS;
+    }
+    console.warn("⚠️ Multicall3 not found on this network; frontend reads will not be batched");
+    return null;
+  }
+
+  if (await hasCode(previousAddress)) {
+    console.log("♻️  Reusing Multicall3 at", previousAddress);
+    return previousAddress;
+  }
+
+  console.log("\n📝 Deploying Multicall3...");
+  const Multicall3 = await hre.ethers.getContractFactory("Multicall3");
+  const multicall = await Multicall3.deploy();
+  await multicall.waitForDeployment();
+
+  const address = await multicall.getAddress();
+  console.log("✅ Multicall3 deployed:", address);
+  return address;
+}
+
+/**
+ * Load the chainId-keyed deployment registry
+ */
+function readRegistry() {
+  if (!fs.existsSync(REGISTRY_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+}
+
+/**
+ * Deploy Zackathon and its ZackathonLens and record them in the deployment registry
+ * Usage: hardhat run scripts/deploy.cjs --network <sepolia|localhost|...>
  */
 async function main() {
-  console.log("\n🚀 Deploying Zackathon contract to Sepolia...");
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const isLocal = chainId === LOCAL_CHAIN_ID;
+
+  console.log(`\n🚀 Deploying Zackathon contract to ${hre.network.name}...`);
   console.log("Network:", hre.network.name);
-  console.log("Chain ID:", hre.network.config.chainId);
+  console.log("Chain ID:", chainId);
   
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deployer address:", deployer.address);
@@ -20,6 +120,11 @@ async function main() {
   if (balance === 0n) {
     throw new Error("❌ Deployer has no ETH! Get Sepolia ETH from faucet: https://sepoliafaucet.com");
   }
+
+  const fhevm = isLocal ? await readLocalFhevmConfig() : FHEVM_CONFIGS[chainId];
+  if (!fhevm) {
+    throw new Error(`❌ No FHEVM configuration known for chain ${chainId}. Add it to FHEVM_CONFIGS first.`);
+  }
   
   console.log("\n📝 Deploying Zackathon contract...");
   
@@ -30,67 +135,62 @@ async function main() {
   await zackathon.waitForDeployment();
   
   const address = await zackathon.getAddress();
+  const deployReceipt = await zackathon.deploymentTransaction().wait();
   
   console.log("\n✅ Zackathon deployed successfully!");
   console.log("📍 Contract address:", address);
-  console.log("🔗 View on Etherscan:", `https://sepolia.etherscan.io/address/${address}`);
-  
-  console.log("\n🔐 FHEVM v0.9 Configuration (Sepolia):");
-  console.log("ACL Contract:          0xf0Ffdc93b7E186bC2f8CB3dAA75D86d1930A433D");
-  console.log("KMS Verifier:          0xbE0E383937d564D7FF0BC3b46c51f0bF8d5C311A");
-  console.log("Input Verifier:        0xBBC1fFCdc7C316aAAd72E807D9b0272BE8F84DA0");
-  console.log("Decryption Address:    0x5D8BD78e2ea6bbE41f26dFe9fdaEAa349e077478");
-  console.log("Input Verification:    0x483b9dE06E4E4C7D35CCf5837A1668487406D955");
-  console.log("Gateway Chain ID:      10901");
-  console.log("Relayer URL:           https://relayer.testnet.zama.org");
-  
-  const config = {
-    contractAddress: address,
+  console.log("🧱 Deploy block:", deployReceipt.blockNumber);
+  if (chainId === 11155111) {
+    console.log("🔗 View on Etherscan:", `https://sepolia.etherscan.io/address/${address}`);
+  }
+  
+  console.log("\n📝 Deploying ZackathonLens (paged views)...");
+  const ZackathonLens = await hre.ethers.getContractFactory("ZackathonLens");
+  const lens = await ZackathonLens.deploy(address);
+  await lens.waitForDeployment();
+  
+  const lensAddress = await lens.getAddress();
+  console.log("✅ ZackathonLens deployed:", lensAddress);
+  
+  console.log(`\n🔐 FHEVM v0.9 Configuration (${fhevm.backend}):`);
+  console.log("ACL Contract:          ", fhevm.aclContractAddress);
+  console.log("KMS Verifier:          ", fhevm.kmsContractAddress);
+  console.log("Input Verifier:        ", fhevm.inputVerifierContractAddress);
+  console.log("Decryption Address:    ", fhevm.verifyingContractAddressDecryption);
+  console.log("Input Verification:    ", fhevm.verifyingContractAddressInputVerification);
+  console.log("Gateway Chain ID:      ", fhevm.gatewayChainId);
+  if (fhevm.relayerUrl) {
+    console.log("Relayer URL:           ", fhevm.relayerUrl);
+  }
+  
+  const registry = readRegistry();
+  const previous = registry[chainId];
+  
+  const multicallAddress = await resolveMulticall(isLocal, previous?.multicallAddress);
+  
+  registry[chainId] = {
     network: hre.network.name,
-    chainId: hre.network.config.chainId,
+    contractAddress: address,
+    lensAddress,
+    rpcUrl: hre.network.config.url || previous?.rpcUrl || 'http://127.0.0.1:8545',
+    deployBlock: deployReceipt.blockNumber,
+    version: require('../package.json').version,
     deployedAt: new Date().toISOString(),
     deployer: deployer.address,
-    fhevm: {
-      aclContractAddress: '0xf0Ffdc93b7E186bC2f8CB3dAA75D86d1930A433D',
-      kmsContractAddress: '0xbE0E383937d564D7FF0BC3b46c51f0bF8d5C311A',
-      inputVerifierContractAddress: '0xBBC1fFCdc7C316aAAd72E807D9b0272BE8F84DA0',
-      verifyingContractAddressDecryption: '0x5D8BD78e2ea6bbE41f26dFe9fdaEAa349e077478',
-      verifyingContractAddressInputVerification: '0x483b9dE06E4E4C7D35CCf5837A1668487406D955',
-      chainId: 11155111,
-      gatewayChainId: 10901,
-      relayerUrl: 'https://relayer.testnet.zama.org'
-    }
+    multicallAddress,
+    fhevm
   };
   
-  const utilsDir = path.join(__dirname, '..', 'src', 'utils');
-  if (!fs.existsSync(utilsDir)) {
-    fs.mkdirSync(utilsDir, { recursive: true });
-  }
+  fs.writeFileSync(REGISTRY_PATH, JSON.stringify(registry, null, 2) + '\n');
   
-  const configPath = path.join(utilsDir, 'contractConfig.json');
-  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-  
-  console.log("\n💾 Contract config saved to:", configPath);
-  
-  const envPath = path.join(__dirname, '..', '.env');
-  if (fs.existsSync(envPath)) {
-    let envContent = fs.readFileSync(envPath, 'utf8');
-    
-    if (envContent.includes('VITE_CONTRACT_ADDRESS=')) {
-      envContent = envContent.replace(
-        /VITE_CONTRACT_ADDRESS=.*/,
-        `VITE_CONTRACT_ADDRESS=${address}`
-      );
-    } else {
-      envContent += `\n\n# Contract address (Auto-generated)\nVITE_CONTRACT_ADDRESS=${address}\n`;
-    }
-    
-    fs.writeFileSync(envPath, envContent);
-    console.log("✅ Updated .env with contract address");
+  console.log("\n💾 Deployment registry updated:", REGISTRY_PATH);
+  if (previous) {
+    console.log(`  → Replaced previous chain ${chainId} deployment at ${previous.contractAddress}`);
   }
   
   console.log("\n📋 Next steps:");
   console.log("1. Start your app: npm run dev");
+  console.log("2. Connect your wallet to chain", chainId);
   console.log("\n✨ Deployment complete!\n");
 }
 
@@ -5,6 +5,7 @@ import { WalletProvider } from './context/WalletContext';
 import ErrorBoundary from './components/common/ErrorBoundary';
 import { Navbar } from './components/layout/Navbar';
 import { Footer } from './components/layout/Footer';
+import { DeploymentGate } from './components/layout/DeploymentGate';
 import { Home } from './pages/Home';
 import { CreateHackathon } from './pages/CreateHackathon';
 import { HackathonDetail } from './pages/HackathonDetail';
@@ -159,25 +160,27 @@ function App() {
             
             {/* Main Content */}
             <main className="flex-1">
-              <Routes>
-                {/* Home Page */}
-                <Route path="/" element={<Home />} />
+              <DeploymentGate>
+                <Routes>
+                  {/* Home Page */}
+                  <Route path="/" element={<Home />} />
                 
-                {/* Create Hackathon */}
-                <Route path="/create" element={<CreateHackathon />} />
+                  {/* Create Hackathon */}
+                  <Route path="/create" element={<CreateHackathon />} />
                 
-                {/* Hackathon Detail */}
-                <Route path="/hackathon/:id" element={<HackathonDetail />} />
+                  {/* Hackathon Detail */}
+                  <Route path="/hackathon/:id" element={<HackathonDetail />} />
                 
-                {/* Judge Dashboard */}
-                <Route path="/judge" element={<JudgeDashboard />} />
+                  {/* Judge Dashboard */}
+                  <Route path="/judge" element={<JudgeDashboard />} />
                 
-                {/* Results Page */}
-                <Route path="/results" element={<Results />} />
+                  {/* Results Page */}
+                  <Route path="/results" element={<Results />} />
                 
-                {/* 404 - Redirect to Home */}
-                <Route path="*" element={<Home />} />
-              </Routes>
+                  {/* 404 - Redirect to Home */}
+                  <Route path="*" element={<Home />} />
+                </Routes>
+              </DeploymentGate>
             </main>
             
             {/* Footer */}
@@ -0,0 +1,99 @@
+import React from 'react';
+import { ethers } from 'ethers';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { AlertCircle, AlertTriangle, Fuel } from 'lucide-react';
+import { formatEth } from '@/utils/helpers';
+
+function formatGwei(wei) {
+  return `${parseFloat(ethers.formatUnits(wei, 'gwei')).toFixed(2)} gwei`;
+}
+
+/**
+ * Cost Preview Dialog Component
+ * Confirmation sheet shown before an organizer transaction is signed:
+ * estimated gas, ETH cost at current fees, block gas limit and balance checks
+ *
+ * @param {Object} props
+ * @param {Object|null} props.preview - From estimateTransactionCost() plus description; null hides the dialog
+ * @param {Function} props.onConfirm - Send the transaction
+ * @param {Function} props.onCancel - Abort the action
+ */
+export function CostPreviewDialog({ preview, onConfirm, onCancel }) {
+  const rows = preview ? [
+    { label: 'Estimated gas', value: preview.gasEstimate.toLocaleString() },
+    { label: 'Gas limit (+20%)', value: preview.gasLimit.toLocaleString() },
+    { label: 'Gas price', value: formatGwei(preview.feePerGas) },
+    { label: 'Estimated cost', value: formatEth(preview.estimatedCost, 6) },
+    { label: 'Maximum cost', value: formatEth(preview.maxCost, 6) },
+    { label: 'Your balance', value: formatEth(preview.balance, 6) },
+  ] : [];
+
+  return (
+    <Dialog open={!!preview} onOpenChange={(open) => !open && onCancel()}>
+      <DialogContent className="sm:max-w-[460px]">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Fuel className="h-5 w-5" />
+            Confirm transaction
+          </DialogTitle>
+          <DialogDescription>
+            {preview?.description}
+          </DialogDescription>
+        </DialogHeader>
+
+        {preview && (
+          <div className="space-y-4">
+            <dl className="grid grid-cols-2 gap-y-2 text-sm">
+              {rows.map((row) => (
+                <React.Fragment key={row.label}>
+                  <dt className="text-muted-foreground">{row.label}</dt>
+                  <dd className="text-right font-medium">{row.value}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+
+            {preview.nearBlockGasLimit && (
+              <div className="flex items-start gap-3 rounded-md border border-yellow-500/50 bg-yellow-500/10 p-4 text-sm">
+                <AlertTriangle className="h-4 w-4 text-yellow-500 shrink-0 mt-0.5" />
+                <p>
+                  This transaction needs {(preview.blockGasShare * 100).toFixed(0)}% of the block gas
+                  limit ({preview.blockGasLimit.toLocaleString()}). It may fail or wait long to be
+                  included.
+                </p>
+              </div>
+            )}
+
+            {!preview.hasEnoughBalance && (
+              <div className="flex items-start gap-3 rounded-md border border-destructive/50 bg-destructive/10 p-4 text-sm">
+                <AlertCircle className="h-4 w-4 text-destructive shrink-0 mt-0.5" />
+                <p>
+                  Insufficient balance: this may cost up to {formatEth(preview.maxCost, 6)} but the
+                  account holds {formatEth(preview.balance, 6)}.
+                </p>
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button onClick={onConfirm} disabled={!preview?.hasEnoughBalance}>
+            Confirm &amp; sign
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default CostPreviewDialog;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { cn } from '@/lib/utils';
+
+/**
+ * Error Description Component
+ * Renders an error's message plus the context decoded from a contract
+ * custom error (deadline, counts...), e.g. as a toast description
+ *
+ * @param {Object} props
+ * @param {Error} props.error - Error, ideally a ContractError with details
+ * @param {string} props.fallback - Message when the error has none
+ * @param {string} props.className - Additional classes
+ */
+export function ErrorDescription({ error, fallback = 'Please try again.', className }) {
+  const details = error?.details || [];
+
+  return (
+    <div className={cn('space-y-1', className)}>
+      <p>{error?.message || fallback}</p>
+      {details.length > 0 && (
+        <dl className="grid grid-cols-[auto_1fr] gap-x-3 text-xs opacity-80">
+          {details.map((detail) => (
+            <React.Fragment key={detail.name}>
+              <dt>{detail.label}</dt>
+              <dd className="font-medium">{detail.value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+}
+
+export default ErrorDescription;
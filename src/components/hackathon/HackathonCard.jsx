@@ -21,7 +21,35 @@ import {
   Award
 } from 'lucide-react';
 import { cn } from '@/lib/utils';
-import { formatAddress, formatDate } from '@/utils/helpers';
+import { formatAddress, formatDate, getRankingBadge } from '@/utils/helpers';
+
+/**
+ * Winners Podium
+ * Announced winners in ranking order, wrapping for any winner count
+ *
+ * @param {Object} props
+ * @param {string[]} props.winners - Winner addresses, first place first
+ */
+function WinnersPodium({ winners }) {
+  return (
+    <div className="pt-2 border-t space-y-2">
+      <p className="text-xs text-muted-foreground">Winners</p>
+      <ol className="flex flex-wrap gap-2">
+        {winners.map((winner, index) => {
+          const badge = getRankingBadge(index + 1);
+          return (
+            <li key={`${index}-${winner}`}>
+              <Badge variant="outline" className="gap-1 font-mono" title={badge.label}>
+                <span>{badge.emoji}</span>
+                {formatAddress(winner)}
+              </Badge>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
 
 /**
  * Hackathon Card Component
@@ -148,7 +176,16 @@ export function HackathonCard({
               <Award className="h-4 w-4 text-primary" />
               <span className="font-medium line-clamp-1">{hackathon.prizeDetails}</span>
             </div>
+            {hackathon.winnerCount > 0 && (
+              <p className="mt-1 text-xs text-muted-foreground">
+                Top {hackathon.winnerCount} awarded
+              </p>
+            )}
           </div>
+
+          {hackathon.winners?.length > 0 && (
+            <WinnersPodium winners={hackathon.winners} />
+          )}
         </CardContent>
 
         {showActions && (
@@ -246,6 +283,10 @@ export function HackathonCard({
           </div>
         )}
 
+        {hackathon.winners?.length > 0 && (
+          <WinnersPodium winners={hackathon.winners} />
+        )}
+
         <div className="flex items-center gap-2 text-xs text-muted-foreground">
           <span>Organized by</span>
           <code className="px-2 py-1 rounded bg-muted font-mono">
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
@@ -25,7 +25,9 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Card, CardContent } from '@/components/ui/card';
 import { Separator } from '@/components/ui/separator';
+import { Progress } from '@/components/ui/progress';
 import { LoadingSpinner } from '@/components/common/LoadingSpinner';
+import { ErrorDescription } from '@/components/common/ErrorDescription';
 import { 
   Star,
   CheckCircle2,
@@ -34,22 +36,56 @@ import {
   Video,
   FileText,
   AlertCircle,
+  AlertTriangle,
   Trophy
 } from 'lucide-react';
 import { useContract } from '@/hooks/useContract';
 import { useWalletContext } from '@/context/WalletContext';
-import { retrieveFromIPFS } from '@/utils/encryption';
-import { decryptIPFSHash } from '@/utils/decryption';
+import { retrieveFromIPFS, decryptSubmissionPayload } from '@/utils/encryption';
+import { decryptIPFSHash, decryptScoreClampFlag } from '@/utils/decryption';
+import { WALLET_ERROR_CODES, toContractError } from '@/utils/contractErrors';
+import { getMaxWeightedScore, retryWithBackoff } from '@/utils/helpers';
 import { toast } from 'sonner';
 import { cn } from '@/lib/utils';
 
-const scoringSchema = z.object({
-  innovation: z.number().min(1).max(10),
-  technical: z.number().min(1).max(10),
-  ux: z.number().min(1).max(10),
-  completeness: z.number().min(1).max(10),
-  documentation: z.number().min(1).max(10),
-});
+/**
+ * Build the score validation schema for a hackathon's rubric
+ * @param {Array} rubric - Normalized rubric from getRubric()
+ */
+function buildScoringSchema(rubric) {
+  return z.object({
+    scores: z.array(z.number().int()).superRefine((scores, ctx) => {
+      rubric.forEach((criterion, index) => {
+        const value = scores[index];
+        if (value === undefined || value < 1 || value > criterion.maxScore) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [index],
+            message: `Score must be between 1 and ${criterion.maxScore}`,
+          });
+        }
+      });
+    }),
+  });
+}
+
+const criterionIcons = [Trophy, FileText, Star, CheckCircle2];
+
+/**
+ * Progress label and bar position for each score submission stage
+ */
+const SCORE_STAGES = {
+  loading: { label: 'Loading FHE encryption keys...', progress: 10 },
+  encrypting: { label: 'Encrypting scores...', progress: 25 },
+  proving: { label: 'Generating encryption proof...', progress: 40 },
+  signing: { label: 'Confirm the transaction in your wallet...', progress: 70 },
+  confirming: { label: 'Waiting for confirmation...', progress: 90 },
+};
+
+/**
+ * Stages after which the score can no longer be cancelled
+ */
+const UNCANCELLABLE_STAGES = ['signing', 'confirming'];
 
 /**
  * Judge Score Dialog Component
@@ -72,61 +108,35 @@ export function JudgeScoreDialog({
   const [isLoading, setIsLoading] = useState(false);
   const [projectData, setProjectData] = useState(null);
   const [totalScore, setTotalScore] = useState(0);
+  const [rubric, setRubric] = useState([]);
+  const [scoreStatus, setScoreStatus] = useState({ hasScored: false, wasClamped: false });
+  const [submitStage, setSubmitStage] = useState(null);
+  const rubricRef = useRef([]);
+  const abortControllerRef = useRef(null);
   
   const { signer, account } = useWalletContext();
   const contract = useContract(signer);
 
   const form = useForm({
-    resolver: zodResolver(scoringSchema),
+    resolver: (values, context, options) =>
+      zodResolver(buildScoringSchema(rubricRef.current))(values, context, options),
     defaultValues: {
-      innovation: 5,
-      technical: 5,
-      ux: 5,
-      completeness: 5,
-      documentation: 5,
+      scores: [],
     },
   });
 
-  const scoringCriteria = [
-    {
-      name: 'innovation',
-      label: 'Innovation & Originality',
-      description: 'Creativity and uniqueness of the idea',
-      icon: Trophy,
-    },
-    {
-      name: 'technical',
-      label: 'Technical Implementation',
-      description: 'Code quality and technical execution',
-      icon: FileText,
-    },
-    {
-      name: 'ux',
-      label: 'User Experience',
-      description: 'Interface design and usability',
-      icon: Star,
-    },
-    {
-      name: 'completeness',
-      label: 'Completeness',
-      description: 'Functional features and polish',
-      icon: CheckCircle2,
-    },
-    {
-      name: 'documentation',
-      label: 'Documentation',
-      description: 'README, comments, and instructions',
-      icon: FileText,
-    },
-  ];
+  const maxWeightedScore = getMaxWeightedScore(rubric);
 
   useEffect(() => {
     const subscription = form.watch((value) => {
-      const total = Object.values(value).reduce((sum, val) => sum + (val || 0), 0);
+      const total = (value.scores || []).reduce(
+        (sum, val, index) => sum + (val || 0) * (rubric[index]?.weight || 0),
+        0
+      );
       setTotalScore(total);
     });
     return () => subscription.unsubscribe();
-  }, [form]);
+  }, [form, rubric]);
 
   useEffect(() => {
     if (open && !projectData) {
@@ -140,92 +150,182 @@ export function JudgeScoreDialog({
     try {
       console.log('🔓 Fetching submission data...');
       
-      const encryptedHash = await contract.getSubmissionIPFSHash(
-        hackathonId,
-        submission.submissionId
-      );
+      const [encryptedHash, encryptedKey, hackathonRubric] = await Promise.all([
+        contract.getSubmissionIPFSHash(hackathonId, submission.submissionId),
+        contract.getSubmissionContentKey(hackathonId, submission.submissionId),
+        contract.getRubric(hackathonId),
+      ]);
 
-      console.log('  → Decrypting IPFS hash...');
-      const ipfsHash = await decryptIPFSHash(encryptedHash);
+      if (hackathonRubric.length === 0) {
+        throw new Error('Scoring rubric not found');
+      }
+
+      rubricRef.current = hackathonRubric;
+      setRubric(hackathonRubric);
+      form.reset({
+        scores: hackathonRubric.map(criterion => Math.ceil(criterion.maxScore / 2)),
+      });
+
+      console.log('  → Decrypting IPFS hash and content key...');
+      const contractAddress = await contract.contract.getAddress();
+      const { ipfsHash, contentKey } = await decryptIPFSHash(
+        encryptedHash,
+        encryptedKey,
+        contractAddress,
+        signer
+      );
 
       console.log('  → Retrieving project data from IPFS...');
-      const data = await retrieveFromIPFS(ipfsHash);
+      const envelope = await retrieveFromIPFS(ipfsHash);
+      const data = await decryptSubmissionPayload(envelope, contentKey);
 
       setProjectData(data);
       console.log('  ✓ Project data loaded');
+
+      loadScoreStatus(contractAddress);
     } catch (error) {
       console.error('Failed to fetch project data:', error);
       
-      let errorMessage = 'Failed to load project data';
-      
-      if (error.message.includes('Only judge')) {
-        errorMessage = 'You must be a judge to view submissions';
-      } else if (error.message.includes('Access not granted')) {
-        errorMessage = 'Judge access has not been granted yet';
+      if (toContractError(error).code === WALLET_ERROR_CODES.USER_REJECTED) {
+        toast.error('Decryption signature rejected');
+      } else {
+        toast.error('Failed to load project data', {
+          description: <ErrorDescription error={error} />
+        });
       }
-      
-      toast.error(errorMessage);
       setOpen(false);
     } finally {
       setIsLoading(false);
     }
   };
 
+  /**
+   * Load whether this judge already scored the submission and, if so,
+   * whether the contract had to clamp any criterion score (the same
+   * encrypted flag the organizer can decrypt)
+   */
+  const loadScoreStatus = async (contractAddress) => {
+    try {
+      const hasScored = await contract.hasJudgeScored(hackathonId, submission.submissionId, account);
+      if (!hasScored) {
+        setScoreStatus({ hasScored: false, wasClamped: false });
+        return;
+      }
+
+      const clampHandle = await contract.getScoreClampFlag(hackathonId, submission.submissionId, account);
+      const wasClamped = await decryptScoreClampFlag(clampHandle, contractAddress, signer);
+      setScoreStatus({ hasScored: true, wasClamped });
+    } catch (error) {
+      console.warn('⚠️ Could not load score status:', error);
+    }
+  };
+
+  /**
+   * Check the clamp flag of a score that was just submitted
+   * ACL permissions can take a few seconds to reach the relayer, so retry.
+   */
+  const checkSubmittedScoreClamped = async () => {
+    try {
+      const contractAddress = await contract.contract.getAddress();
+      const clampHandle = await contract.getScoreClampFlag(hackathonId, submission.submissionId, account);
+      const wasClamped = await retryWithBackoff(
+        () => decryptScoreClampFlag(clampHandle, contractAddress, signer),
+        3,
+        2000
+      );
+
+      if (wasClamped) {
+        toast.warning('Score was clamped on-chain', {
+          description: 'One or more criterion scores were outside the rubric range and were clamped. The organizer can see this.',
+          duration: 8000,
+        });
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not verify clamp flag:', error);
+    }
+  };
+
+  const canCancel = isSubmitting && !UNCANCELLABLE_STAGES.includes(submitStage);
+  const stageInfo = SCORE_STAGES[submitStage];
+
+  const handleOpenChange = (nextOpen) => {
+    if (!nextOpen && isSubmitting) {
+      // Once the transaction is out the dialog stays until it is mined
+      if (!canCancel) return;
+      abortControllerRef.current?.abort();
+    }
+    setOpen(nextOpen);
+  };
+
   const onSubmit = async (data) => {
     if (!contract.contract) {
       toast.error('Contract not initialized');
       return;
     }
 
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     setIsSubmitting(true);
 
     try {
-      const totalScore = Object.values(data).reduce((sum, val) => sum + val, 0);
+      const criterionScores = data.scores;
+      const totalScore = criterionScores.reduce(
+        (sum, val, index) => sum + val * rubric[index].weight,
+        0
+      );
 
       console.log('📊 Submitting score...', {
         hackathonId,
         submissionId: submission.submissionId,
-        totalScore
+        criterionScores
       });
 
       await contract.submitScore(
         hackathonId,
         submission.submissionId,
-        totalScore,
-        account
+        criterionScores,
+        account,
+        {
+          onProgress: ({ stage }) => setSubmitStage(stage),
+          signal: abortController.signal
+        }
       );
 
       toast.success('Score submitted successfully!', {
-        description: `Total score: ${totalScore}/50`
+        description: `Weighted score: ${totalScore}/${maxWeightedScore}`
       });
 
+      checkSubmittedScoreClamped();
+
       setOpen(false);
-      form.reset();
+      form.reset({
+        scores: rubric.map(criterion => Math.ceil(criterion.maxScore / 2)),
+      });
       
       if (onSuccess) {
         onSuccess();
       }
     } catch (error) {
-      console.error('Score submission failed:', error);
-      
-      let errorMessage = error.message || 'Please try again.';
-      
-      if (error.message.includes('Already scored')) {
-        errorMessage = 'You have already scored this submission.';
-      } else if (error.message.includes('deadline passed')) {
-        errorMessage = 'Judging deadline has passed.';
+      if (error.name === 'AbortError') {
+        toast.info('Score submission cancelled');
+        return;
       }
+
+      console.error('Score submission failed:', error);
       
       toast.error('Score submission failed', {
-        description: errorMessage
+        description: <ErrorDescription error={error} />
       });
     } finally {
+      abortControllerRef.current = null;
       setIsSubmitting(false);
+      setSubmitStage(null);
     }
   };
 
   return (
-    <Dialog open={open} onOpenChange={setOpen}>
+    <Dialog open={open} onOpenChange={handleOpenChange}>
       <DialogTrigger asChild>
         {trigger || (
           <Button variant="outline" size="sm">
@@ -239,7 +339,7 @@ export function JudgeScoreDialog({
         <DialogHeader>
           <DialogTitle>Review Submission</DialogTitle>
           <DialogDescription>
-            Review the project and assign scores for each criterion (1-10 scale)
+            Review the project and assign scores for each criterion in the hackathon rubric
           </DialogDescription>
         </DialogHeader>
 
@@ -330,6 +430,28 @@ export function JudgeScoreDialog({
 
             <Separator />
 
+            {scoreStatus.hasScored && (
+              <div
+                className={cn(
+                  'flex items-start gap-3 rounded-md border p-4 text-sm',
+                  scoreStatus.wasClamped
+                    ? 'border-yellow-500/50 bg-yellow-500/10'
+                    : 'border-green-500/50 bg-green-500/10'
+                )}
+              >
+                {scoreStatus.wasClamped ? (
+                  <AlertTriangle className="h-4 w-4 text-yellow-500 shrink-0 mt-0.5" />
+                ) : (
+                  <CheckCircle2 className="h-4 w-4 text-green-500 shrink-0 mt-0.5" />
+                )}
+                <p>
+                  {scoreStatus.wasClamped
+                    ? 'You already scored this submission. Some criterion scores were outside the rubric range and were clamped on-chain; the organizer sees this flag too.'
+                    : 'You already scored this submission. All criterion scores were within the rubric range.'}
+                </p>
+              </div>
+            )}
+
             {/* Scoring Form */}
             <Form {...form}>
               <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
@@ -337,27 +459,27 @@ export function JudgeScoreDialog({
                   <div className="flex items-center justify-between">
                     <h4 className="text-sm font-semibold">Scoring Criteria</h4>
                     <Badge variant="outline" className="text-base font-bold">
-                      {totalScore} / 50
+                      {totalScore} / {maxWeightedScore}
                     </Badge>
                   </div>
 
-                  {scoringCriteria.map((criterion) => {
-                    const Icon = criterion.icon;
+                  {rubric.map((criterion, index) => {
+                    const Icon = criterionIcons[index % criterionIcons.length];
                     return (
                       <FormField
-                        key={criterion.name}
+                        key={`${index}-${criterion.name}`}
                         control={form.control}
-                        name={criterion.name}
+                        name={`scores.${index}`}
                         render={({ field }) => (
                           <FormItem>
                             <div className="flex items-start justify-between gap-4">
                               <div className="flex-1">
                                 <FormLabel className="flex items-center gap-2">
                                   <Icon className="h-4 w-4 text-primary" />
-                                  {criterion.label}
+                                  {criterion.name}
                                 </FormLabel>
                                 <FormDescription className="text-xs">
-                                  {criterion.description}
+                                  Weight ×{criterion.weight}
                                 </FormDescription>
                               </div>
                               <FormControl>
@@ -365,12 +487,12 @@ export function JudgeScoreDialog({
                                   <Input
                                     type="number"
                                     min="1"
-                                    max="10"
+                                    max={criterion.maxScore}
                                     className="w-20 text-center"
                                     {...field}
                                     onChange={(e) => field.onChange(parseInt(e.target.value) || 1)}
                                   />
-                                  <span className="text-sm text-muted-foreground">/10</span>
+                                  <span className="text-sm text-muted-foreground">/{criterion.maxScore}</span>
                                 </div>
                               </FormControl>
                             </div>
@@ -382,12 +504,19 @@ export function JudgeScoreDialog({
                   })}
                 </div>
 
+                {isSubmitting && stageInfo && (
+                  <div className="space-y-2">
+                    <p className="text-sm font-medium">{stageInfo.label}</p>
+                    <Progress value={stageInfo.progress} className="h-2" />
+                  </div>
+                )}
+
                 <DialogFooter>
                   <Button
                     type="button"
                     variant="outline"
-                    onClick={() => setOpen(false)}
-                    disabled={isSubmitting}
+                    onClick={() => handleOpenChange(false)}
+                    disabled={isSubmitting && !canCancel}
                   >
                     Cancel
                   </Button>
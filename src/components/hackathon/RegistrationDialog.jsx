@@ -25,6 +25,7 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
 import { LoadingSpinner } from '@/components/common/LoadingSpinner';
+import { ErrorDescription } from '@/components/common/ErrorDescription';
 import { 
   User, 
   Mail, 
@@ -64,7 +65,7 @@ export function RegistrationDialog({ hackathon, onSuccess, trigger }) {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [teamMembers, setTeamMembers] = useState([]);
   
-  const { signer, account, isConnected } = useWalletContext();
+  const { signer } = useWalletContext();
   const contract = useContract(signer);
 
   const form = useForm({
@@ -81,11 +82,7 @@ export function RegistrationDialog({ hackathon, onSuccess, trigger }) {
   });
 
   const onSubmit = async (data) => {
-    if (!isConnected) {
-      toast.error('Please connect your wallet first');
-      return;
-    }
-
+    // No wallet check here: registerForHackathon prompts for a connection if needed
     if (!contract.contract) {
       toast.error('Contract not initialized');
       return;
@@ -128,7 +125,7 @@ export function RegistrationDialog({ hackathon, onSuccess, trigger }) {
     } catch (error) {
       console.error('Registration failed:', error);
       toast.error('Registration failed', {
-        description: error.message || 'Please try again.'
+        description: <ErrorDescription error={error} />
       });
     } finally {
       setIsSubmitting(false);
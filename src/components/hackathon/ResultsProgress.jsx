@@ -0,0 +1,136 @@
+import React from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Progress } from '@/components/ui/progress';
+import { CheckCircle2, Circle, Loader2, Trophy } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { RANKING_MODES } from '@/utils/helpers';
+
+/**
+ * Results Progress Component
+ * Organizer view of the results workflow: aggregate the encrypted scores,
+ * reveal them, announce the winners (then, in TopN mode, reveal the winners'
+ * criterion totals). Batched steps show how many submissions or winners are
+ * done, so an interrupted step can be resumed.
+ *
+ * @param {Object} props
+ * @param {Object} props.progress - From useContract().getResultsProgress()
+ * @param {number} props.status - Hackathon status (3 once every score is aggregated)
+ * @param {boolean} props.canCalculate - Judging deadline has passed
+ * @param {string|null} props.running - Step being driven: 'calculate', 'reveal' or null
+ * @param {Function} props.onCalculate - Run (or resume) the aggregation
+ * @param {Function} props.onReveal - Run (or resume) the reveal, criterion totals included
+ */
+export function ResultsProgress({ progress, status, canCalculate, running, onCalculate, onReveal }) {
+  const revealAll = progress.rankingMode === RANKING_MODES.REVEAL_ALL;
+
+  const steps = [
+    {
+      key: 'calculate',
+      title: 'Aggregate encrypted scores',
+      description: 'Sums every judge\'s criterion scores without decrypting them',
+      done: status >= 3,
+      count: progress.calculated,
+      onRun: onCalculate,
+      disabled: !canCalculate,
+    },
+    {
+      key: 'reveal',
+      title: revealAll ? 'Decrypt and verify scores' : 'Reveal the winners',
+      description: revealAll
+        ? 'Publicly decrypts every score and checks the decryption proofs on-chain'
+        : 'Decrypts the encrypted top ranking and announces the winners',
+      done: progress.announced,
+      count: revealAll ? progress.decrypted : null,
+      onRun: onReveal,
+    },
+    !revealAll && {
+      key: 'criteria',
+      title: 'Reveal the winners\' criterion totals',
+      description: 'Decrypts each winner\'s per-criterion totals and checks the proofs on-chain',
+      done: progress.complete,
+      count: progress.announced ? progress.criteriaRevealed : null,
+      total: progress.winnerCount,
+      unit: 'winners',
+      onRun: onReveal,
+    },
+    {
+      key: 'announce',
+      title: 'Winners announced',
+      description: 'Results are public on the Results tab',
+      done: progress.complete,
+    },
+  ].filter(Boolean);
+
+  const activeIndex = steps.findIndex(step => !step.done);
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Trophy className="h-5 w-5" />
+          Results
+        </CardTitle>
+        <CardDescription>
+          Large hackathons are processed in several transactions; you can stop and resume at any time
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ol className="space-y-4">
+          {steps.map((step, index) => {
+            const active = index === activeIndex;
+            // Reveal and criteria share one handler, so both show its spinner
+            const isRunning = running === step.key || (running === 'reveal' && step.key === 'criteria');
+            const total = step.total ?? progress.total;
+            const showCount = step.count !== null && step.count !== undefined && total > 0;
+
+            return (
+              <li key={step.key} className="flex items-start gap-3">
+                {step.done ? (
+                  <CheckCircle2 className="h-5 w-5 text-green-500 shrink-0 mt-0.5" />
+                ) : isRunning ? (
+                  <Loader2 className="h-5 w-5 text-primary animate-spin shrink-0 mt-0.5" />
+                ) : (
+                  <Circle className={cn('h-5 w-5 shrink-0 mt-0.5', active ? 'text-primary' : 'text-muted-foreground')} />
+                )}
+
+                <div className="flex-1 space-y-2">
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <p className={cn('font-medium', !active && !step.done && 'text-muted-foreground')}>
+                        {step.title}
+                      </p>
+                      <p className="text-sm text-muted-foreground">{step.description}</p>
+                    </div>
+
+                    {active && step.onRun && (
+                      <Button
+                        size="sm"
+                        onClick={step.onRun}
+                        disabled={!!running || step.disabled}
+                        className="shrink-0"
+                      >
+                        {isRunning ? 'Working...' : step.count > 0 ? 'Resume' : 'Start'}
+                      </Button>
+                    )}
+                  </div>
+
+                  {showCount && !step.done && (active || step.count > 0) && (
+                    <div className="flex items-center gap-3">
+                      <Progress value={(step.count / total) * 100} className="h-2" />
+                      <span className="text-xs text-muted-foreground whitespace-nowrap">
+                        {step.count}/{total} {step.unit || 'submissions'}
+                      </span>
+                    </div>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ResultsProgress;
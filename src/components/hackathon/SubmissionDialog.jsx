@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
@@ -26,6 +26,7 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Progress } from '@/components/ui/progress';
 import { LoadingSpinner } from '@/components/common/LoadingSpinner';
+import { ErrorDescription } from '@/components/common/ErrorDescription';
 import { 
   Upload, 
   CheckCircle2,
@@ -34,7 +35,8 @@ import {
   Video,
   Code,
   FileText,
-  AlertCircle
+  AlertCircle,
+  X
 } from 'lucide-react';
 import { useContract } from '@/hooks/useContract';
 import { useWalletContext } from '@/context/WalletContext';
@@ -43,7 +45,6 @@ import {
   validateSubmissionData,
   initStorachaClient 
 } from '@/utils/encryption';
-import { encryptIPFSHash } from '@/utils/fhevm';
 import { toast } from 'sonner';
 
 const submissionSchema = z.object({
@@ -56,6 +57,25 @@ const submissionSchema = z.object({
   additionalNotes: z.string().optional(),
 });
 
+/**
+ * Progress label and bar position for each submission stage
+ * 'uploading' is interpolated between its range using the bytes sent.
+ */
+const SUBMISSION_STAGES = {
+  preparing: { label: 'Encrypting submission payload...', progress: 5 },
+  uploading: { label: 'Uploading to IPFS...', progress: 10, until: 60 },
+  loading: { label: 'Loading FHE encryption keys...', progress: 62 },
+  encrypting: { label: 'Encrypting IPFS hash...', progress: 68 },
+  proving: { label: 'Generating encryption proof...', progress: 75 },
+  signing: { label: 'Confirm the transaction in your wallet...', progress: 85 },
+  confirming: { label: 'Waiting for confirmation...', progress: 95 },
+};
+
+/**
+ * Stages after which the submission can no longer be cancelled
+ */
+const UNCANCELLABLE_STAGES = ['signing', 'confirming'];
+
 /**
  * Submission Dialog Component
  * Handles encrypted project submission with IPFS storage
@@ -70,6 +90,8 @@ export function SubmissionDialog({ hackathon, onSuccess, trigger }) {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [currentStep, setCurrentStep] = useState('');
+  const [currentStage, setCurrentStage] = useState(null);
+  const abortControllerRef = useRef(null);
   
   const { signer, account, isConnected } = useWalletContext();
   const contract = useContract(signer);
@@ -87,6 +109,35 @@ export function SubmissionDialog({ hackathon, onSuccess, trigger }) {
     },
   });
 
+  const canCancel = isSubmitting && !UNCANCELLABLE_STAGES.includes(currentStage);
+
+  const handleProgress = ({ stage, loaded, total }) => {
+    const step = SUBMISSION_STAGES[stage];
+    if (!step) return;
+
+    let progress = step.progress;
+    if (step.until && total) {
+      progress += Math.round((step.until - step.progress) * Math.min(loaded / total, 1));
+    }
+
+    setCurrentStage(stage);
+    setCurrentStep(step.label);
+    setUploadProgress(progress);
+  };
+
+  const cancelSubmission = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleOpenChange = (nextOpen) => {
+    if (!nextOpen && isSubmitting) {
+      // Once the transaction is out the dialog stays until it is mined
+      if (!canCancel) return;
+      cancelSubmission();
+    }
+    setOpen(nextOpen);
+  };
+
   const onSubmit = async (data) => {
     if (!isConnected) {
       toast.error('Please connect your wallet first');
@@ -106,12 +157,15 @@ export function SubmissionDialog({ hackathon, onSuccess, trigger }) {
       return;
     }
 
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    const options = { onProgress: handleProgress, signal: abortController.signal };
+
     setIsSubmitting(true);
     setUploadProgress(0);
 
     try {
       setCurrentStep('Validating submission...');
-      setUploadProgress(10);
 
       const submissionData = {
         projectName: data.projectName,
@@ -129,36 +183,19 @@ export function SubmissionDialog({ hackathon, onSuccess, trigger }) {
       }
 
       setCurrentStep('Initializing Storacha...');
-      setUploadProgress(20);
 
       await initStorachaClient(email);
 
-      setCurrentStep('Uploading to IPFS...');
-      setUploadProgress(40);
-
-      const { cid, ipfsUrl } = await processSubmission(submissionData, email);
-
-      console.log('✓ IPFS upload complete:', cid);
-
-      setCurrentStep('Encrypting IPFS hash...');
-      setUploadProgress(60);
-
-      const contractAddress = await contract.contract.getAddress();
-      const { handles, inputProof } = await encryptIPFSHash(
-        contractAddress,
-        account,
-        cid
-      );
+      const { cid, contentKey } = await processSubmission(submissionData, email, options);
 
-      console.log('✓ IPFS hash encrypted');
-
-      setCurrentStep('Submitting to blockchain...');
-      setUploadProgress(80);
+      console.log('✓ Encrypted payload uploaded');
 
       await contract.submitProject(
         hackathon.id,
         cid,
-        account
+        account,
+        contentKey,
+        options
       );
 
       setUploadProgress(100);
@@ -174,32 +211,34 @@ export function SubmissionDialog({ hackathon, onSuccess, trigger }) {
         onSuccess();
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        toast.info('Submission cancelled', {
+          description: 'Nothing was submitted on-chain.'
+        });
+        return;
+      }
+
       console.error('Submission failed:', error);
       
-      let errorMessage = error.message || 'Please try again.';
-      
-      if (error.message.includes('Not registered')) {
-        errorMessage = 'You must register for the hackathon first.';
-      } else if (error.message.includes('Already submitted')) {
-        errorMessage = 'You have already submitted a project.';
-      } else if (error.message.includes('deadline passed')) {
-        errorMessage = 'Submission deadline has passed.';
-      } else if (error.message.includes('email')) {
-        errorMessage = 'Email verification failed. Please check your Storacha email.';
-      }
+      // Storacha upload errors are plain Errors; contract errors carry their own context
+      const description = error.message?.includes('email')
+        ? 'Email verification failed. Please check your Storacha email.'
+        : <ErrorDescription error={error} />;
       
       toast.error('Submission failed', {
-        description: errorMessage
+        description
       });
     } finally {
+      abortControllerRef.current = null;
       setIsSubmitting(false);
       setUploadProgress(0);
       setCurrentStep('');
+      setCurrentStage(null);
     }
   };
 
   return (
-    <Dialog open={open} onOpenChange={setOpen}>
+    <Dialog open={open} onOpenChange={handleOpenChange}>
       <DialogTrigger asChild>
         {trigger || (
           <Button>
@@ -222,9 +261,23 @@ export function SubmissionDialog({ hackathon, onSuccess, trigger }) {
             <div className="text-center space-y-2">
               <LoadingSpinner size="lg" />
               <p className="text-sm font-medium">{currentStep}</p>
-              <p className="text-xs text-muted-foreground">Please do not close this window</p>
+              <p className="text-xs text-muted-foreground">
+                {canCancel ? 'You can still cancel before the transaction is sent' : 'Please do not close this window'}
+              </p>
             </div>
             <Progress value={uploadProgress} className="h-2" />
+            <div className="flex justify-center">
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={cancelSubmission}
+                disabled={!canCancel}
+              >
+                <X className="mr-2 h-4 w-4" />
+                Cancel Submission
+              </Button>
+            </div>
           </div>
         ) : (
           <Form {...form}>
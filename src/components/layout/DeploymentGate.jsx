@@ -0,0 +1,74 @@
+import React from 'react';
+import { useWalletContext } from '@/context/WalletContext';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { AlertCircle } from 'lucide-react';
+import { getChain } from '@/utils/chains';
+import { getReadOnlyChainId, isContractAvailable } from '@/utils/contract';
+import { getDeployedChainIds } from '@/utils/deployments';
+
+/**
+ * Deployment Gate
+ * Renders the pages only when Zackathon is deployed on the chain they would
+ * read from (the wallet's chain, or the read-only chain without a wallet);
+ * otherwise explains how to get a deployment instead of surfacing RPC errors.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Routed pages
+ */
+export function DeploymentGate({ children }) {
+  const { signer, chainId, switchNetwork } = useWalletContext();
+  const targetChainId = signer ? chainId : getReadOnlyChainId();
+
+  if (isContractAvailable(targetChainId)) {
+    return children;
+  }
+
+  const chainName = getChain(targetChainId)?.name || `chain ${targetChainId}`;
+  const deployedChains = getDeployedChainIds().map(id => getChain(id)).filter(Boolean);
+
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <AlertCircle className="h-5 w-5 text-destructive" />
+            Zackathon is not deployed on {chainName}
+          </CardTitle>
+          <CardDescription>
+            No contract address is registered for this network.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4 text-sm text-muted-foreground">
+          {deployedChains.length > 0 ? (
+            <div className="space-y-2">
+              <p>Switch to a network with a deployment:</p>
+              <div className="flex flex-wrap gap-2">
+                {deployedChains.map(chain => (
+                  <Button
+                    key={chain.chainId}
+                    variant="outline"
+                    size="sm"
+                    onClick={() => switchNetwork(chain.chainId)}
+                  >
+                    {chain.name}
+                  </Button>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <p>No network has a deployment yet.</p>
+          )}
+          <p>
+            To deploy, run <code className="font-mono">npm run deploy-contract</code> (Sepolia)
+            or <code className="font-mono">npm run deploy-contract:local</code> against
+            a local <code className="font-mono">npx hardhat node</code>; both record the
+            addresses in <code className="font-mono">src/utils/deployments.json</code>.
+          </p>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default DeploymentGate;
@@ -4,6 +4,13 @@ import { useWalletContext } from '@/context/WalletContext';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
 import { 
   Menu, 
   X, 
@@ -16,6 +23,43 @@ import {
 } from 'lucide-react';
 import { cn } from '@/lib/utils';
 import { formatAddress } from '@/utils/helpers';
+import { PendingTransactions } from './PendingTransactions';
+
+/**
+ * Network selector
+ * Lists the supported networks and flags unsupported or undeployed ones
+ */
+function NetworkSwitcher({ className }) {
+  const { chainId, supportedChains, isCorrectNetwork, isDeployed, switchNetwork } = useWalletContext();
+
+  return (
+    <div className={cn('flex items-center gap-2', className)}>
+      {!isCorrectNetwork && (
+        <Badge variant="destructive">Wrong Network</Badge>
+      )}
+      {isCorrectNetwork && !isDeployed && (
+        <Badge variant="destructive" title="Zackathon has no deployment on this network">
+          Not Deployed
+        </Badge>
+      )}
+      <Select
+        value={isCorrectNetwork ? String(chainId) : undefined}
+        onValueChange={(value) => switchNetwork(Number(value))}
+      >
+        <SelectTrigger className="h-9 w-[150px]">
+          <SelectValue placeholder="Switch network" />
+        </SelectTrigger>
+        <SelectContent>
+          {supportedChains.map((chain) => (
+            <SelectItem key={chain.chainId} value={String(chain.chainId)}>
+              {chain.name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
 
 /**
  * Navbar Component
@@ -27,7 +71,6 @@ export function Navbar() {
   const { 
     account, 
     isConnected, 
-    isCorrectNetwork,
     connectWallet, 
     disconnectWallet,
     isConnecting 
@@ -77,50 +120,53 @@ export function Navbar() {
             })}
           </div>
 
-          {/* Wallet Connection */}
-          <div className="hidden md:flex md:items-center md:gap-4">
-            {isConnected ? (
-              <>
-                {!isCorrectNetwork && (
-                  <Badge variant="destructive">Wrong Network</Badge>
-                )}
-                <div className="flex items-center gap-2 rounded-md border px-3 py-2 text-sm">
-                  <div className="h-2 w-2 rounded-full bg-green-500" />
-                  <span className="font-medium">{formatAddress(account)}</span>
-                </div>
-                <Button
-                  variant="ghost"
-                  size="icon"
-                  onClick={disconnectWallet}
-                  title="Disconnect Wallet"
+          <div className="flex items-center gap-4">
+            {/* Pending Transactions (one instance, shown on every screen size) */}
+            <PendingTransactions />
+
+            {/* Wallet Connection */}
+            <div className="hidden md:flex md:items-center md:gap-4">
+              {isConnected ? (
+                <>
+                  <NetworkSwitcher />
+                  <div className="flex items-center gap-2 rounded-md border px-3 py-2 text-sm">
+                    <div className="h-2 w-2 rounded-full bg-green-500" />
+                    <span className="font-medium">{formatAddress(account)}</span>
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={disconnectWallet}
+                    title="Disconnect Wallet"
+                  >
+                    <LogOut className="h-4 w-4" />
+                  </Button>
+                </>
+              ) : (
+                <Button 
+                  onClick={connectWallet}
+                  disabled={isConnecting}
                 >
-                  <LogOut className="h-4 w-4" />
+                  <Wallet className="mr-2 h-4 w-4" />
+                  {isConnecting ? 'Connecting...' : 'Connect Wallet'}
                 </Button>
-              </>
-            ) : (
-              <Button 
-                onClick={connectWallet}
-                disabled={isConnecting}
-              >
-                <Wallet className="mr-2 h-4 w-4" />
-                {isConnecting ? 'Connecting...' : 'Connect Wallet'}
-              </Button>
-            )}
-          </div>
+              )}
+            </div>
 
-          {/* Mobile Menu Button */}
-          <Button
-            variant="ghost"
-            size="icon"
-            className="md:hidden"
-            onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
-          >
-            {mobileMenuOpen ? (
-              <X className="h-5 w-5" />
-            ) : (
-              <Menu className="h-5 w-5" />
-            )}
-          </Button>
+            {/* Mobile Menu Button */}
+            <Button
+              variant="ghost"
+              size="icon"
+              className="md:hidden"
+              onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+            >
+              {mobileMenuOpen ? (
+                <X className="h-5 w-5" />
+              ) : (
+                <Menu className="h-5 w-5" />
+              )}
+            </Button>
+          </div>
         </div>
 
         {/* Mobile Menu */}
@@ -156,11 +202,7 @@ export function Navbar() {
             {/* Mobile Wallet Connection */}
             {isConnected ? (
               <div className="space-y-2">
-                {!isCorrectNetwork && (
-                  <Badge variant="destructive" className="w-full justify-center">
-                    Wrong Network - Switch to Sepolia
-                  </Badge>
-                )}
+                <NetworkSwitcher className="justify-between" />
                 <div className="flex items-center justify-between rounded-md border p-3">
                   <div className="flex items-center gap-2">
                     <div className="h-2 w-2 rounded-full bg-green-500" />
@@ -0,0 +1,141 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { toast } from 'sonner';
+import { useTransactions } from '@/hooks/useTransactions';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { ExternalLink, History, Loader2 } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { formatTxHash } from '@/utils/helpers';
+import { getExplorerTxUrl } from '@/utils/chains';
+import { TX_STATUS, getTransactions, subscribeTransactions } from '@/utils/transactions';
+
+const STATUS_META = {
+  [TX_STATUS.PENDING]: { label: 'Pending', variant: 'outline' },
+  [TX_STATUS.CONFIRMED]: { label: 'Confirmed', variant: 'default' },
+  [TX_STATUS.FAILED]: { label: 'Failed', variant: 'destructive' },
+  [TX_STATUS.CANCELLED]: { label: 'Cancelled', variant: 'secondary' },
+  [TX_STATUS.REPLACED]: { label: 'Replaced', variant: 'secondary' },
+  [TX_STATUS.DROPPED]: { label: 'Dropped', variant: 'destructive' },
+};
+
+/**
+ * Pending transactions indicator
+ * Spinner with the pending count plus a dropdown of recent transactions.
+ * Also announces the outcome of transactions resumed after a reload,
+ * since no page is waiting on those.
+ */
+export function PendingTransactions({ className }) {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+  const { transactions, pending, clearFinished } = useTransactions();
+
+  useEffect(() => {
+    const previous = new Map(getTransactions().map(tx => [tx.id, tx.status]));
+
+    return subscribeTransactions((records) => {
+      records.forEach((tx) => {
+        const wasPending = previous.get(tx.id) === TX_STATUS.PENDING;
+        previous.set(tx.id, tx.status);
+
+        if (!wasPending || !tx.resumed || tx.status === TX_STATUS.PENDING) return;
+
+        if (tx.status === TX_STATUS.CONFIRMED) {
+          toast.success(`${tx.description} confirmed`);
+        } else {
+          toast.error(`${tx.description}: ${tx.error || STATUS_META[tx.status].label}`);
+        }
+      });
+    });
+  }, []);
+
+  // Close the dropdown on outside clicks
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  if (transactions.length === 0) return null;
+
+  return (
+    <div ref={containerRef} className={cn('relative', className)}>
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => setOpen(!open)}
+        title="Recent transactions"
+      >
+        {pending.length > 0 ? (
+          <>
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            {pending.length} pending
+          </>
+        ) : (
+          <History className="h-4 w-4" />
+        )}
+      </Button>
+
+      {open && (
+        <div className="absolute right-0 top-full z-50 mt-2 w-80 rounded-md border bg-background p-2 shadow-lg">
+          <div className="flex items-center justify-between px-2 py-1">
+            <span className="text-sm font-semibold">Transactions</span>
+            {transactions.length > pending.length && (
+              <Button variant="ghost" size="sm" className="h-7 text-xs" onClick={clearFinished}>
+                Clear finished
+              </Button>
+            )}
+          </div>
+
+          <ul className="max-h-80 space-y-1 overflow-y-auto">
+            {transactions.map((tx) => {
+              const meta = STATUS_META[tx.status];
+              const explorerUrl = getExplorerTxUrl(tx.chainId, tx.hash);
+
+              return (
+                <li key={tx.id} className="rounded-md px-2 py-2 hover:bg-muted">
+                  <div className="flex items-start justify-between gap-2">
+                    <span className="text-sm">{tx.description}</span>
+                    <Badge variant={meta.variant} className="shrink-0 gap-1">
+                      {tx.status === TX_STATUS.PENDING && <Loader2 className="h-3 w-3 animate-spin" />}
+                      {meta.label}
+                    </Badge>
+                  </div>
+                  <div className="mt-1 flex items-center gap-2 text-xs text-muted-foreground">
+                    {explorerUrl ? (
+                      <a
+                        href={explorerUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center gap-1 hover:text-primary"
+                      >
+                        {formatTxHash(tx.hash)}
+                        <ExternalLink className="h-3 w-3" />
+                      </a>
+                    ) : (
+                      <span className="font-mono">{formatTxHash(tx.hash)}</span>
+                    )}
+                    {tx.replacedHash && (
+                      <span>{tx.status === TX_STATUS.CONFIRMED ? '(sped up)' : '(replaced)'}</span>
+                    )}
+                  </div>
+                  {tx.error && (
+                    <p className="mt-1 text-xs text-destructive">{tx.error}</p>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PendingTransactions;
@@ -19,14 +19,17 @@ export function WalletProvider({ children }) {
 
 /**
  * Hook to access wallet context
- * Must be used within WalletProvider
+ * Must be used within WalletProvider, unless `optional` is set
+ * (then null is returned outside the provider)
+ * 
+ * @param {{optional?: boolean}} [options]
  */
-export function useWalletContext() {
+export function useWalletContext({ optional = false } = {}) {
   const context = useContext(WalletContext);
   
-  if (!context) {
+  if (!context && !optional) {
     throw new Error('useWalletContext must be used within WalletProvider');
   }
   
   return context;
-}
\ No newline at end of file
+}
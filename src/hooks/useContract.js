@@ -1,32 +1,166 @@
-import { useState, useEffect } from 'react';
-import { getContract, parseContractError, waitForTransaction } from '../utils/contract';
+import { useState, useEffect, useMemo } from 'react';
+import {
+  MAX_PAGE_SIZE,
+  estimateBatchEnd,
+  estimateTransactionCost,
+  getContract,
+  getLensContract,
+  getReadOnlyChainId,
+  getReadOnlyContract,
+} from '../utils/contract';
+import { WALLET_ERROR_CODES, toContractError } from '../utils/contractErrors';
+import { useWalletContext } from '../context/WalletContext';
 import { 
   encryptIPFSHash, 
-  encryptScore, 
+  encryptScores, 
   isSDKInitialized,
   toHex,
   toFixed32,
   decryptScores,
   extractHandles,
   validateHandles,
-  formatDecryptedScores
+  formatDecryptedScores,
+  PUBLIC_DECRYPT_BATCH_HANDLES
 } from '../utils/fhevm';
+import { verifyPublicDecryption } from '../utils/decryption';
+import { createBatchedContract, getMulticallAddress } from '../utils/multicall';
+import { getQueryScope, invalidateHackathonQueries } from '../utils/queryCache';
+import { sendTransaction } from '../utils/transactions';
+import { DEFAULT_WINNER_COUNT, RANKING_MODES, normalizeRubric, retryWithBackoff } from '../utils/helpers';
 import { ethers } from 'ethers';
 
+// Views that check msg.sender and so cannot go through Multicall3
+const UNBATCHED_READS = ['getSubmissionIPFSHash', 'getSubmissionContentKey'];
+
+/**
+ * Item positions of one page, clamped like ZackathonLens._pageBounds
+ */
+function pageIndexes(offset, limit, total) {
+  const start = Math.min(offset, total);
+  const end = Math.min(total, start + Math.min(limit, MAX_PAGE_SIZE));
+  return Array.from({ length: end - start }, (_, i) => start + i);
+}
+
 /**
  * Contract interaction hook for Zackathon
  * Provides all contract methods with encryption/decryption
+ * Views work without a wallet (read-only JSON-RPC); actions connect lazily.
  */
 export function useContract(signer) {
   const [contract, setContract] = useState(null);
+  const wallet = useWalletContext({ optional: true });
 
   useEffect(() => {
-    if (signer) {
-      const contractInstance = getContract(signer);
-      setContract(contractInstance);
-    }
+    // Views fall back to a JSON-RPC provider so pages work without a wallet
+    const contractInstance = signer ? getContract(signer) : getReadOnlyContract();
+    setContract(contractInstance);
   }, [signer]);
 
+  // Reads made in the same tick are coalesced into one eth_call
+  const reader = useMemo(
+    () => createBatchedContract(contract, getMulticallAddress(), UNBATCHED_READS),
+    [contract]
+  );
+
+  // Paged views live in ZackathonLens when the chain has one (see readContractPage)
+  const lens = useMemo(
+    () => contract && getLensContract(contract.runner, signer ? undefined : getReadOnlyChainId()),
+    [contract, signer]
+  );
+
+  /**
+   * Contract bound to the wallet signer
+   * Prompts the user to connect when an action needs a signature.
+   */
+  const getSignedContract = async () => {
+    const activeSigner = signer || await wallet?.ensureSigner();
+
+    if (!activeSigner) {
+      throw new Error('Please connect your wallet to continue');
+    }
+
+    const signedContract = activeSigner === signer && contract ? contract : getContract(activeSigner);
+    if (!signedContract) throw new Error('Contract not initialized');
+
+    return signedContract;
+  };
+
+  /**
+   * Mark cached reads affected by a confirmed transaction as outdated
+   * @param {number|string|null} hackathonId - null when only listings changed
+   */
+  const invalidateAfterWrite = (signedContract, hackathonId) => {
+    invalidateHackathonQueries(getQueryScope(signedContract), hackathonId);
+  };
+
+  /**
+   * Send an organizer transaction, previewing its cost first
+   * options.confirm receives the estimateTransactionCost() preview plus the
+   * description and resolves to false to cancel before the wallet prompt
+   * (rejected with an AbortError). A failing estimate rejects with the
+   * decoded revert reason, so doomed transactions never reach the wallet.
+   */
+  const sendConfirmed = async (signedContract, method, args, { confirm, ...txOptions }) => {
+    if (!confirm) {
+      return sendTransaction(() => signedContract[method](...args), txOptions);
+    }
+
+    const preview = await estimateTransactionCost(signedContract[method], args, signedContract.runner);
+    const confirmed = await confirm({ ...preview, method, description: txOptions.description });
+
+    if (!confirmed) {
+      throw new DOMException('Transaction cancelled', 'AbortError');
+    }
+
+    // Send with the previewed limit so the maximum cost shown holds
+    return sendTransaction(
+      () => signedContract[method](...args, { gasLimit: preview.gasLimit }),
+      txOptions
+    );
+  };
+
+  /**
+   * Drive a resumable batch method over every submission
+   * Starts from the on-chain progress counter and sizes each batch with
+   * estimateBatchEnd, so a run stopped by a cancel, a failed transaction or a
+   * reload picks up where it left off. A finished run still tries one batch,
+   * letting the contract explain why there is nothing left to do.
+   *
+   * @param {ethers.Contract} signedContract
+   * @param {number} hackathonId
+   * @param {Object} options
+   * @param {string} options.progressView - Counter of processed submissions, e.g. 'judgeAccessProgress'
+   * @param {string} options.batchMethod - Contract method taking (hackathonId, from, to)
+   * @param {Function} options.sendBatch - (from, to) => Promise, sends one batch
+   * @param {Function} [options.onProgress] - Called with { done, total } before the first and after each batch
+   * @returns {Promise<{done: number, total: number}>}
+   */
+  const runBatches = async (signedContract, hackathonId, { progressView, batchMethod, sendBatch, onProgress }) => {
+    const [done, total] = await Promise.all([
+      signedContract[progressView](hackathonId),
+      signedContract.getSubmissionCount(hackathonId),
+    ]);
+    let progress = { done: Number(done), total: Number(total) };
+    onProgress?.(progress);
+
+    do {
+      const to = await estimateBatchEnd(
+        signedContract[batchMethod],
+        (from, end) => [hackathonId, from, end],
+        progress.done,
+        progress.total,
+        signedContract.runner.provider
+      );
+
+      await sendBatch(progress.done, to);
+
+      progress = { ...progress, done: to };
+      onProgress?.(progress);
+    } while (progress.done < progress.total);
+
+    return progress;
+  };
+
   /**
    * Create a new hackathon
    */
@@ -37,40 +171,56 @@ export function useContract(signer) {
     submissionDeadline,
     judgingDeadline,
     maxParticipants,
-    judges
+    judges,
+    rubric,
+    rankingMode = RANKING_MODES.TOP_N,
+    winnerCount = DEFAULT_WINNER_COUNT,
+    { confirm } = {}
   ) => {
-    if (!contract) throw new Error('Contract not initialized');
+    const signedContract = await getSignedContract();
 
     try {
-      console.log('📝 Creating hackathon...', { name, judges: judges.length });
-
-      const tx = await contract.createHackathon(
-        name,
-        description,
-        prizeDetails,
-        submissionDeadline,
-        judgingDeadline,
-        maxParticipants,
-        judges
-      );
+      console.log('📝 Creating hackathon...', { name, judges: judges.length, criteria: rubric.length });
 
-      const receipt = await waitForTransaction(tx);
+      const receipt = await sendConfirmed(
+        signedContract,
+        'createHackathon',
+        [
+          name,
+          description,
+          prizeDetails,
+          submissionDeadline,
+          judgingDeadline,
+          maxParticipants,
+          judges,
+          rubric.map(criterion => ({
+            name: criterion.name,
+            maxScore: criterion.maxScore,
+            weight: criterion.weight
+          })),
+          rankingMode,
+          winnerCount
+        ],
+        { description: `Create "${name}"`, confirm }
+      );
 
       const event = receipt.logs.find(log => {
         try {
-          return contract.interface.parseLog(log)?.name === 'HackathonCreated';
+          return signedContract.interface.parseLog(log)?.name === 'HackathonCreated';
         } catch {
           return false;
         }
       });
 
-      const hackathonId = event ? contract.interface.parseLog(event).args.hackathonId : null;
+      const hackathonId = event ? signedContract.interface.parseLog(event).args.hackathonId : null;
+      invalidateAfterWrite(signedContract, null);
 
       console.log('✅ Hackathon created with ID:', hackathonId?.toString());
       return { hackathonId: hackathonId?.toString(), receipt };
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('❌ Create hackathon failed:', error);
-      throw new Error(parseContractError(error));
+      throw toContractError(error);
     }
   };
 
@@ -85,178 +235,429 @@ export function useContract(signer) {
     teamName,
     teamMembers
   ) => {
-    if (!contract) throw new Error('Contract not initialized');
+    const signedContract = await getSignedContract();
 
     try {
       console.log('📝 Registering for hackathon...', { hackathonId, email });
 
-      const tx = await contract.registerForHackathon(
-        hackathonId,
-        email,
-        discord,
-        twitter,
-        teamName,
-        teamMembers
+      const receipt = await sendTransaction(
+        () => signedContract.registerForHackathon(
+          hackathonId,
+          email,
+          discord,
+          twitter,
+          teamName,
+          teamMembers
+        ),
+        { description: `Register for hackathon #${hackathonId}`, hackathonId }
       );
-
-      const receipt = await waitForTransaction(tx);
+      invalidateAfterWrite(signedContract, hackathonId);
 
       console.log('✅ Registration successful');
       return receipt;
     } catch (error) {
       console.error('❌ Registration failed:', error);
-      throw new Error(parseContractError(error));
+      throw toContractError(error);
     }
   };
 
   /**
-   * Submit encrypted project IPFS hash
+   * Submit encrypted project IPFS hash and payload content key
+   * options.onProgress receives { stage } for encryption, 'signing' and
+   * 'confirming'; options.signal cancels the request until it is sent.
    */
-  const submitProject = async (hackathonId, ipfsHash, userAddress) => {
-    if (!contract) throw new Error('Contract not initialized');
+  const submitProject = async (hackathonId, ipfsHash, userAddress, contentKey, { onProgress, signal } = {}) => {
+    const signedContract = await getSignedContract();
     if (!isSDKInitialized()) throw new Error('FHEVM SDK not initialized. Please refresh.');
 
     try {
-      console.log('🗳️ Submitting project...', { hackathonId, ipfsHash: ipfsHash.substring(0, 20) + '...' });
+      console.log('🗳️ Submitting project...', { hackathonId });
 
-      const contractAddress = await contract.getAddress();
-      const encrypted = await encryptIPFSHash(contractAddress, userAddress, ipfsHash);
+      const contractAddress = await signedContract.getAddress();
+      // Inputs are bound to msg.sender; the caller may not know it yet after a lazy connect
+      const senderAddress = userAddress || await signedContract.runner.getAddress();
+      const encrypted = await encryptIPFSHash(contractAddress, senderAddress, ipfsHash, contentKey, { onProgress, signal });
 
-      const handleHex = toFixed32(toHex(encrypted.handles[0]));
+      const handlesHex = encrypted.handles.map(handle => toFixed32(toHex(handle)));
+      const keyHandleHex = toFixed32(toHex(encrypted.keyHandle));
       const proofHex = toHex(encrypted.inputProof);
 
-      const tx = await contract.submitProject(hackathonId, handleHex, proofHex);
-      const receipt = await waitForTransaction(tx);
+      signal?.throwIfAborted();
+      onProgress?.({ stage: 'signing' });
+      const receipt = await sendTransaction(
+        () => signedContract.submitProject(hackathonId, handlesHex, keyHandleHex, proofHex),
+        {
+          description: `Submit project to hackathon #${hackathonId}`,
+          hackathonId,
+          onSubmitted: () => onProgress?.({ stage: 'confirming' }),
+        }
+      );
+      invalidateAfterWrite(signedContract, hackathonId);
 
       console.log('✅ Project submitted successfully');
       return receipt;
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('❌ Project submission failed:', error);
-      throw new Error(parseContractError(error));
+      throw toContractError(error);
     }
   };
 
   /**
-   * Grant judge access to submissions (organizer only)
+   * Grant judge access to submissions [from, to) (organizer only)
+   * Batches must continue from getJudgeAccessProgress(); the last one opens judging.
+   * Accepts { confirm } for a cost preview (see sendConfirmed).
    */
-  const grantJudgeAccess = async (hackathonId) => {
-    if (!contract) throw new Error('Contract not initialized');
+  const grantJudgeAccessBatch = async (hackathonId, from, to, { confirm } = {}) => {
+    const signedContract = await getSignedContract();
 
     try {
-      console.log('🔓 Granting judge access...', hackathonId);
+      console.log('🔓 Granting judge access...', { hackathonId, from, to });
 
-      const tx = await contract.grantJudgeAccess(hackathonId);
-      const receipt = await waitForTransaction(tx);
+      const receipt = await sendConfirmed(signedContract, 'grantJudgeAccessBatch', [hackathonId, from, to], {
+        description: `Grant judge access for hackathon #${hackathonId} (submissions ${from + 1}-${to})`,
+        hackathonId,
+        confirm,
+      });
+      invalidateAfterWrite(signedContract, hackathonId);
 
-      console.log('✅ Judge access granted - submissions now decryptable');
+      console.log('✅ Judge access granted up to submission', to);
       return receipt;
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('❌ Grant access failed:', error);
-      throw new Error(parseContractError(error));
+      throw toContractError(error);
     }
   };
 
   /**
-   * Submit encrypted judge score
+   * Grant judge access to every submission (organizer only)
+   * Sends grantJudgeAccessBatch transactions (see runBatches) until judging opens.
+   *
+   * @param {number} hackathonId
+   * @param {Object} [options]
+   * @param {Function} [options.confirm] - Cost preview, asked for each batch (see sendConfirmed)
+   * @param {Function} [options.onProgress] - Called with { done, total } after each batch
+   * @returns {Promise<{done: number, total: number}>}
    */
-  const submitScore = async (hackathonId, submissionId, score, userAddress) => {
-    if (!contract) throw new Error('Contract not initialized');
+  const grantJudgeAccess = async (hackathonId, { confirm, onProgress } = {}) => {
+    const signedContract = await getSignedContract();
+
+    try {
+      const progress = await runBatches(signedContract, hackathonId, {
+        progressView: 'judgeAccessProgress',
+        batchMethod: 'grantJudgeAccessBatch',
+        sendBatch: (from, to) => grantJudgeAccessBatch(hackathonId, from, to, { confirm }),
+        onProgress,
+      });
+
+      console.log('✅ Judge access granted - submissions now decryptable');
+      return progress;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error('❌ Grant access failed:', error);
+      throw toContractError(error);
+    }
+  };
+
+  /**
+   * Submit encrypted judge scores (one value per criterion)
+   * Accepts the same { onProgress, signal } options as submitProject.
+   */
+  const submitScore = async (hackathonId, submissionId, criterionScores, userAddress, { onProgress, signal } = {}) => {
+    const signedContract = await getSignedContract();
     if (!isSDKInitialized()) throw new Error('FHEVM SDK not initialized. Please refresh.');
 
     try {
-      console.log('📊 Submitting score...', { hackathonId, submissionId, score });
+      console.log('📊 Submitting score...', { hackathonId, submissionId, criterionScores });
 
-      const contractAddress = await contract.getAddress();
-      const encrypted = await encryptScore(contractAddress, userAddress, score);
+      const contractAddress = await signedContract.getAddress();
+      // Inputs are bound to msg.sender; the caller may not know it yet after a lazy connect
+      const senderAddress = userAddress || await signedContract.runner.getAddress();
+      const encrypted = await encryptScores(contractAddress, senderAddress, criterionScores, { onProgress, signal });
 
-      const handleHex = toFixed32(toHex(encrypted.handles[0]));
+      const handlesHex = encrypted.handles.map(handle => toFixed32(toHex(handle)));
       const proofHex = toHex(encrypted.inputProof);
 
-      const tx = await contract.submitScore(hackathonId, submissionId, handleHex, proofHex);
-      const receipt = await waitForTransaction(tx);
+      signal?.throwIfAborted();
+      onProgress?.({ stage: 'signing' });
+      const receipt = await sendTransaction(
+        () => signedContract.submitScore(hackathonId, submissionId, handlesHex, proofHex),
+        {
+          description: `Score submission #${submissionId} of hackathon #${hackathonId}`,
+          hackathonId,
+          onSubmitted: () => onProgress?.({ stage: 'confirming' }),
+        }
+      );
+      invalidateAfterWrite(signedContract, hackathonId);
 
       console.log('✅ Score submitted successfully');
       return receipt;
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('❌ Score submission failed:', error);
-      throw new Error(parseContractError(error));
+      throw toContractError(error);
     }
   };
 
   /**
-   * Calculate winners using encrypted scores (organizer only)
+   * Aggregate the encrypted scores of submissions [from, to) (organizer only)
+   * Batches must continue from winnersProgress; the last one completes the calculation.
+   * Accepts { confirm } for a cost preview (see sendConfirmed).
    */
-  const calculateWinners = async (hackathonId) => {
-    if (!contract) throw new Error('Contract not initialized');
+  const calculateWinnersBatch = async (hackathonId, from, to, { confirm } = {}) => {
+    const signedContract = await getSignedContract();
 
     try {
-      console.log('🏆 Calculating winners...', hackathonId);
+      console.log('🏆 Calculating winners...', { hackathonId, from, to });
 
-      const tx = await contract.calculateWinners(hackathonId);
-      const receipt = await waitForTransaction(tx);
+      const receipt = await sendConfirmed(signedContract, 'calculateWinnersBatch', [hackathonId, from, to], {
+        description: `Calculate winners of hackathon #${hackathonId} (submissions ${from + 1}-${to})`,
+        hackathonId,
+        confirm,
+      });
+      invalidateAfterWrite(signedContract, hackathonId);
 
-      console.log('✅ Winners calculated - scores marked for public decryption');
+      console.log('✅ Scores aggregated up to submission', to);
       return receipt;
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('❌ Calculate winners failed:', error);
-      throw new Error(parseContractError(error));
+      throw toContractError(error);
+    }
+  };
+
+  /**
+   * Calculate winners using encrypted scores (organizer only)
+   * Sends calculateWinnersBatch transactions (see runBatches) until every
+   * submission is aggregated and the scores are marked for public decryption.
+   *
+   * @param {number} hackathonId
+   * @param {Object} [options]
+   * @param {Function} [options.confirm] - Cost preview, asked for each batch (see sendConfirmed)
+   * @param {Function} [options.onProgress] - Called with { done, total } after each batch
+   * @returns {Promise<{done: number, total: number}>}
+   */
+  const calculateWinners = async (hackathonId, { confirm, onProgress } = {}) => {
+    const signedContract = await getSignedContract();
+
+    try {
+      const progress = await runBatches(signedContract, hackathonId, {
+        progressView: 'winnersProgress',
+        batchMethod: 'calculateWinnersBatch',
+        sendBatch: (from, to) => calculateWinnersBatch(hackathonId, from, to, { confirm }),
+        onProgress,
+      });
+
+      console.log('✅ Winners calculated - scores marked for public decryption');
+      return progress;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error('❌ Calculate winners failed:', error);
+      throw toContractError(error);
+    }
+  };
+
+  /**
+   * Decrypt the encrypted top-N ranking and the winners' criterion totals
+   * Only the ranked (submission id, score) pairs are publicly decryptable at
+   * first; the winners' criterion totals unlock once the ranking is submitted.
+   * A ranking already on-chain is not sent again, and the criterion totals go
+   * in batches resuming from criterionRevealProgress, so an interrupted
+   * reveal picks up where it stopped.
+   */
+  const decryptAndSubmitRanking = async (signedContract, hackathonId, { confirm, onProgress } = {}) => {
+    const [winners, rubric] = await Promise.all([
+      reader.getWinners(hackathonId),
+      reader.getRubric(hackathonId),
+    ]);
+    let submissionIds = winners.map(winner => winner.submissionId);
+    let scoresArray = winners.map(winner => winner.finalScore);
+    let receipt = null;
+
+    if (winners.length > 0) {
+      console.log('  ✓ Ranking already revealed, resuming criterion totals');
+    } else {
+      console.log('\n📡 Step 1: Fetching encrypted ranking handles...');
+      const [rankedIds, rankedScores] = await reader.getEncryptedRanking(hackathonId);
+      const winnerCount = rankedIds.length;
+
+      const handles = extractHandles([...rankedIds, ...rankedScores]);
+      validateHandles(handles);
+      console.log(`  ✓ ${winnerCount} ranked places fetched`);
+
+      console.log('\n🔐 Step 2: Decrypting ranking via FHEVM SDK...');
+      const rankingResults = await decryptScores(handles);
+      const clearRanking = formatDecryptedScores(rankingResults.clearValues, handles);
+      submissionIds = clearRanking.slice(0, winnerCount);
+      scoresArray = clearRanking.slice(winnerCount);
+      console.log('  → Winners:', submissionIds, 'Scores:', scoresArray);
+
+      if (!rankingResults.decryptionProof || rankingResults.decryptionProof === '0x') {
+        throw new Error('Invalid decryption proof from SDK');
+      }
+
+      console.log('\n📤 Step 3: Submitting ranking to signedContract...');
+      receipt = await sendConfirmed(
+        signedContract,
+        'submitDecryptedRanking',
+        [hackathonId, submissionIds, scoresArray, rankingResults.decryptionProof],
+        { description: `Reveal ranking of hackathon #${hackathonId}`, hackathonId, confirm }
+      );
+      invalidateAfterWrite(signedContract, hackathonId);
+    }
+
+    const criteriaCount = rubric.length;
+    // Each winner brings one handle per criterion
+    const batchSize = Math.max(1, Math.floor(PUBLIC_DECRYPT_BATCH_HANDLES / criteriaCount));
+    const done = await reader.criterionRevealProgress(hackathonId);
+    let progress = { done: Number(done), total: submissionIds.length };
+    const criterionScoresArray = [];
+    onProgress?.(progress);
+
+    while (progress.done < progress.total) {
+      const from = progress.done;
+      const to = Math.min(progress.total, from + batchSize);
+
+      console.log(`\n📡 Step 4: Fetching criterion totals of winners ${from + 1}-${to}...`);
+      const rawCriterionHandles = await Promise.all(
+        submissionIds.slice(from, to).flatMap(submissionId => Array.from(
+          { length: criteriaCount },
+          (_, c) => reader.publicDecryptableCriterionScores(hackathonId, submissionId, c)
+        ))
+      );
+
+      const criterionHandles = extractHandles(rawCriterionHandles);
+      validateHandles(criterionHandles);
+
+      // Freshly marked ciphertexts can take a moment to reach the relayer
+      const criterionResults = await retryWithBackoff(() => decryptScores(criterionHandles), 5, 2000);
+      const criterionScores = formatDecryptedScores(criterionResults.clearValues, criterionHandles);
+
+      console.log('\n📤 Step 5: Submitting criterion totals to signedContract...');
+      receipt = await sendConfirmed(
+        signedContract,
+        'submitDecryptedCriterionScoresBatch',
+        [hackathonId, from, to, criterionScores, criterionResults.decryptionProof],
+        {
+          description: `Reveal winners' criterion totals of hackathon #${hackathonId} (winners ${from + 1}-${to})`,
+          hackathonId,
+          confirm,
+        }
+      );
+      invalidateAfterWrite(signedContract, hackathonId);
+
+      criterionScoresArray.push(...criterionScores);
+      progress = { ...progress, done: to };
+      onProgress?.(progress);
     }
+
+    console.log('\n✅ Top-N reveal complete!');
+
+    return { scores: scoresArray, submissionIds, criterionScores: criterionScoresArray, receipt };
   };
 
   /**
    * Decrypt and submit winner scores (organizer only)
-   * FHEVM v0.9 public decryption workflow
+   * FHEVM v0.9 public decryption workflow. Reveal-all hackathons are decrypted
+   * and verified in batches of submissions, resuming from decryptionProgress;
+   * the last batch announces the winners. Top-N hackathons reveal the ranking,
+   * then the winners' criterion totals in batches. Each transaction gets a
+   * cost preview through { confirm } once its decrypted arguments are known.
+   *
+   * @param {number} hackathonId
+   * @param {Object} [options]
+   * @param {Function} [options.confirm] - Cost preview (see sendConfirmed)
+   * @param {Function} [options.onProgress] - Called with { done, total } after each batch
+   *   (submissions in reveal-all mode, winners' criterion totals in top-N mode)
    */
-  const decryptAndSubmitScores = async (hackathonId, submissionCount) => {
-    if (!contract) throw new Error('Contract not initialized');
+  const decryptAndSubmitScores = async (hackathonId, { confirm, onProgress } = {}) => {
+    const signedContract = await getSignedContract();
 
     try {
       console.log('🔓 Starting FHEVM v0.9 decryption workflow...');
       console.log(`  → Hackathon ID: ${hackathonId}`);
-      console.log(`  → Submissions: ${submissionCount}`);
 
-      console.log('\n📡 Step 1: Fetching encrypted score handles...');
-      const rawHandles = [];
-
-      for (let i = 0; i < submissionCount; i++) {
-        console.log(`  → Fetching encrypted total score for submission ${i}...`);
-        const handle = await contract.publicDecryptableScores(hackathonId, i);
-        rawHandles.push(handle);
-        console.log(`    ✓ Got handle: ${handle}`);
+      const rankingMode = Number(await signedContract.rankingModes(hackathonId));
+      if (rankingMode === RANKING_MODES.TOP_N) {
+        console.log('  → Ranking mode: top-N (only winners are revealed)');
+        return await decryptAndSubmitRanking(signedContract, hackathonId, { confirm, onProgress });
       }
 
-      const handles = extractHandles(rawHandles);
-      console.log('  ✓ All handles fetched');
+      const [done, total, rubric] = await Promise.all([
+        signedContract.decryptionProgress(hackathonId),
+        signedContract.getSubmissionCount(hackathonId),
+        signedContract.getRubric(hackathonId),
+      ]);
+      const criteriaCount = rubric.length;
+      // Each submission brings its total plus one handle per criterion
+      const batchSize = Math.max(1, Math.floor(PUBLIC_DECRYPT_BATCH_HANDLES / (criteriaCount + 1)));
 
-      validateHandles(handles);
-      console.log('  ✓ Handles validated');
+      let progress = { done: Number(done), total: Number(total) };
+      const scoresArray = [];
+      const criterionScoresArray = [];
+      let receipt = null;
 
-      console.log('\n🔐 Step 2: Decrypting via FHEVM SDK...');
-      const decryptionResults = await decryptScores(handles);
-      console.log('  ✓ Decryption successful');
+      console.log(`  → Submissions: ${progress.total} (${progress.done} already revealed, ${batchSize} per batch)`);
+      onProgress?.(progress);
 
-      console.log('\n📊 Step 3: Formatting results...');
-      const scoresArray = formatDecryptedScores(decryptionResults.clearValues, handles);
-      console.log('  → Scores:', scoresArray);
+      while (progress.done < progress.total) {
+        const from = progress.done;
+        const to = Math.min(progress.total, from + batchSize);
+        const ids = Array.from({ length: to - from }, (_, i) => from + i);
 
-      const abiEncodedResults = decryptionResults.abiEncodedClearValues;
-      const proof = decryptionResults.decryptionProof;
+        console.log(`\n📡 Step 1: Fetching encrypted score handles of submissions ${from}-${to - 1}...`);
+        const [rawHandles, rawCriterionHandles] = await Promise.all([
+          Promise.all(ids.map(i => signedContract.publicDecryptableScores(hackathonId, i))),
+          Promise.all(ids.flatMap(i => Array.from(
+            { length: criteriaCount },
+            (_, c) => signedContract.publicDecryptableCriterionScores(hackathonId, i, c)
+          ))),
+        ]);
 
-      if (!proof || proof === '0x') {
-        throw new Error('Invalid decryption proof from SDK');
-      }
+        // Totals first, then criterion totals in submission-major order (matches the contract)
+        const handles = extractHandles([...rawHandles, ...rawCriterionHandles]);
+        validateHandles(handles);
+        console.log('  ✓ Handles fetched and validated');
+
+        console.log('\n🔐 Step 2: Decrypting via FHEVM SDK...');
+        const decryptionResults = await decryptScores(handles);
+        const proof = decryptionResults.decryptionProof;
+
+        if (!proof || proof === '0x') {
+          throw new Error('Invalid decryption proof from SDK');
+        }
 
-      console.log('\n📤 Step 4: Submitting to contract...');
-      const tx = await contract.submitDecryptedScores(hackathonId, scoresArray, proof);
+        const batchScores = formatDecryptedScores(decryptionResults.clearValues, handles);
+        const scores = batchScores.slice(0, ids.length);
+        const criterionScores = batchScores.slice(ids.length);
+        console.log('  → Scores:', scores);
 
-      console.log('  → Waiting for confirmation...');
-      const receipt = await waitForTransaction(tx);
+        console.log('\n📤 Step 3: Submitting batch to signedContract...');
+        receipt = await sendConfirmed(
+          signedContract,
+          'submitDecryptedScoresBatch',
+          [hackathonId, from, to, scores, criterionScores, proof],
+          {
+            description: `Reveal scores of hackathon #${hackathonId} (submissions ${from + 1}-${to})`,
+            hackathonId,
+            confirm,
+          }
+        );
+        invalidateAfterWrite(signedContract, hackathonId);
+
+        scoresArray.push(...scores);
+        criterionScoresArray.push(...criterionScores);
+        progress = { ...progress, done: to };
+        onProgress?.(progress);
+      }
 
       console.log('\n✅ FHEVM v0.9 workflow complete!');
-      console.log('📊 Final scores:', scoresArray);
+      console.log('📊 Scores revealed in this run:', scoresArray);
 
-      return { scores: scoresArray, receipt };
+      return { scores: scoresArray, criterionScores: criterionScoresArray, receipt };
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('\n❌ Decryption workflow failed:', error);
 
       if (error.message.includes('Invalid handle')) {
@@ -267,9 +668,13 @@ export function useContract(signer) {
         throw new Error('Decryption failed. Ensure scores are publicly decryptable.');
       } else if (error.message.includes('checkSignatures')) {
         throw new Error('Signature verification failed. Contact support.');
-      } else {
-        throw new Error(`Decryption workflow failed: ${error.message}`);
       }
+
+      const contractError = toContractError(error);
+      if (contractError.code !== WALLET_ERROR_CODES.UNKNOWN) {
+        throw contractError;
+      }
+      throw new Error(`Decryption workflow failed: ${error.message}`);
     }
   };
 
@@ -279,7 +684,7 @@ export function useContract(signer) {
   const getHackathonDetails = async (hackathonId) => {
     if (!contract) return null;
     try {
-      return await contract.getHackathonDetails(hackathonId);
+      return await reader.getHackathonDetails(hackathonId);
     } catch (error) {
       console.error('❌ Get hackathon details failed:', error);
       return null;
@@ -292,7 +697,7 @@ export function useContract(signer) {
   const getParticipant = async (hackathonId, address) => {
     if (!contract) return null;
     try {
-      return await contract.getParticipant(hackathonId, address);
+      return await reader.getParticipant(hackathonId, address);
     } catch (error) {
       console.error('❌ Get participant failed:', error);
       return null;
@@ -300,25 +705,123 @@ export function useContract(signer) {
   };
 
   /**
-   * Get all participants for a hackathon
+   * Rebuild a paged view from Zackathon's per-item getters
+   * Used when the chain has no ZackathonLens (e.g. a VITE_CONTRACT_ADDRESS-only
+   * setup); the reads of one page still go out as a single multicall.
    */
-  const getParticipantList = async (hackathonId) => {
-    if (!contract) return [];
+  const readContractPage = async (method, [hackathonId], offset, limit) => {
+    switch (method) {
+      case 'getHackathonsPage': {
+        const total = Number(await reader.getTotalHackathons());
+        const page = await Promise.all(
+          pageIndexes(offset, limit, total).map(i => reader.getHackathonDetails(i + 1))
+        );
+        return { page, total };
+      }
+      case 'getSubmissionsPage': {
+        const total = Number(await reader.getSubmissionCount(hackathonId));
+        const page = await Promise.all(
+          pageIndexes(offset, limit, total).map(async (i) => {
+            const s = await reader.getSubmission(hackathonId, i);
+            return {
+              submissionId: s.id,
+              participant: s.participant,
+              submissionTime: s.submissionTime,
+              status: s.status,
+              judgeCount: s.judgeCount,
+            };
+          })
+        );
+        return { page, total };
+      }
+      case 'getParticipantsPage': {
+        const list = await reader.getParticipantList(hackathonId);
+        const page = await Promise.all(
+          pageIndexes(offset, limit, list.length).map(i => reader.getParticipant(hackathonId, list[i]))
+        );
+        return { page, total: list.length };
+      }
+      default:
+        throw new Error(`Unknown paged view ${method}`);
+    }
+  };
+
+  /**
+   * Read a paged view
+   * @param {string} method - ZackathonLens view returning (page, total)
+   * @param {Array} args - Leading arguments before offset/limit
+   * @returns {Promise<{page: Array, total: number}>}
+   */
+  const readPage = async (method, args, offset, limit) => {
+    if (!contract) throw new Error('Contract not initialized');
     try {
-      return await contract.getParticipantList(hackathonId);
+      if (!lens) {
+        return await readContractPage(method, args, offset, limit);
+      }
+      const [page, total] = await lens[method](...args, offset, Math.min(limit, MAX_PAGE_SIZE));
+      return { page: Array.from(page), total: Number(total) };
     } catch (error) {
-      console.error('❌ Get participant list failed:', error);
-      return [];
+      console.error(`❌ ${method} failed:`, error);
+      throw error;
     }
   };
 
+  /**
+   * Read every page of a paged view (one call per MAX_PAGE_SIZE items)
+   */
+  const readAllPages = async (method, args) => {
+    const first = await readPage(method, args, 0, MAX_PAGE_SIZE);
+    const items = [...first.page];
+
+    while (items.length < first.total) {
+      const { page } = await readPage(method, args, items.length, MAX_PAGE_SIZE);
+      if (page.length === 0) break;
+      items.push(...page);
+    }
+
+    return items;
+  };
+
+  /**
+   * Get a page of hackathons in creation order
+   */
+  const getHackathonsPage = (offset, limit = MAX_PAGE_SIZE) =>
+    readPage('getHackathonsPage', [], offset, limit);
+
+  /**
+   * Get a page of submission summaries for a hackathon
+   */
+  const getSubmissionsPage = (hackathonId, offset, limit = MAX_PAGE_SIZE) =>
+    readPage('getSubmissionsPage', [hackathonId], offset, limit);
+
+  /**
+   * Get a page of participants for a hackathon
+   */
+  const getParticipantsPage = (hackathonId, offset, limit = MAX_PAGE_SIZE) =>
+    readPage('getParticipantsPage', [hackathonId], offset, limit);
+
+  /**
+   * Get every hackathon
+   */
+  const getAllHackathons = () => readAllPages('getHackathonsPage', []);
+
+  /**
+   * Get every submission summary for a hackathon
+   */
+  const getAllSubmissions = (hackathonId) => readAllPages('getSubmissionsPage', [hackathonId]);
+
+  /**
+   * Get every participant for a hackathon
+   */
+  const getAllParticipants = (hackathonId) => readAllPages('getParticipantsPage', [hackathonId]);
+
   /**
    * Get submission count
    */
   const getSubmissionCount = async (hackathonId) => {
     if (!contract) return 0;
     try {
-      const count = await contract.getSubmissionCount(hackathonId);
+      const count = await reader.getSubmissionCount(hackathonId);
       return Number(count);
     } catch (error) {
       console.error('❌ Get submission count failed:', error);
@@ -332,46 +835,284 @@ export function useContract(signer) {
   const getSubmission = async (hackathonId, submissionId) => {
     if (!contract) return null;
     try {
-      return await contract.getSubmission(hackathonId, submissionId);
+      return await reader.getSubmission(hackathonId, submissionId);
     } catch (error) {
       console.error('❌ Get submission failed:', error);
       return null;
     }
   };
 
+  /**
+   * Re-check revealed scores against a fresh public decryption
+   * RevealAll: every submission's total. TopN: the ranked (submission id,
+   * score) pairs. Handles are decrypted and their KMS signatures checked in
+   * chunks of PUBLIC_DECRYPT_BATCH_HANDLES; every chunk must pass.
+   *
+   * @returns {Promise<{entries: Array<{submissionId: number, onChainScore: number, decryptedScore: number|null, passed: boolean}>, signaturesValid: boolean, signatureError: string|null}>}
+   */
+  const verifyResults = async (hackathonId, submissionCount) => {
+    if (!contract) throw new Error('Contract not initialized');
+
+    try {
+      console.log('🔎 Verifying revealed results...', hackathonId);
+
+      const rankingMode = Number(await reader.rankingModes(hackathonId));
+      const rawHandles = [];
+      const onChainValues = [];
+      const entries = [];
+
+      if (rankingMode === RANKING_MODES.TOP_N) {
+        const [[rankedIds, rankedScores], winners] = await Promise.all([
+          reader.getEncryptedRanking(hackathonId),
+          reader.getWinners(hackathonId),
+        ]);
+
+        if (rankedIds.length === 0 || winners.length !== rankedIds.length) {
+          throw new Error('Ranking has not been revealed yet');
+        }
+
+        const scores = await Promise.all(
+          winners.map(winner => reader.getDecryptedScore(hackathonId, winner.submissionId))
+        );
+
+        for (let k = 0; k < winners.length; k++) {
+          const submissionId = winners[k].submissionId;
+          const { score } = scores[k];
+
+          rawHandles.push(rankedIds[k], rankedScores[k]);
+          onChainValues.push(submissionId, score);
+          entries.push({ submissionId: Number(submissionId), onChainScore: Number(score), indexes: [2 * k, 2 * k + 1] });
+        }
+      } else {
+        const ids = Array.from({ length: submissionCount }, (_, i) => i);
+        const [scores, scoreHandles] = await Promise.all([
+          Promise.all(ids.map(i => reader.getDecryptedScore(hackathonId, i))),
+          Promise.all(ids.map(i => reader.publicDecryptableScores(hackathonId, i))),
+        ]);
+
+        for (const i of ids) {
+          const { score, isDecrypted } = scores[i];
+
+          if (!isDecrypted) {
+            throw new Error('Scores have not been revealed yet');
+          }
+
+          rawHandles.push(scoreHandles[i]);
+          onChainValues.push(score);
+          entries.push({ submissionId: i, onChainScore: Number(score), indexes: [i] });
+        }
+      }
+
+      const handles = extractHandles(rawHandles);
+      const results = [];
+      let signaturesValid = true;
+      let signatureError = null;
+
+      // Same chunking as the reveal: one relayer request and KMS check per chunk
+      for (let start = 0; start < handles.length; start += PUBLIC_DECRYPT_BATCH_HANDLES) {
+        const end = start + PUBLIC_DECRYPT_BATCH_HANDLES;
+        const chunk = await verifyPublicDecryption(
+          handles.slice(start, end),
+          onChainValues.slice(start, end),
+          contract.runner
+        );
+
+        results.push(...chunk.results);
+        signaturesValid = signaturesValid && chunk.signaturesValid;
+        signatureError = signatureError || chunk.signatureError;
+      }
+
+      const verifiedEntries = entries.map(({ indexes, ...entry }) => {
+        const scoreResult = results[indexes[indexes.length - 1]];
+        return {
+          ...entry,
+          decryptedScore: scoreResult.actual === null ? null : Number(scoreResult.actual),
+          passed: indexes.every(index => results[index].matches)
+        };
+      });
+
+      console.log('✅ Verification complete');
+      return { entries: verifiedEntries, signaturesValid, signatureError };
+    } catch (error) {
+      console.error('❌ Result verification failed:', error);
+      throw toContractError(error);
+    }
+  };
+
   /**
    * Get winners for a hackathon
    */
   const getWinners = async (hackathonId) => {
     if (!contract) return [];
     try {
-      return await contract.getWinners(hackathonId);
+      return await reader.getWinners(hackathonId);
     } catch (error) {
       console.error('❌ Get winners failed:', error);
       return [];
     }
   };
 
+  /**
+   * Get the revealed ranking of a hackathon, best first
+   * RevealAll ranks every submission, TopN only the winners
+   * @returns {Promise<Array<{ranking: number, submissionId: number, participant: string, finalScore: number}>>}
+   */
+  const getRanking = async (hackathonId) => {
+    if (!contract) return [];
+    try {
+      const [ids, summaries] = await Promise.all([
+        reader.getRanking(hackathonId),
+        getAllSubmissions(hackathonId),
+      ]);
+      const scores = await Promise.all(ids.map(id => reader.getDecryptedScore(hackathonId, id)));
+
+      return ids.map((id, index) => ({
+        ranking: index + 1,
+        submissionId: Number(id),
+        participant: summaries[Number(id)]?.participant,
+        finalScore: Number(scores[index].score),
+      }));
+    } catch (error) {
+      console.error('❌ Get ranking failed:', error);
+      return [];
+    }
+  };
+
   /**
    * Get decrypted score for a submission
    */
   const getDecryptedScore = async (hackathonId, submissionId) => {
     if (!contract) return { score: 0, isDecrypted: false };
     try {
-      return await contract.getDecryptedScore(hackathonId, submissionId);
+      return await reader.getDecryptedScore(hackathonId, submissionId);
     } catch (error) {
       console.error('❌ Get decrypted score failed:', error);
       return { score: 0, isDecrypted: false };
     }
   };
 
+  /**
+   * Check whether a judge has scored a submission
+   */
+  const hasJudgeScored = async (hackathonId, submissionId, judge) => {
+    if (!contract) return false;
+    try {
+      return await reader.hasJudgeScored(hackathonId, submissionId, judge);
+    } catch (error) {
+      console.error('❌ Check judge scored failed:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Get the encrypted "score was clamped" flag for a judge's score
+   */
+  const getScoreClampFlag = async (hackathonId, submissionId, judge) => {
+    if (!contract) return null;
+    try {
+      return await reader.scoreClamped(hackathonId, submissionId, judge);
+    } catch (error) {
+      console.error('❌ Get clamp flag failed:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Get where the results workflow of a hackathon stands
+   * criteriaRevealed counts top-N winners whose criterion totals are public;
+   * complete is set once nothing is left to reveal.
+   * @returns {Promise<{rankingMode: number, total: number, calculated: number, decrypted: number, announced: boolean, winnerCount: number, criteriaRevealed: number, complete: boolean}|null>}
+   */
+  const getResultsProgress = async (hackathonId) => {
+    if (!contract) return null;
+    try {
+      const [rankingMode, total, calculated, decrypted, criteriaRevealed, winners] = await Promise.all([
+        reader.rankingModes(hackathonId),
+        reader.getSubmissionCount(hackathonId),
+        reader.winnersProgress(hackathonId),
+        reader.decryptionProgress(hackathonId),
+        reader.criterionRevealProgress(hackathonId),
+        reader.getWinners(hackathonId),
+      ]);
+      const announced = winners.length > 0;
+      const topN = Number(rankingMode) === RANKING_MODES.TOP_N;
+
+      return {
+        rankingMode: Number(rankingMode),
+        total: Number(total),
+        calculated: Number(calculated),
+        decrypted: Number(decrypted),
+        announced,
+        winnerCount: winners.length,
+        criteriaRevealed: Number(criteriaRevealed),
+        complete: announced && (!topN || Number(criteriaRevealed) >= winners.length),
+      };
+    } catch (error) {
+      console.error('❌ Get results progress failed:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Get how many submissions judges can already decrypt (grants go in order)
+   */
+  const getJudgeAccessProgress = async (hackathonId) => {
+    if (!contract) return 0;
+    try {
+      return Number(await reader.judgeAccessProgress(hackathonId));
+    } catch (error) {
+      console.error('❌ Get judge access progress failed:', error);
+      return 0;
+    }
+  };
+
+  /**
+   * Get the ranking mode of a hackathon (see RANKING_MODES)
+   */
+  const getRankingMode = async (hackathonId) => {
+    if (!contract) return null;
+    try {
+      return Number(await reader.rankingModes(hackathonId));
+    } catch (error) {
+      console.error('❌ Get ranking mode failed:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Get the scoring rubric of a hackathon
+   */
+  const getRubric = async (hackathonId) => {
+    if (!contract) return [];
+    try {
+      return normalizeRubric(await reader.getRubric(hackathonId));
+    } catch (error) {
+      console.error('❌ Get rubric failed:', error);
+      return [];
+    }
+  };
+
+  /**
+   * Get revealed per-criterion totals for a submission
+   */
+  const getCriterionScores = async (hackathonId, submissionId) => {
+    if (!contract) return { criterionTotals: [], isDecrypted: false };
+    try {
+      const [criterionTotals, isDecrypted] = await reader.getCriterionScores(hackathonId, submissionId);
+      return { criterionTotals: criterionTotals.map(Number), isDecrypted };
+    } catch (error) {
+      console.error('❌ Get criterion scores failed:', error);
+      return { criterionTotals: [], isDecrypted: false };
+    }
+  };
+
   /**
    * Check if address is a judge
    */
   const isHackathonJudge = async (hackathonId, address) => {
     if (!contract) return false;
     try {
-      return await contract.isHackathonJudge(hackathonId, address);
+      return await reader.isHackathonJudge(hackathonId, address);
     } catch (error) {
       console.error('❌ Check judge failed:', error);
       return false;
@@ -384,7 +1125,7 @@ export function useContract(signer) {
   const getTotalHackathons = async () => {
     if (!contract) return 0;
     try {
-      const count = await contract.getTotalHackathons();
+      const count = await reader.getTotalHackathons();
       return Number(count);
     } catch (error) {
       console.error('❌ Get total hackathons failed:', error);
@@ -393,15 +1134,28 @@ export function useContract(signer) {
   };
 
   /**
-   * Get encrypted IPFS hash (judges only, after access granted)
+   * Get encrypted IPFS hash words (judges only, after access granted)
    */
   const getSubmissionIPFSHash = async (hackathonId, submissionId) => {
     if (!contract) return null;
     try {
-      return await contract.getSubmissionIPFSHash(hackathonId, submissionId);
+      return await reader.getSubmissionIPFSHash(hackathonId, submissionId);
     } catch (error) {
       console.error('❌ Get IPFS hash failed:', error);
-      throw new Error(parseContractError(error));
+      throw toContractError(error);
+    }
+  };
+
+  /**
+   * Get encrypted payload content key (judges only, after access granted)
+   */
+  const getSubmissionContentKey = async (hackathonId, submissionId) => {
+    if (!contract) return null;
+    try {
+      return await reader.getSubmissionContentKey(hackathonId, submissionId);
+    } catch (error) {
+      console.error('❌ Get content key failed:', error);
+      throw toContractError(error);
     }
   };
 
@@ -411,18 +1165,35 @@ export function useContract(signer) {
     registerForHackathon,
     submitProject,
     grantJudgeAccess,
+    grantJudgeAccessBatch,
     submitScore,
     calculateWinners,
+    calculateWinnersBatch,
     decryptAndSubmitScores,
+    verifyResults,
     getHackathonDetails,
     getParticipant,
-    getParticipantList,
+    getHackathonsPage,
+    getSubmissionsPage,
+    getParticipantsPage,
+    getAllHackathons,
+    getAllSubmissions,
+    getAllParticipants,
     getSubmissionCount,
     getSubmission,
     getWinners,
+    getRanking,
     getDecryptedScore,
+    hasJudgeScored,
+    getScoreClampFlag,
+    getJudgeAccessProgress,
+    getResultsProgress,
+    getRankingMode,
+    getRubric,
+    getCriterionScores,
     isHackathonJudge,
     getTotalHackathons,
     getSubmissionIPFSHash,
+    getSubmissionContentKey,
   };
 }
\ No newline at end of file
@@ -0,0 +1,36 @@
+import { useCallback, useRef, useState } from 'react';
+
+/**
+ * Promise-based cost confirmation for organizer actions
+ * Pass `confirm` to a useContract write method ({ confirm }) and render
+ * <CostPreviewDialog {...dialogProps} />; the action waits until the
+ * organizer confirms or cancels the previewed transaction.
+ */
+export function useCostConfirmation() {
+  const [preview, setPreview] = useState(null);
+  const resolveRef = useRef(null);
+
+  const confirm = useCallback((nextPreview) => new Promise((resolve) => {
+    // A newer request supersedes one still on screen
+    resolveRef.current?.(false);
+    resolveRef.current = resolve;
+    setPreview(nextPreview);
+  }), []);
+
+  const settle = useCallback((confirmed) => {
+    resolveRef.current?.(confirmed);
+    resolveRef.current = null;
+    setPreview(null);
+  }, []);
+
+  return {
+    confirm,
+    dialogProps: {
+      preview,
+      onConfirm: () => settle(true),
+      onCancel: () => settle(false),
+    },
+  };
+}
+
+export default useCostConfirmation;
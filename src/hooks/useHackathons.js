@@ -1,6 +1,47 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useContract } from './useContract';
 import { useWalletContext } from '@/context/WalletContext';
+import { getIndexedHackathons, isIndexerAvailable, warnIndexFallback } from '@/utils/indexer';
+import { EVENT_STATUS, subscribeToContractEvents } from '@/utils/contractEvents';
+import {
+  fetchQuery,
+  getQueryScope,
+  invalidateHackathonQueries,
+  queryKey,
+  setQueryData,
+  subscribeQuery,
+} from '@/utils/queryCache';
+
+/**
+ * Shape a getHackathonDetails result for the UI
+ */
+function formatHackathon(result) {
+  return {
+    id: Number(result.id),
+    name: result.name,
+    description: result.description,
+    prizeDetails: result.prizeDetails,
+    submissionDeadline: Number(result.submissionDeadline),
+    judgingDeadline: Number(result.judgingDeadline),
+    organizer: result.organizer,
+    judges: Array.from(result.judges),
+    maxParticipants: Number(result.maxParticipants),
+    status: Number(result.status),
+    participantCount: Number(result.participantCount),
+    submissionCount: Number(result.submissionCount),
+    judgeAccessGranted: result.judgeAccessGranted,
+    winnerCount: Number(result.winnerCount),
+  };
+}
+
+/**
+ * Merge fetched hackathons into already loaded ones (by ID, ordered by ID)
+ */
+function mergeHackathons(current, incoming) {
+  const byId = new Map(current.map(h => [h.id, h]));
+  incoming.forEach(h => byId.set(h.id, { ...byId.get(h.id), ...h }));
+  return [...byId.values()].sort((a, b) => a.id - b.id);
+}
 
 /**
  * Custom hook for managing hackathon data
@@ -9,18 +50,27 @@ import { useWalletContext } from '@/context/WalletContext';
  * 2. Contract readiness checking before operations
  * 3. Better caching to prevent repeated null returns
  * 4. Persistent state across re-renders
+ *
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] - Load hackathons page by page (see loadMore)
+ *   instead of all at once when they have to come from the contract
  */
-export function useHackathons() {
-  const { signer, account, isConnected } = useWalletContext();
+export function useHackathons({ pageSize } = {}) {
+  const { signer, account } = useWalletContext();
   const contract = useContract(signer);
 
   const [hackathons, setHackathons] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [totalCount, setTotalCount] = useState(0);
-
-  // Cache for individual hackathon fetches
-  const hackathonCacheRef = useRef(new Map());
+  const [liveStatus, setLiveStatus] = useState(EVENT_STATUS.CONNECTING);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // Shared query cache scope for this chain + contract
+  const scope = contract?.contract ? getQueryScope(contract.contract) : null;
+  const listKey = scope && (pageSize
+    ? queryKey(scope, 'hackathonsPage', 0, pageSize)
+    : queryKey(scope, 'hackathons'));
   
   /**
    * Wait for contract to be ready with timeout
@@ -43,15 +93,69 @@ export function useHackathons() {
   }, [contract]);
 
   /**
-   * Fetch all hackathons from contract
+   * Seed the single-hackathon cache from a list read
    */
-  const fetchHackathons = useCallback(async () => {
-    if (!isConnected || !signer) {
-      setLoading(false);
-      setHackathons([]);
-      return;
+  const primeHackathons = useCallback((items) => {
+    items.forEach(h => setQueryData(queryKey(scope, 'hackathon', h.id), h));
+  }, [scope]);
+
+  /**
+   * Attach announced winners to completed hackathons read from the contract
+   * (the event index records them from WinnersAnnounced instead)
+   */
+  const withWinners = useCallback(async (items) => {
+    const winnerLists = await Promise.all(items.map(h => (
+      h.status === 3 ? contract.getWinners(h.id) : []
+    )));
+
+    return items.map((h, i) => ({
+      ...h,
+      winnersAnnounced: winnerLists[i].length > 0,
+      winners: winnerLists[i].map(w => w.participant),
+    }));
+  }, [contract]);
+
+  /**
+   * Load a page (or, without pageSize, all) of hackathons from the network
+   * @returns {Promise<{items: Object[], total: number}>}
+   */
+  const loadHackathonList = useCallback(async (offset, limit) => {
+    // Serve from the event index, catching up from the last indexed block
+    if (isIndexerAvailable() && offset === 0) {
+      try {
+        const indexed = await getIndexedHackathons(contract.contract);
+        console.log('✅ Hackathons loaded from index:', indexed.length);
+        primeHackathons(indexed);
+        return { items: indexed, total: indexed.length };
+      } catch (indexError) {
+        warnIndexFallback(indexError);
+      }
     }
 
+    console.log('📡 Fetching hackathons from contract...');
+    let items;
+    let total;
+
+    if (limit) {
+      const { page, total: pageTotal } = await contract.getHackathonsPage(offset, limit);
+      items = await withWinners(page.map(formatHackathon));
+      total = pageTotal;
+    } else {
+      items = await withWinners((await contract.getAllHackathons()).map(formatHackathon));
+      total = items.length;
+    }
+
+    console.log('✅ Hackathons loaded successfully:', items.length);
+    primeHackathons(items);
+    return { items, total };
+  }, [contract, primeHackathons, withWinners]);
+
+  /**
+   * Fetch hackathons (stale-while-revalidate through the shared cache)
+   * @param {{force?: boolean}} [options] - force skips the cache
+   */
+  const fetchHackathons = useCallback(async ({ force = false } = {}) => {
+    // Works with or without a wallet: useContract falls back to a read-only provider
     // Wait for contract to be ready
     const isReady = await waitForContract();
     if (!isReady) {
@@ -64,51 +168,14 @@ export function useHackathons() {
       setLoading(true);
       setError(null);
 
-      console.log('📡 Fetching hackathons from contract...');
-      const total = await contract.getTotalHackathons();
-      console.log('  → Total hackathons:', total);
-      setTotalCount(total);
-
-      if (total === 0) {
-        console.log('  → No hackathons found');
-        setHackathons([]);
-        setLoading(false);
-        return;
-      }
-
-      console.log('  → Fetching details for', total, 'hackathons...');
-      const hackathonPromises = [];
-      for (let i = 1; i <= total; i++) {
-        hackathonPromises.push(contract.getHackathonDetails(i));
-      }
+      const { items, total } = await fetchQuery(
+        listKey,
+        () => loadHackathonList(0, pageSize),
+        { force }
+      );
 
-      const results = await Promise.all(hackathonPromises);
-      console.log('  → Received', results.length, 'hackathon details');
-
-      const formattedHackathons = results.map((result) => ({
-        id: Number(result.id),
-        name: result.name,
-        description: result.description,
-        prizeDetails: result.prizeDetails,
-        submissionDeadline: Number(result.submissionDeadline),
-        judgingDeadline: Number(result.judgingDeadline),
-        organizer: result.organizer,
-        judges: result.judges,
-        maxParticipants: Number(result.maxParticipants),
-        status: Number(result.status),
-        participantCount: Number(result.participantCount),
-        submissionCount: Number(result.submissionCount),
-        judgeAccessGranted: result.judgeAccessGranted,
-      }));
-
-      console.log('✅ Hackathons loaded successfully:', formattedHackathons.length);
-      
-      // Update cache
-      formattedHackathons.forEach(h => {
-        hackathonCacheRef.current.set(h.id, h);
-      });
-      
-      setHackathons(formattedHackathons);
+      setTotalCount(total);
+      setHackathons(items);
     } catch (err) {
       console.error('❌ Failed to fetch hackathons:', err);
       setError(err.message);
@@ -116,7 +183,42 @@ export function useHackathons() {
     } finally {
       setLoading(false);
     }
-  }, [contract, isConnected, signer, waitForContract]);
+  }, [waitForContract, listKey, loadHackathonList, pageSize]);
+
+  // Background revalidation of the list lands here
+  useEffect(() => {
+    if (!listKey) return;
+
+    return subscribeQuery(listKey, ({ items, total }) => {
+      setTotalCount(total);
+      setHackathons(prev => mergeHackathons(prev, items));
+    });
+  }, [listKey]);
+
+  /**
+   * Load the next page of hackathons (paged mode only)
+   */
+  const loadMore = useCallback(async () => {
+    if (!pageSize || loadingMore || !scope || hackathons.length >= totalCount) return;
+
+    const offset = hackathons.length;
+
+    try {
+      setLoadingMore(true);
+      const { items, total } = await fetchQuery(
+        queryKey(scope, 'hackathonsPage', offset, pageSize),
+        () => loadHackathonList(offset, pageSize)
+      );
+
+      setTotalCount(total);
+      setHackathons(prev => mergeHackathons(prev, items));
+    } catch (err) {
+      console.error('❌ Failed to load more hackathons:', err);
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [scope, pageSize, loadingMore, hackathons.length, totalCount, loadHackathonList]);
 
   /**
    * Fetch single hackathon details with retry and caching
@@ -130,13 +232,6 @@ export function useHackathons() {
 
     console.log(`🔍 Fetching hackathon ${hackathonId} (attempt ${retryCount + 1})...`);
 
-    // Check cache first
-    const cached = hackathonCacheRef.current.get(hackathonId);
-    if (cached) {
-      console.log('  ✓ Found in cache');
-      return cached;
-    }
-
     // Wait for contract to be ready
     if (!contract || !contract.contract) {
       if (retryCount < 5) {
@@ -150,30 +245,15 @@ export function useHackathons() {
     }
 
     try {
-      console.log('  → Fetching from contract...');
-      const result = await contract.getHackathonDetails(hackathonId);
-
-      const formatted = {
-        id: Number(result.id),
-        name: result.name,
-        description: result.description,
-        prizeDetails: result.prizeDetails,
-        submissionDeadline: Number(result.submissionDeadline),
-        judgingDeadline: Number(result.judgingDeadline),
-        organizer: result.organizer,
-        judges: result.judges,
-        maxParticipants: Number(result.maxParticipants),
-        status: Number(result.status),
-        participantCount: Number(result.participantCount),
-        submissionCount: Number(result.submissionCount),
-        judgeAccessGranted: result.judgeAccessGranted,
-      };
-
-      // Cache the result
-      hackathonCacheRef.current.set(hackathonId, formatted);
-      console.log('  ✓ Hackathon fetched and cached');
-
-      return formatted;
+      // Shared cache: pages visited earlier (or the list) usually have it already
+      return await fetchQuery(queryKey(scope, 'hackathon', hackathonId), async () => {
+        console.log('  → Fetching from contract...');
+        const [formatted] = await withWinners([
+          formatHackathon(await contract.getHackathonDetails(hackathonId)),
+        ]);
+        console.log('  ✓ Hackathon fetched and cached');
+        return formatted;
+      });
     } catch (err) {
       console.error('  ❌ Failed to fetch hackathon:', err);
       
@@ -186,7 +266,7 @@ export function useHackathons() {
       
       throw err;
     }
-  }, [contract]);
+  }, [contract, scope, withWinners]);
 
   /**
    * Fetch participants for a hackathon with retry
@@ -204,29 +284,25 @@ export function useHackathons() {
     }
 
     try {
-      const participantAddresses = await contract.getParticipantList(hackathonId);
-
-      const participantPromises = participantAddresses.map(address =>
-        contract.getParticipant(hackathonId, address)
-      );
-
-      const results = await Promise.all(participantPromises);
-
-      return results.map((result) => ({
-        wallet: result.wallet,
-        email: result.email,
-        discord: result.discord,
-        twitter: result.twitter,
-        teamName: result.teamName,
-        teamMembers: result.teamMembers,
-        registrationTime: Number(result.registrationTime),
-        hasSubmitted: result.hasSubmitted,
-      }));
+      return await fetchQuery(queryKey(scope, 'participants', hackathonId), async () => {
+        const results = await contract.getAllParticipants(hackathonId);
+
+        return results.map((result) => ({
+          wallet: result.wallet,
+          email: result.email,
+          discord: result.discord,
+          twitter: result.twitter,
+          teamName: result.teamName,
+          teamMembers: Array.from(result.teamMembers),
+          registrationTime: Number(result.registrationTime),
+          hasSubmitted: result.hasSubmitted,
+        }));
+      });
     } catch (err) {
       console.error('Failed to fetch participants:', err);
       return [];
     }
-  }, [contract]);
+  }, [contract, scope]);
 
   /**
    * Check if current user is organizer
@@ -243,12 +319,15 @@ export function useHackathons() {
     if (!contract || !contract.contract || !account || !hackathonId) return false;
 
     try {
-      return await contract.isHackathonJudge(hackathonId, account);
+      return await fetchQuery(
+        queryKey(scope, 'isJudge', hackathonId, account.toLowerCase()),
+        () => contract.isHackathonJudge(hackathonId, account)
+      );
     } catch (err) {
       console.error('Failed to check judge status:', err);
       return false;
     }
-  }, [contract, account]);
+  }, [contract, scope, account]);
 
   /**
    * Check if current user has registered
@@ -257,12 +336,14 @@ export function useHackathons() {
     if (!contract || !contract.contract || !account || !hackathonId) return false;
 
     try {
-      const participant = await contract.getParticipant(hackathonId, account);
-      return participant.wallet !== '0x0000000000000000000000000000000000000000';
+      return await fetchQuery(queryKey(scope, 'registered', hackathonId, account.toLowerCase()), async () => {
+        const participant = await contract.getParticipant(hackathonId, account);
+        return participant.wallet !== '0x0000000000000000000000000000000000000000';
+      });
     } catch (err) {
       return false;
     }
-  }, [contract, account]);
+  }, [contract, scope, account]);
 
   /**
    * Filter hackathons by status
@@ -346,16 +427,72 @@ export function useHackathons() {
    * Refresh hackathons and clear cache
    */
   const refresh = useCallback(() => {
-    hackathonCacheRef.current.clear();
-    fetchHackathons();
+    fetchHackathons({ force: true });
   }, [fetchHackathons]);
 
   /**
    * Clear cache for specific hackathon (useful after updates)
    */
   const clearHackathonCache = useCallback((hackathonId) => {
-    hackathonCacheRef.current.delete(hackathonId);
-  }, []);
+    if (scope) invalidateHackathonQueries(scope, hackathonId);
+  }, [scope]);
+
+  /**
+   * Re-read one hackathon and patch it into state (used by live events)
+   * Reading the authoritative record keeps patches idempotent when an event
+   * races a manual refresh.
+   */
+  const refreshHackathonEntry = useCallback(async (hackathonId) => {
+    if (!contract || !contract.contract) return;
+
+    try {
+      const [formatted] = await withWinners([
+        formatHackathon(await contract.getHackathonDetails(hackathonId)),
+      ]);
+
+      // State is patched below; only mark the other cached views stale
+      invalidateHackathonQueries(scope, formatted.id, { refetchActive: false });
+      setQueryData(queryKey(scope, 'hackathon', formatted.id), formatted);
+
+      setTotalCount(prev => Math.max(prev, formatted.id));
+      setHackathons(prev => {
+        if (prev.some(h => h.id === formatted.id)) {
+          return prev.map(h => (h.id === formatted.id ? { ...h, ...formatted } : h));
+        }
+        // IDs are sequential: only append when it extends what is loaded,
+        // otherwise a later loadMore() picks it up
+        return formatted.id === prev.length + 1 ? [...prev, formatted] : prev;
+      });
+    } catch (err) {
+      console.error(`❌ Failed to refresh hackathon ${hackathonId}:`, err);
+    }
+  }, [contract, scope, withWinners]);
+
+  // Latest callbacks for the event subscription without resubscribing on every render
+  const liveHandlersRef = useRef({});
+  liveHandlersRef.current = { refreshHackathonEntry, fetchHackathons };
+
+  // Live updates: patch hackathons as contract events arrive
+  useEffect(() => {
+    const rawContract = contract?.contract;
+    if (!rawContract) return;
+
+    const patch = (args) => liveHandlersRef.current.refreshHackathonEntry(Number(args.hackathonId));
+
+    const unsubscribe = subscribeToContractEvents(rawContract, {
+      HackathonCreated: patch,
+      ParticipantRegistered: patch,
+      ProjectSubmitted: patch,
+      JudgeAccessGranted: patch,
+      WinnersCalculated: patch,
+      WinnersAnnounced: patch,
+    }, {
+      onReconnect: () => liveHandlersRef.current.fetchHackathons(),
+      onStatusChange: setLiveStatus,
+    });
+
+    return unsubscribe;
+  }, [contract?.contract]);
 
   // Auto-fetch when contract becomes ready
   const hasFetchedRef = useRef(false);
@@ -372,21 +509,12 @@ export function useHackathons() {
       fetchHackathons();
     }
     
-    // If contract was ready but now isn't (disconnect), reset
+    // If contract was ready but now isn't (no deployment on this chain), reset
     if (!isContractReady && contractReadyRef.current) {
       contractReadyRef.current = false;
       hasFetchedRef.current = false;
     }
-    
-    // If wallet disconnected, clear data
-    if (!isConnected || !signer) {
-      setLoading(false);
-      setHackathons([]);
-      hackathonCacheRef.current.clear();
-      contractReadyRef.current = false;
-      hasFetchedRef.current = false;
-    }
-  }, [isConnected, signer, contract?.contract, fetchHackathons]);
+  }, [contract?.contract, fetchHackathons]);
 
   return {
     // Data
@@ -394,9 +522,13 @@ export function useHackathons() {
     totalCount,
     loading,
     error,
+    liveStatus,
+    hasMore: hackathons.length < totalCount,
+    loadingMore,
     
     // Fetch methods
     fetchHackathons,
+    loadMore,
     fetchHackathon,
     fetchParticipants,
     refresh,
@@ -1,8 +1,20 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useContract } from './useContract';
 import { useWalletContext } from '@/context/WalletContext';
-import { retrieveFromIPFS } from '@/utils/encryption';
+import { retrieveFromIPFS, decryptSubmissionPayload } from '@/utils/encryption';
 import { decryptIPFSHash } from '@/utils/decryption';
+import { getIndexedSubmissions, isIndexerAvailable, warnIndexFallback } from '@/utils/indexer';
+import { EVENT_STATUS, subscribeToContractEvents } from '@/utils/contractEvents';
+import { fetchQuery, getQueryData, getQueryScope, queryKey, setQueryData, subscribeQuery } from '@/utils/queryCache';
+
+/**
+ * Insert or replace a submission, keeping ID order
+ */
+function upsertSubmission(list, updated) {
+  return list.some(s => s.submissionId === updated.submissionId)
+    ? list.map(s => (s.submissionId === updated.submissionId ? { ...s, ...updated } : s))
+    : [...list, updated].sort((a, b) => a.submissionId - b.submissionId);
+}
 
 /**
  * Custom hook for managing hackathon submissions
@@ -16,12 +28,43 @@ export function useSubmissions(hackathonId) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [submissionCount, setSubmissionCount] = useState(0);
+  const [liveStatus, setLiveStatus] = useState(EVENT_STATUS.CONNECTING);
+
+  // Shared query cache key for this hackathon's submissions
+  const submissionsKey = contract.contract && hackathonId
+    ? queryKey(getQueryScope(contract.contract), 'submissions', hackathonId)
+    : null;
 
   /**
-   * Fetch all submissions for a hackathon
+   * Load submissions from the network (index first, then paged views)
    */
-  const fetchSubmissions = useCallback(async () => {
-    if (!contract.contract || !hackathonId) {
+  const loadSubmissions = useCallback(async () => {
+    // Serve from the event index, catching up from the last indexed block
+    if (isIndexerAvailable()) {
+      try {
+        return await getIndexedSubmissions(contract.contract, hackathonId);
+      } catch (indexError) {
+        warnIndexFallback(indexError);
+      }
+    }
+
+    const results = await contract.getAllSubmissions(hackathonId);
+
+    return results.map((result) => ({
+      submissionId: Number(result.submissionId),
+      participant: result.participant,
+      submissionTime: Number(result.submissionTime),
+      status: Number(result.status),
+      judgeCount: Number(result.judgeCount),
+    }));
+  }, [contract, hackathonId]);
+
+  /**
+   * Fetch all submissions for a hackathon (stale-while-revalidate)
+   * @param {{force?: boolean}} [options] - force skips the cache
+   */
+  const fetchSubmissions = useCallback(async ({ force = false } = {}) => {
+    if (!submissionsKey) {
       setLoading(false);
       return;
     }
@@ -30,30 +73,9 @@ export function useSubmissions(hackathonId) {
       setLoading(true);
       setError(null);
 
-      const count = await contract.getSubmissionCount(hackathonId);
-      setSubmissionCount(count);
-
-      if (count === 0) {
-        setSubmissions([]);
-        setLoading(false);
-        return;
-      }
-
-      const submissionPromises = [];
-      for (let i = 0; i < count; i++) {
-        submissionPromises.push(contract.getSubmission(hackathonId, i));
-      }
-
-      const results = await Promise.all(submissionPromises);
-
-      const formattedSubmissions = results.map((result, index) => ({
-        submissionId: Number(result.id),
-        participant: result.participant,
-        submissionTime: Number(result.submissionTime),
-        status: Number(result.status),
-        judgeCount: Number(result.judgeCount),
-      }));
+      const formattedSubmissions = await fetchQuery(submissionsKey, loadSubmissions, { force });
 
+      setSubmissionCount(formattedSubmissions.length);
       setSubmissions(formattedSubmissions);
     } catch (err) {
       console.error('Failed to fetch submissions:', err);
@@ -61,7 +83,17 @@ export function useSubmissions(hackathonId) {
     } finally {
       setLoading(false);
     }
-  }, [contract, hackathonId]);
+  }, [submissionsKey, loadSubmissions]);
+
+  // Background revalidation and live patches land here
+  useEffect(() => {
+    if (!submissionsKey) return;
+
+    return subscribeQuery(submissionsKey, (data) => {
+      setSubmissionCount(data.length);
+      setSubmissions(data);
+    });
+  }, [submissionsKey]);
 
   /**
    * Fetch single submission details
@@ -99,36 +131,33 @@ export function useSubmissions(hackathonId) {
       console.log('🔓 Fetching submission data...');
       console.log(`  → Hackathon: ${hackathonId}, Submission: ${submissionId}`);
 
-      const encryptedIPFSHash = await contract.getSubmissionIPFSHash(
-        hackathonId,
-        submissionId
-      );
-
-      console.log('  → Got encrypted IPFS hash');
+      const [encryptedIPFSHash, encryptedContentKey] = await Promise.all([
+        contract.getSubmissionIPFSHash(hackathonId, submissionId),
+        contract.getSubmissionContentKey(hackathonId, submissionId),
+      ]);
 
-      const ipfsHash = await decryptIPFSHash(encryptedIPFSHash);
+      console.log('  → Got encrypted IPFS hash and content key');
 
-      console.log('  → Decrypted IPFS hash:', ipfsHash.substring(0, 20) + '...');
+      const contractAddress = await contract.contract.getAddress();
+      const { ipfsHash, contentKey } = await decryptIPFSHash(
+        encryptedIPFSHash,
+        encryptedContentKey,
+        contractAddress,
+        signer
+      );
 
-      const projectData = await retrieveFromIPFS(ipfsHash);
+      const envelope = await retrieveFromIPFS(ipfsHash);
+      const projectData = await decryptSubmissionPayload(envelope, contentKey);
 
-      console.log('  ✓ Retrieved project data from IPFS');
+      console.log('  ✓ Retrieved and decrypted project data from IPFS');
 
       return projectData;
     } catch (err) {
       console.error('Failed to fetch submission data:', err);
-      
-      if (err.message.includes('Only judge')) {
-        throw new Error('You must be a judge to view submission details');
-      }
-      
-      if (err.message.includes('Access not granted')) {
-        throw new Error('Judge access has not been granted yet');
-      }
-      
+      // Contract errors (OnlyJudge, JudgeAccessNotGranted...) already carry a readable message
       throw err;
     }
-  }, [contract, hackathonId]);
+  }, [contract, hackathonId, signer]);
 
   /**
    * Get user's submission for the hackathon
@@ -328,9 +357,58 @@ export function useSubmissions(hackathonId) {
    * Refresh submissions
    */
   const refresh = useCallback(() => {
-    fetchSubmissions();
+    return fetchSubmissions({ force: true });
   }, [fetchSubmissions]);
 
+  /**
+   * Re-read one submission and upsert it into state (used by live events)
+   */
+  const refreshSubmissionEntry = useCallback(async (submissionId) => {
+    try {
+      const updated = await fetchSubmission(submissionId);
+      if (!updated) return;
+
+      // Patch the shared cache (subscribers update) or, before the first load, local state
+      if (getQueryData(submissionsKey)) {
+        setQueryData(submissionsKey, list => upsertSubmission(list, updated));
+        return;
+      }
+
+      setSubmissions(prev => {
+        const next = upsertSubmission(prev, updated);
+        setSubmissionCount(next.length);
+        return next;
+      });
+    } catch (err) {
+      console.error(`❌ Failed to refresh submission ${submissionId}:`, err);
+    }
+  }, [fetchSubmission, submissionsKey]);
+
+  // Latest callbacks for the event subscription without resubscribing on every render
+  const liveHandlersRef = useRef({});
+  liveHandlersRef.current = { refreshSubmissionEntry, fetchSubmissions };
+
+  // Live updates: new submissions and judging progress for this hackathon
+  useEffect(() => {
+    const rawContract = contract.contract;
+    if (!rawContract || !hackathonId) return;
+
+    const patch = (args) => {
+      if (Number(args.hackathonId) !== Number(hackathonId)) return;
+      liveHandlersRef.current.refreshSubmissionEntry(Number(args.submissionId));
+    };
+
+    const unsubscribe = subscribeToContractEvents(rawContract, {
+      ProjectSubmitted: patch,
+      ScoreSubmitted: patch,
+    }, {
+      onReconnect: () => liveHandlersRef.current.fetchSubmissions(),
+      onStatusChange: setLiveStatus,
+    });
+
+    return unsubscribe;
+  }, [contract.contract, hackathonId]);
+
   // Auto-fetch on mount and when dependencies change
   useEffect(() => {
     if (hackathonId) {
@@ -344,6 +422,7 @@ export function useSubmissions(hackathonId) {
     submissionCount,
     loading,
     error,
+    liveStatus,
     
     // Fetch methods
     fetchSubmissions,
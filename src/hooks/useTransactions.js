@@ -0,0 +1,33 @@
+import { useEffect, useMemo, useSyncExternalStore } from 'react';
+import {
+  TX_STATUS,
+  clearFinishedTransactions,
+  getTransactions,
+  resumePendingTransactions,
+  subscribeTransactions,
+} from '@/utils/transactions';
+
+/**
+ * Transactions tracked by the transaction manager
+ * Resumes pending transactions restored from a previous session on mount.
+ */
+export function useTransactions() {
+  const transactions = useSyncExternalStore(subscribeTransactions, getTransactions);
+
+  useEffect(() => {
+    resumePendingTransactions();
+  }, []);
+
+  const pending = useMemo(
+    () => transactions.filter(tx => tx.status === TX_STATUS.PENDING),
+    [transactions]
+  );
+
+  return {
+    transactions,
+    pending,
+    clearFinished: clearFinishedTransactions,
+  };
+}
+
+export default useTransactions;
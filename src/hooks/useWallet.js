@@ -1,9 +1,27 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { ethers } from 'ethers';
+import { clearUserDecryptionKeys } from '@/utils/keystore';
+import { getAddChainParams, getChain, getSupportedChains, isChainSupported, toHexChainId } from '@/utils/chains';
+import { DEFAULT_CHAIN_ID, getDeployment, isChainDeployed, setActiveChainId } from '@/utils/deployments';
+import { clearIndex } from '@/utils/indexer';
+import { clearQueryCache } from '@/utils/queryCache';
 
 /**
- * Wallet connection hook with Sepolia network support
- * Manages MetaMask connection state and network switching
+ * Drop the persisted event index and query cache
+ * Both rebuild on demand; clearing them keeps reads from a previous
+ * account or chain from outliving the session.
+ */
+function clearPersistedReads() {
+  clearQueryCache();
+  return clearIndex().catch(error => {
+    console.warn('⚠️ Could not clear the event index:', error);
+  });
+}
+
+/**
+ * Wallet connection hook with multi-network support
+ * Manages MetaMask connection state and network switching; the connected
+ * chain selects the deployment entry used by the rest of the app.
  */
 export function useWallet() {
   const [account, setAccount] = useState(null);
@@ -12,16 +30,77 @@ export function useWallet() {
   const [isConnecting, setIsConnecting] = useState(false);
   const [chainId, setChainId] = useState(null);
   const [error, setError] = useState(null);
+  // Latest signer, readable before React re-renders (see ensureSigner)
+  const signerRef = useRef(null);
+
+  /**
+   * Switch the wallet to a supported network
+   * Networks the wallet does not know yet (e.g. a local Hardhat node) are
+   * added automatically via wallet_addEthereumChain.
+   *
+   * @param {number} [targetChainId] - Defaults to DEFAULT_CHAIN_ID
+   * @returns {Promise<boolean>} True if the wallet is now on the target network
+   */
+  const switchNetwork = useCallback(async (targetChainId = DEFAULT_CHAIN_ID) => {
+    if (!window.ethereum) {
+      alert('MetaMask not detected');
+      return false;
+    }
+
+    const chain = getChain(targetChainId);
+    if (!chain) {
+      console.error(`❌ Network ${targetChainId} is not supported`);
+      return false;
+    }
+
+    try {
+      console.log(`🔄 Switching to ${chain.name}...`);
+      
+      await window.ethereum.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: toHexChainId(chain.chainId) }],
+      });
+      
+      console.log(`✓ Switched to ${chain.name}`);
+      return true;
+    } catch (error) {
+      // Some wallets wrap the "unknown chain" error
+      const isUnknownChain = error.code === 4902 || error.data?.originalError?.code === 4902;
+
+      if (!isUnknownChain) {
+        console.error('❌ Failed to switch network:', error);
+        if (error.code !== 4001) {
+          alert(`Failed to switch network. Please switch to ${chain.name} manually.`);
+        }
+        return false;
+      }
+
+      try {
+        console.log(`  → Adding ${chain.name} network...`);
+        await window.ethereum.request({
+          method: 'wallet_addEthereumChain',
+          params: [getAddChainParams(chain.chainId)],
+        });
+        console.log(`✓ ${chain.name} network added`);
+        return true;
+      } catch (addError) {
+        console.error(`❌ Failed to add ${chain.name} network:`, addError);
+        alert(`Failed to add ${chain.name}. Please add it manually in MetaMask.`);
+        return false;
+      }
+    }
+  }, []);
 
   /**
    * Connect wallet and request account access
+   * @returns {Promise<ethers.Signer|null>} Signer, or null if the connection failed
    */
   const connectWallet = useCallback(async () => {
     if (!window.ethereum) {
       const errorMsg = 'MetaMask not detected. Please install MetaMask browser extension.';
       setError(errorMsg);
       alert(errorMsg);
-      return;
+      return null;
     }
 
     setIsConnecting(true);
@@ -38,6 +117,10 @@ export function useWallet() {
       const signerInstance = await browserProvider.getSigner();
       const network = await browserProvider.getNetwork();
       
+      // Must happen before the signer is published so getContract() picks this chain
+      setActiveChainId(Number(network.chainId));
+      signerRef.current = signerInstance;
+      
       setAccount(accounts[0]);
       setSigner(signerInstance);
       setProvider(browserProvider);
@@ -48,13 +131,16 @@ export function useWallet() {
       console.log('  → Network:', network.name);
       console.log('  → Chain ID:', Number(network.chainId));
 
-      if (Number(network.chainId) !== 11155111) {
-        console.warn('⚠️ Not on Sepolia testnet');
-        const shouldSwitch = confirm('Please switch to Sepolia testnet to continue.');
+      if (!isChainSupported(Number(network.chainId))) {
+        const defaultChain = getChain(DEFAULT_CHAIN_ID);
+        console.warn('⚠️ Connected to an unsupported network');
+        const shouldSwitch = confirm(`This network is not supported. Switch to ${defaultChain?.name} to continue?`);
         if (shouldSwitch) {
-          await switchToSepolia();
+          await switchNetwork(DEFAULT_CHAIN_ID);
         }
       }
+
+      return signerInstance;
     } catch (error) {
       console.error('❌ Wallet connection failed:', error);
       const errorMsg = error.message || 'Failed to connect wallet';
@@ -65,74 +151,37 @@ export function useWallet() {
       } else {
         alert(`Failed to connect wallet: ${errorMsg}`);
       }
+      return null;
     } finally {
       setIsConnecting(false);
     }
-  }, []);
+  }, [switchNetwork]);
+
+  /**
+   * Get a signer, asking the user to connect first if needed
+   * Lets actions prompt for a wallet only when they actually need one.
+   * @returns {Promise<ethers.Signer|null>}
+   */
+  const ensureSigner = useCallback(async () => {
+    if (signerRef.current) return signerRef.current;
+    return connectWallet();
+  }, [connectWallet]);
 
   /**
    * Disconnect wallet
    */
   const disconnectWallet = useCallback(() => {
     console.log('🔌 Disconnecting wallet...');
+    clearUserDecryptionKeys(account);
+    clearPersistedReads();
+    signerRef.current = null;
     setAccount(null);
     setSigner(null);
     setProvider(null);
     setChainId(null);
     setError(null);
     console.log('✓ Wallet disconnected');
-  }, []);
-
-  /**
-   * Switch to Sepolia testnet
-   */
-  const switchToSepolia = useCallback(async () => {
-    if (!window.ethereum) {
-      alert('MetaMask not detected');
-      return;
-    }
-
-    try {
-      console.log('🔄 Switching to Sepolia testnet...');
-      
-      await window.ethereum.request({
-        method: 'wallet_switchEthereumChain',
-        params: [{ chainId: '0xaa36a7' }],
-      });
-      
-      console.log('✓ Switched to Sepolia');
-    } catch (error) {
-      console.error('❌ Failed to switch network:', error);
-      
-      if (error.code === 4902) {
-        try {
-          console.log('  → Adding Sepolia network...');
-          await window.ethereum.request({
-            method: 'wallet_addEthereumChain',
-            params: [
-              {
-                chainId: '0xaa36a7',
-                chainName: 'Sepolia Testnet',
-                nativeCurrency: {
-                  name: 'Sepolia ETH',
-                  symbol: 'ETH',
-                  decimals: 18,
-                },
-                rpcUrls: ['https://sepolia.infura.io/v3/'],
-                blockExplorerUrls: ['https://sepolia.etherscan.io'],
-              },
-            ],
-          });
-          console.log('✓ Sepolia network added');
-        } catch (addError) {
-          console.error('❌ Failed to add Sepolia network:', addError);
-          alert('Failed to add Sepolia network. Please add it manually in MetaMask.');
-        }
-      } else {
-        alert('Failed to switch network. Please switch to Sepolia manually.');
-      }
-    }
-  }, []);
+  }, [account]);
 
   /**
    * Get current balance
@@ -180,6 +229,9 @@ export function useWallet() {
       if (accounts.length === 0) {
         disconnectWallet();
       } else {
+        if (account && accounts[0].toLowerCase() !== account.toLowerCase()) {
+          clearPersistedReads();
+        }
         connectWallet();
       }
     };
@@ -189,7 +241,7 @@ export function useWallet() {
     return () => {
       window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
     };
-  }, [connectWallet, disconnectWallet]);
+  }, [account, connectWallet, disconnectWallet]);
 
   /**
    * Listen for network changes
@@ -199,7 +251,7 @@ export function useWallet() {
 
     const handleChainChanged = (newChainId) => {
       console.log('🔄 Network changed:', newChainId);
-      window.location.reload();
+      clearPersistedReads().finally(() => window.location.reload());
     };
 
     window.ethereum.on('chainChanged', handleChainChanged);
@@ -216,11 +268,16 @@ export function useWallet() {
     chainId,
     error,
     connectWallet,
+    ensureSigner,
     disconnectWallet,
-    switchToSepolia,
+    switchNetwork,
+    supportedChains: getSupportedChains(),
+    network: getChain(chainId),
     getBalance,
     isConnecting,
     isConnected: !!account,
-    isCorrectNetwork: chainId === 11155111,
+    isCorrectNetwork: isChainSupported(chainId),
+    isDeployed: isChainDeployed(chainId),
+    deployment: getDeployment(chainId),
   };
 }
\ No newline at end of file
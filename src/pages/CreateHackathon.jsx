@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useForm, useFieldArray, FormProvider } from 'react-hook-form';
+import { useForm, useFieldArray, FormProvider, Controller } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { Input } from '@/components/ui/input';
@@ -10,7 +10,16 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
 import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
 import { LoadingSpinner } from '@/components/common/LoadingSpinner';
+import { ErrorDescription } from '@/components/common/ErrorDescription';
+import { CostPreviewDialog } from '@/components/common/CostPreviewDialog';
 import {
   Plus,
   X,
@@ -21,10 +30,21 @@ import {
   CheckCircle2,
   Info,
   Gavel,
+  ListChecks,
 } from 'lucide-react';
 import { useContract } from '@/hooks/useContract';
+import { useCostConfirmation } from '@/hooks/useCostConfirmation';
 import { useWalletContext } from '@/context/WalletContext';
 import { toast } from 'sonner';
+import {
+  DEFAULT_RUBRIC,
+  MAX_CRITERION_VALUE,
+  MAX_RUBRIC_CRITERIA,
+  MAX_WINNERS,
+  DEFAULT_WINNER_COUNT,
+  RANKING_MODES,
+  getMaxWeightedScore,
+} from '@/utils/helpers';
 
 const createHackathonSchema = z.object({
   name: z.string().min(3, 'Name must be at least 3 characters'),
@@ -40,6 +60,17 @@ const createHackathonSchema = z.object({
       address: z.string().regex(/^0x[a-fA-F0-9]{40}$/, 'Invalid Ethereum address'),
     })
   ).min(1, 'Minimum 1 judge required'),
+  rubric: z.array(
+    z.object({
+      name: z.string().trim().min(1, 'Criterion name is required'),
+      maxScore: z.number().int().min(1, 'At least 1 point').max(MAX_CRITERION_VALUE, `At most ${MAX_CRITERION_VALUE} points`),
+      weight: z.number().int().min(1, 'Weight must be at least 1').max(MAX_CRITERION_VALUE, `Weight must be at most ${MAX_CRITERION_VALUE}`),
+    })
+  )
+    .min(1, 'At least 1 scoring criterion required')
+    .max(MAX_RUBRIC_CRITERIA, `At most ${MAX_RUBRIC_CRITERIA} scoring criteria`),
+  rankingMode: z.enum(['topN', 'revealAll']),
+  winnerCount: z.number().int().min(1, 'At least 1 winner').max(MAX_WINNERS, `At most ${MAX_WINNERS} winners`),
 });
 
 /**
@@ -50,8 +81,9 @@ export function CreateHackathon() {
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   const navigate = useNavigate();
-  const { signer, account, isConnected } = useWalletContext();
+  const { signer, account, isConnected, ensureSigner } = useWalletContext();
   const contract = useContract(signer);
+  const { confirm, dialogProps } = useCostConfirmation();
 
   const today = new Date().toISOString().split('T')[0];
   const currentTime = new Date().toTimeString().split(' ')[0].substring(0, 5);
@@ -70,6 +102,9 @@ export function CreateHackathon() {
       judges: [
         { address: '' },
       ],
+      rubric: DEFAULT_RUBRIC,
+      rankingMode: 'topN',
+      winnerCount: DEFAULT_WINNER_COUNT,
     },
   });
 
@@ -78,11 +113,26 @@ export function CreateHackathon() {
     name: 'judges',
   });
 
+  const {
+    fields: criteriaFields,
+    append: appendCriterion,
+    remove: removeCriterion,
+  } = useFieldArray({
+    control: methods.control,
+    name: 'rubric',
+  });
+
+  const watchedRubric = methods.watch('rubric');
+  const watchedWinnerCount = methods.watch('winnerCount');
+
   const handleSubmit = async (data) => {
-    if (!isConnected) {
-      toast.error('Please connect your wallet first');
+    // Connect only now that the organizer actually wants to create something
+    const organizerSigner = await ensureSigner();
+    if (!organizerSigner) {
+      toast.error('Please connect your wallet to create a hackathon');
       return;
     }
+    const organizer = account || await organizerSigner.getAddress();
 
     if (!contract || !contract.contract) {
       toast.error('Contract not initialized. Please refresh and try again.');
@@ -102,7 +152,7 @@ export function CreateHackathon() {
         throw new Error('Duplicate judge addresses detected');
       }
 
-      if (judgeAddresses.some(addr => addr.toLowerCase() === account.toLowerCase())) {
+      if (judgeAddresses.some(addr => addr.toLowerCase() === organizer.toLowerCase())) {
         throw new Error('You cannot assign yourself as a judge');
       }
 
@@ -129,12 +179,19 @@ export function CreateHackathon() {
         submissionTimestamp,
         judgingTimestamp,
         maxParticipants: data.maxParticipants,
+        winnerCount: data.winnerCount,
       });
 
-      // Show toast for user to check MetaMask
-      toast.info('Check your wallet', {
-        description: 'Please approve the transaction in MetaMask',
-      });
+      // Preview the cost, then ask the user to check MetaMask once confirmed
+      const confirmCost = async (preview) => {
+        const confirmed = await confirm(preview);
+        if (confirmed) {
+          toast.info('Check your wallet', {
+            description: 'Please approve the transaction in MetaMask',
+          });
+        }
+        return confirmed;
+      };
 
       // Call contract
       const result = await contract.createHackathon(
@@ -144,7 +201,11 @@ export function CreateHackathon() {
         submissionTimestamp,
         judgingTimestamp,
         data.maxParticipants,
-        judgeAddresses
+        judgeAddresses,
+        data.rubric,
+        data.rankingMode === 'topN' ? RANKING_MODES.TOP_N : RANKING_MODES.REVEAL_ALL,
+        data.winnerCount,
+        { confirm: confirmCost }
       );
 
       toast.success('Hackathon created successfully!', {
@@ -160,28 +221,14 @@ export function CreateHackathon() {
       }, 1500);
 
     } catch (error) {
-      console.error('❌ Failed to create hackathon:', error);
-
-      let errorMessage = 'Please try again.';
-
-      if (error.message.includes('user rejected') || error.message.includes('User denied')) {
-        errorMessage = 'Transaction rejected. Please approve in MetaMask to continue.';
-      } else if (error.message.includes('insufficient funds')) {
-        errorMessage = 'Insufficient ETH for gas fees. Please add funds to your wallet.';
-      } else if (error.message.includes('not been authorized')) {
-        errorMessage = 'Transaction not authorized. Please check MetaMask and try again.';
-      } else if (error.message.includes('Duplicate judge')) {
-        errorMessage = 'Duplicate judge addresses detected. Each judge must be unique.';
-      } else if (error.message.includes('cannot assign yourself')) {
-        errorMessage = 'You cannot be a judge in your own hackathon.';
-      } else if (error.message.includes('deadline must be')) {
-        errorMessage = error.message;
-      } else if (error.message) {
-        errorMessage = error.message;
+      if (error.name === 'AbortError') {
+        toast.info('Transaction cancelled');
+        return;
       }
+      console.error('❌ Failed to create hackathon:', error);
 
       toast.error('Failed to create hackathon', {
-        description: errorMessage,
+        description: <ErrorDescription error={error} />,
         duration: 5000,
       });
     } finally {
@@ -201,21 +248,21 @@ export function CreateHackathon() {
     }
   };
 
-  if (!isConnected) {
-    return (
-      <div className="container mx-auto px-4 py-16">
-        <Card className="max-w-md mx-auto">
-          <CardHeader>
-            <AlertCircle className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
-            <CardTitle className="text-center">Wallet Not Connected</CardTitle>
-            <CardDescription className="text-center">
-              Please connect your wallet to create a hackathon
-            </CardDescription>
-          </CardHeader>
-        </Card>
-      </div>
-    );
-  }
+  const addCriterion = () => {
+    if (criteriaFields.length < MAX_RUBRIC_CRITERIA) {
+      appendCriterion({ name: '', maxScore: 10, weight: 1 });
+    } else {
+      toast.error(`At most ${MAX_RUBRIC_CRITERIA} scoring criteria`);
+    }
+  };
+
+  const handleRemoveCriterion = (index) => {
+    if (criteriaFields.length > 1) {
+      removeCriterion(index);
+    } else {
+      toast.error('At least 1 scoring criterion required');
+    }
+  };
 
   const { register, formState: { errors } } = methods;
 
@@ -229,6 +276,15 @@ export function CreateHackathon() {
         </p>
       </div>
 
+      {!isConnected && (
+        <Card className="mb-4 border-yellow-500/30 bg-yellow-500/5">
+          <CardContent className="pt-6 flex gap-4 text-sm">
+            <AlertCircle className="h-5 w-5 text-yellow-600 shrink-0 mt-0.5" />
+            <p>You can fill in the form now. You will be asked to connect your wallet when you create the hackathon.</p>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Info Card */}
       <Card className="mb-8 border-primary/20">
         <CardContent className="pt-6">
@@ -299,7 +355,7 @@ export function CreateHackathon() {
                   {...register('prizeDetails')}
                 />
                 <p className="text-sm text-muted-foreground">
-                  Describe prizes for winners (1st, 2nd, 3rd place)
+                  Describe prizes for each awarded place
                 </p>
                 {errors.prizeDetails && (
                   <p className="text-sm text-destructive">{errors.prizeDetails.message}</p>
@@ -475,6 +531,138 @@ export function CreateHackathon() {
             </CardContent>
           </Card>
 
+          {/* Scoring Rubric */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <ListChecks className="h-5 w-5" />
+                Scoring Rubric
+                <Badge variant="secondary">
+                  Max {getMaxWeightedScore(
+                    (watchedRubric || []).map(c => ({
+                      maxScore: Number(c.maxScore) || 0,
+                      weight: Number(c.weight) || 0,
+                    }))
+                  )} pts per judge
+                </Badge>
+              </CardTitle>
+              <CardDescription>
+                Define the criteria judges score, their maximum points and weights
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid grid-cols-[1fr_6rem_6rem_2.5rem] gap-2 text-xs font-medium text-muted-foreground">
+                <span>Criterion</span>
+                <span>Max Points</span>
+                <span>Weight</span>
+                <span />
+              </div>
+
+              {criteriaFields.map((field, index) => (
+                <div key={field.id} className="space-y-1">
+                  <div className="grid grid-cols-[1fr_6rem_6rem_2.5rem] gap-2">
+                    <Input
+                      placeholder="e.g. Innovation & Originality"
+                      {...register(`rubric.${index}.name`)}
+                    />
+                    <Input
+                      type="number"
+                      min="1"
+                      max={MAX_CRITERION_VALUE}
+                      {...register(`rubric.${index}.maxScore`, { valueAsNumber: true })}
+                    />
+                    <Input
+                      type="number"
+                      min="1"
+                      max={MAX_CRITERION_VALUE}
+                      {...register(`rubric.${index}.weight`, { valueAsNumber: true })}
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleRemoveCriterion(index)}
+                      disabled={criteriaFields.length <= 1}
+                    >
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                  {errors.rubric?.[index] && (
+                    <p className="text-sm text-destructive">
+                      {errors.rubric[index].name?.message ||
+                        errors.rubric[index].maxScore?.message ||
+                        errors.rubric[index].weight?.message}
+                    </p>
+                  )}
+                </div>
+              ))}
+
+              {errors.rubric?.message && (
+                <p className="text-sm text-destructive">{errors.rubric.message}</p>
+              )}
+
+              <Button
+                type="button"
+                variant="outline"
+                onClick={addCriterion}
+                className="w-full"
+                disabled={criteriaFields.length >= MAX_RUBRIC_CRITERIA}
+              >
+                <Plus className="mr-2 h-4 w-4" />
+                Add Criterion
+              </Button>
+
+              <p className="text-sm text-muted-foreground">
+                Final scores are the weighted sum of every judge&apos;s criterion scores,
+                computed on encrypted values. The rubric cannot be changed after creation.
+              </p>
+
+              <Separator />
+
+              <div className="space-y-2">
+                <Label htmlFor="rankingMode">Score Visibility</Label>
+                <Controller
+                  control={methods.control}
+                  name="rankingMode"
+                  render={({ field }) => (
+                    <Select value={field.value} onValueChange={field.onChange}>
+                      <SelectTrigger id="rankingMode">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="topN">Reveal winners only</SelectItem>
+                        <SelectItem value="revealAll">Reveal all scores</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  )}
+                />
+                <p className="text-sm text-muted-foreground">
+                  &quot;Reveal winners only&quot; ranks submissions on encrypted scores and
+                  publishes just the top {Number.isInteger(watchedWinnerCount) ? watchedWinnerCount : DEFAULT_WINNER_COUNT};
+                  every other team&apos;s score stays private.
+                </p>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="winnerCount">Number of Winners</Label>
+                <Input
+                  id="winnerCount"
+                  type="number"
+                  min="1"
+                  max={MAX_WINNERS}
+                  {...register('winnerCount', { valueAsNumber: true })}
+                />
+                <p className="text-sm text-muted-foreground">
+                  Places awarded on the podium (1 to {MAX_WINNERS}). With all scores revealed,
+                  the rest of the ranking is published as honorable mentions.
+                </p>
+                {errors.winnerCount && (
+                  <p className="text-sm text-destructive">{errors.winnerCount.message}</p>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+
           <Separator />
 
           {/* Submit Button */}
@@ -508,6 +696,8 @@ export function CreateHackathon() {
           </div>
         </form>
       </FormProvider>
+
+      <CostPreviewDialog {...dialogProps} />
     </div>
   );
 }
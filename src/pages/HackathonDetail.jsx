@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
@@ -6,14 +6,21 @@ import { Badge } from '@/components/ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Separator } from '@/components/ui/separator';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Progress } from '@/components/ui/progress';
 import { RegistrationDialog } from '@/components/hackathon/RegistrationDialog';
 import { SubmissionDialog } from '@/components/hackathon/SubmissionDialog';
+import { ResultsProgress } from '@/components/hackathon/ResultsProgress';
 import { PageLoading } from '@/components/common/LoadingSpinner';
 import { CountdownTimer } from '@/components/common/CountdownTimer';
+import { ErrorDescription } from '@/components/common/ErrorDescription';
+import { CostPreviewDialog } from '@/components/common/CostPreviewDialog';
 import { useHackathons } from '@/hooks/useHackathons';
 import { useSubmissions } from '@/hooks/useSubmissions';
 import { useContract } from '@/hooks/useContract';
+import { useCostConfirmation } from '@/hooks/useCostConfirmation';
 import { useWalletContext } from '@/context/WalletContext';
+import { EVENT_STATUS } from '@/utils/contractEvents';
+import { decryptScoreClampFlags } from '@/utils/decryption';
 import {
   Trophy,
   Calendar,
@@ -29,9 +36,10 @@ import {
   AlertCircle,
   Shield,
   RefreshCw,
+  AlertTriangle,
 } from 'lucide-react';
 import { toast } from 'sonner';
-import { formatAddress, formatDate } from '@/utils/helpers';
+import { RANKING_MODES, formatAddress, formatDate } from '@/utils/helpers';
 import { cn } from '@/lib/utils';
 
 /**
@@ -52,12 +60,16 @@ export function HackathonDetail() {
   const [isJudge, setIsJudge] = useState(false);
   const [hasRegistered, setHasRegistered] = useState(false);
   const [isGrantingAccess, setIsGrantingAccess] = useState(false);
-  const [isCalculating, setIsCalculating] = useState(false);
-  const [isDecrypting, setIsDecrypting] = useState(false);
+  const [accessProgress, setAccessProgress] = useState(null);
+  const [resultsStep, setResultsStep] = useState(null);
+  const [resultsProgress, setResultsProgress] = useState(null);
+  const [clampedJudges, setClampedJudges] = useState(null);
+  const [isCheckingClamps, setIsCheckingClamps] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
 
   const { account, signer, isConnected } = useWalletContext();
   const contract = useContract(signer);
+  const { confirm, dialogProps } = useCostConfirmation();
   const { 
     hackathons,
     fetchHackathon, 
@@ -65,7 +77,8 @@ export function HackathonDetail() {
     isOrganizer, 
     getStatusLabel,
     refresh: refreshHackathons,
-    clearHackathonCache
+    clearHackathonCache,
+    liveStatus
   } = useHackathons();
 
   const {
@@ -146,6 +159,17 @@ export function HackathonDetail() {
         setHasRegistered(registered);
         console.log('  → User registered:', registered);
 
+        // Resume point of a judge-access grant interrupted between batches
+        if (!data.judgeAccessGranted && data.organizer.toLowerCase() === account.toLowerCase()) {
+          const done = await contract.getJudgeAccessProgress(hackathonId);
+          setAccessProgress(done > 0 ? { done, total: data.submissionCount } : null);
+        }
+
+        // Where the batched results workflow stands (resumable after a reload)
+        if (data.judgeAccessGranted && data.organizer.toLowerCase() === account.toLowerCase()) {
+          setResultsProgress(await contract.getResultsProgress(hackathonId));
+        }
+
         // DEBUG: Log submit button conditions
         console.log('\n🎯 SUBMIT BUTTON CONDITIONS:');
         console.log('  → isConnected:', isConnected);
@@ -184,6 +208,28 @@ export function HackathonDetail() {
     }
   }, [hackathonId, account, contract?.contract, retryCount]);
 
+  // Live updates: follow this hackathon's entry as contract events patch the list
+  const liveEntry = hackathons.find(h => h.id === hackathonId);
+  const appliedLiveEntryRef = useRef(null);
+
+  useEffect(() => {
+    if (!liveEntry || !hackathon || liveEntry === appliedLiveEntryRef.current) return;
+    appliedLiveEntryRef.current = liveEntry;
+
+    if (liveEntry.participantCount !== hackathon.participantCount) {
+      fetchParticipants(hackathonId).then(participantList => {
+        setParticipants(participantList);
+        if (account) {
+          setHasRegistered(participantList.some(
+            p => p.wallet.toLowerCase() === account.toLowerCase()
+          ));
+        }
+      });
+    }
+
+    setHackathon(prev => ({ ...prev, ...liveEntry }));
+  }, [liveEntry, hackathon, hackathonId, account, fetchParticipants]);
+
   // Refresh after registration
   const handleRegistrationSuccess = async () => {
     console.log('✅ Registration successful, refreshing data...');
@@ -220,7 +266,8 @@ export function HackathonDetail() {
 
     setIsGrantingAccess(true);
     try {
-      await contract.grantJudgeAccess(hackathonId);
+      await contract.grantJudgeAccess(hackathonId, { confirm, onProgress: setAccessProgress });
+      setAccessProgress(null);
       toast.success('Judge access granted!', {
         description: 'Judges can now view and score submissions'
       });
@@ -228,9 +275,13 @@ export function HackathonDetail() {
       await loadHackathonData();
       refreshSubmissions();
     } catch (error) {
+      if (error.name === 'AbortError') {
+        toast.info('Transaction cancelled');
+        return;
+      }
       console.error('Failed to grant access:', error);
       toast.error('Failed to grant judge access', {
-        description: error.message
+        description: <ErrorDescription error={error} />
       });
     } finally {
       setIsGrantingAccess(false);
@@ -243,21 +294,28 @@ export function HackathonDetail() {
       return;
     }
 
-    setIsCalculating(true);
+    setResultsStep('calculate');
     try {
-      await contract.calculateWinners(hackathonId);
+      await contract.calculateWinners(hackathonId, {
+        confirm,
+        onProgress: ({ done }) => setResultsProgress(prev => prev && { ...prev, calculated: done }),
+      });
       toast.success('Winners calculated!', {
         description: 'Scores are now marked for public decryption'
       });
       clearHackathonCache(hackathonId);
       await loadHackathonData();
     } catch (error) {
+      if (error.name === 'AbortError') {
+        toast.info('Transaction cancelled');
+        return;
+      }
       console.error('Failed to calculate winners:', error);
       toast.error('Failed to calculate winners', {
-        description: error.message
+        description: <ErrorDescription error={error} />
       });
     } finally {
-      setIsCalculating(false);
+      setResultsStep(null);
     }
   };
 
@@ -267,22 +325,87 @@ export function HackathonDetail() {
       return;
     }
 
-    setIsDecrypting(true);
+    setResultsStep('reveal');
     try {
-      const result = await contract.decryptAndSubmitScores(hackathonId, submissions.length);
+      await contract.decryptAndSubmitScores(hackathonId, {
+        confirm,
+        // Top-N reports the criterion totals, which start once the ranking is announced
+        onProgress: ({ done, total }) => setResultsProgress(prev => prev && (
+          prev.rankingMode === RANKING_MODES.TOP_N
+            ? { ...prev, announced: true, winnerCount: total, criteriaRevealed: done }
+            : { ...prev, decrypted: done }
+        )),
+      });
       toast.success('Scores decrypted and winners announced!', {
-        description: `Final scores: ${result.scores.join(', ')}`
+        description: 'See the Results tab for the final ranking'
       });
       clearHackathonCache(hackathonId);
       await loadHackathonData();
       setSelectedTab('results');
     } catch (error) {
+      if (error.name === 'AbortError') {
+        toast.info('Transaction cancelled');
+        return;
+      }
       console.error('Failed to decrypt scores:', error);
       toast.error('Failed to decrypt scores', {
-        description: error.message
+        description: <ErrorDescription error={error} />
       });
     } finally {
-      setIsDecrypting(false);
+      setResultsStep(null);
+      // A reveal stopped part-way leaves transactions on-chain; show where to resume
+      const progress = await contract.getResultsProgress(hackathonId);
+      if (progress) setResultsProgress(progress);
+    }
+  };
+
+  /**
+   * Decrypt every judge's "score was clamped" flag (organizer only)
+   * One user decryption covers all scored (submission, judge) pairs.
+   */
+  const handleCheckClamps = async () => {
+    if (!contract.contract) {
+      toast.error('Contract not initialized');
+      return;
+    }
+
+    setIsCheckingClamps(true);
+    try {
+      const pairs = submissions.flatMap(submission =>
+        hackathon.judges.map(judge => ({ submissionId: submission.submissionId, judge }))
+      );
+      const scored = await Promise.all(
+        pairs.map(({ submissionId, judge }) => contract.hasJudgeScored(hackathonId, submissionId, judge))
+      );
+      const scoredPairs = pairs.filter((_, index) => scored[index]);
+      const handles = await Promise.all(
+        scoredPairs.map(({ submissionId, judge }) => contract.getScoreClampFlag(hackathonId, submissionId, judge))
+      );
+
+      const contractAddress = await contract.contract.getAddress();
+      const flags = await decryptScoreClampFlags(handles, contractAddress, signer);
+
+      const report = Object.fromEntries(submissions.map(submission => [submission.submissionId, []]));
+      scoredPairs.forEach(({ submissionId, judge }, index) => {
+        if (flags[index]) report[submissionId].push(judge);
+      });
+      setClampedJudges(report);
+
+      const clampedCount = flags.filter(Boolean).length;
+      if (clampedCount > 0) {
+        toast.warning(`${clampedCount} score${clampedCount !== 1 ? 's were' : ' was'} clamped on-chain`, {
+          description: 'A judge entered criterion scores outside the rubric range'
+        });
+      } else {
+        toast.success('No score was clamped');
+      }
+    } catch (error) {
+      console.error('Failed to check clamped scores:', error);
+      toast.error('Failed to check clamped scores', {
+        description: <ErrorDescription error={error} />
+      });
+    } finally {
+      setIsCheckingClamps(false);
     }
   };
 
@@ -335,7 +458,7 @@ export function HackathonDetail() {
   const isOrganizerUser = isOrganizer(hackathon);
   
   // CRITICAL FIX: Simplified submit button logic with clear conditions
-  const canRegister = isConnected && !hasRegistered && !isJudge && (hackathon.status === 0 || hackathon.status === 1);
+  const canRegister = !hasRegistered && !isJudge && (hackathon.status === 0 || hackathon.status === 1);
   
   // Submit button should show when:
   // 1. User is connected
@@ -352,7 +475,8 @@ export function HackathonDetail() {
     submissions.length > 0;
   const canCalculate = isOrganizerUser && hackathon.status === 2 && 
     Math.floor(Date.now() / 1000) >= hackathon.judgingDeadline;
-  const canDecrypt = isOrganizerUser && hackathon.status === 3;
+  const showResultsProgress = isOrganizerUser && resultsProgress && !resultsProgress.complete &&
+    (hackathon.status === 3 || canCalculate);
 
   const statusConfig = {
     0: { label: 'Registration Open', color: 'bg-blue-500', variant: 'default' },
@@ -382,9 +506,23 @@ export function HackathonDetail() {
             <h1 className="text-4xl font-bold mb-2">{hackathon.name}</h1>
             <p className="text-muted-foreground">{hackathon.description}</p>
           </div>
-          <Badge variant={status.variant} className="shrink-0">
-            {status.label}
-          </Badge>
+          <div className="flex items-center gap-2 shrink-0">
+            {liveStatus === EVENT_STATUS.LIVE && (
+              <Badge variant="outline" className="gap-1.5">
+                <span className="h-2 w-2 rounded-full bg-green-500 animate-pulse" />
+                Live
+              </Badge>
+            )}
+            {liveStatus === EVENT_STATUS.RECONNECTING && (
+              <Badge variant="outline" className="gap-1.5 text-yellow-600">
+                <RefreshCw className="h-3 w-3 animate-spin" />
+                Reconnecting
+              </Badge>
+            )}
+            <Badge variant={status.variant}>
+              {status.label}
+            </Badge>
+          </div>
         </div>
 
         {/* Quick Stats */}
@@ -464,44 +602,44 @@ export function HackathonDetail() {
         </Card>
       )}
 
-      {/* Action Buttons */}
-      {isConnected && (
-        <div className="flex flex-wrap gap-3 mb-6">
-          {canRegister && (
-            <RegistrationDialog
-              hackathon={hackathon}
-              onSuccess={handleRegistrationSuccess}
-              trigger={
-                <Button>
-                  <CheckCircle2 className="mr-2 h-4 w-4" />
-                  Register Now
-                </Button>
-              }
-            />
-          )}
-
-          {canSubmit && (
-            <SubmissionDialog
-              hackathon={hackathon}
-              onSuccess={handleSubmissionSuccess}
-              trigger={
-                <Button className="bg-green-600 hover:bg-green-700">
-                  <FileText className="mr-2 h-4 w-4" />
-                  Submit Project
-                </Button>
-              }
-            />
-          )}
-
-          {/* Helper badge if registered but can't submit yet */}
-          {isConnected && hasRegistered && !canSubmit && hackathon.status === 1 && (
-            <Badge variant="secondary" className="py-2 px-4">
-              <CheckCircle2 className="mr-2 h-3 w-3" />
-              You're registered! {Math.floor(Date.now() / 1000) >= hackathon.submissionDeadline ? 'Submissions closed' : 'Submit button will appear'}
-            </Badge>
-          )}
+      {/* Action Buttons (registration connects the wallet on demand) */}
+      <div className="flex flex-wrap gap-3 mb-6">
+        {canRegister && (
+          <RegistrationDialog
+            hackathon={hackathon}
+            onSuccess={handleRegistrationSuccess}
+            trigger={
+              <Button>
+                <CheckCircle2 className="mr-2 h-4 w-4" />
+                Register Now
+              </Button>
+            }
+          />
+        )}
+
+        {canSubmit && (
+          <SubmissionDialog
+            hackathon={hackathon}
+            onSuccess={handleSubmissionSuccess}
+            trigger={
+              <Button className="bg-green-600 hover:bg-green-700">
+                <FileText className="mr-2 h-4 w-4" />
+                Submit Project
+              </Button>
+            }
+          />
+        )}
+
+        {/* Helper badge if registered but can't submit yet */}
+        {isConnected && hasRegistered && !canSubmit && hackathon.status === 1 && (
+          <Badge variant="secondary" className="py-2 px-4">
+            <CheckCircle2 className="mr-2 h-3 w-3" />
+            You're registered! {Math.floor(Date.now() / 1000) >= hackathon.submissionDeadline ? 'Submissions closed' : 'Submit button will appear'}
+          </Badge>
+        )}
 
-          {canGrantAccess && (
+        {canGrantAccess && (
+          <div className="flex flex-col gap-1">
             <Button
               onClick={handleGrantAccess}
               disabled={isGrantingAccess}
@@ -511,65 +649,44 @@ export function HackathonDetail() {
                 <>
                   <Clock className="mr-2 h-4 w-4 animate-spin" />
                   Granting Access...
+                  {accessProgress && ` ${accessProgress.done}/${accessProgress.total}`}
                 </>
               ) : (
                 <>
                   <Unlock className="mr-2 h-4 w-4" />
-                  Grant Judge Access
-                </>
-              )}
-            </Button>
-          )}
-
-          {canCalculate && (
-            <Button
-              onClick={handleCalculateWinners}
-              disabled={isCalculating}
-              variant="secondary"
-            >
-              {isCalculating ? (
-                <>
-                  <Clock className="mr-2 h-4 w-4 animate-spin" />
-                  Calculating...
-                </>
-              ) : (
-                <>
-                  <Trophy className="mr-2 h-4 w-4" />
-                  Calculate Winners
-                </>
-              )}
-            </Button>
-          )}
-
-          {canDecrypt && (
-            <Button
-              onClick={handleDecryptScores}
-              disabled={isDecrypting}
-            >
-              {isDecrypting ? (
-                <>
-                  <Clock className="mr-2 h-4 w-4 animate-spin" />
-                  Decrypting...
-                </>
-              ) : (
-                <>
-                  <Shield className="mr-2 h-4 w-4" />
-                  Decrypt & Announce Winners
+                  {accessProgress?.done > 0
+                    ? `Resume Judge Access (${accessProgress.done}/${accessProgress.total})`
+                    : 'Grant Judge Access'}
                 </>
               )}
             </Button>
-          )}
+            {accessProgress?.total > 0 && (isGrantingAccess || accessProgress.done > 0) && (
+              <Progress value={(accessProgress.done / accessProgress.total) * 100} className="h-1" />
+            )}
+          </div>
+        )}
+
+        {isJudge && hackathon.judgeAccessGranted && (
+          <Button
+            onClick={() => navigate('/judge')}
+            variant="outline"
+          >
+            <Gavel className="mr-2 h-4 w-4" />
+            Go to Judge Dashboard
+          </Button>
+        )}
+      </div>
 
-          {isJudge && hackathon.judgeAccessGranted && (
-            <Button
-              onClick={() => navigate('/judge')}
-              variant="outline"
-            >
-              <Gavel className="mr-2 h-4 w-4" />
-              Go to Judge Dashboard
-            </Button>
-          )}
-        </div>
+      {/* Results workflow (organizer) */}
+      {showResultsProgress && (
+        <ResultsProgress
+          progress={resultsProgress}
+          status={hackathon.status}
+          canCalculate={canCalculate}
+          running={resultsStep}
+          onCalculate={handleCalculateWinners}
+          onReveal={handleDecryptScores}
+        />
       )}
 
       {/* Countdown Timer */}
@@ -771,10 +888,25 @@ export function HackathonDetail() {
         <TabsContent value="submissions" className="mt-6">
           <Card>
             <CardHeader>
-              <CardTitle>Project Submissions</CardTitle>
-              <CardDescription>
-                {submissions.length} submission{submissions.length !== 1 ? 's' : ''} received
-              </CardDescription>
+              <div className="flex items-start justify-between gap-4">
+                <div className="space-y-1.5">
+                  <CardTitle>Project Submissions</CardTitle>
+                  <CardDescription>
+                    {submissions.length} submission{submissions.length !== 1 ? 's' : ''} received
+                  </CardDescription>
+                </div>
+                {isOrganizerUser && hackathon.judgeAccessGranted && submissions.length > 0 && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={handleCheckClamps}
+                    disabled={isCheckingClamps}
+                  >
+                    <AlertTriangle className="mr-2 h-4 w-4" />
+                    {isCheckingClamps ? 'Decrypting...' : 'Check Clamped Scores'}
+                  </Button>
+                )}
+              </div>
             </CardHeader>
             <CardContent>
               {submissions.length === 0 ? (
@@ -791,6 +923,7 @@ export function HackathonDetail() {
                       <TableHead>Submitted At</TableHead>
                       <TableHead>Judge Count</TableHead>
                       <TableHead>Status</TableHead>
+                      {clampedJudges && <TableHead>Clamped Scores</TableHead>}
                     </TableRow>
                   </TableHeader>
                   <TableBody>
@@ -815,6 +948,21 @@ export function HackathonDetail() {
                             <Badge variant="secondary">Judged</Badge>
                           )}
                         </TableCell>
+                        {clampedJudges && (
+                          <TableCell>
+                            {clampedJudges[submission.submissionId]?.length > 0 ? (
+                              <Badge
+                                variant="destructive"
+                                title={clampedJudges[submission.submissionId].map(judge => formatAddress(judge)).join(', ')}
+                              >
+                                <AlertTriangle className="mr-1 h-3 w-3" />
+                                {clampedJudges[submission.submissionId].length} judge{clampedJudges[submission.submissionId].length !== 1 ? 's' : ''}
+                              </Badge>
+                            ) : (
+                              <span className="text-sm text-muted-foreground">None</span>
+                            )}
+                          </TableCell>
+                        )}
                       </TableRow>
                     ))}
                   </TableBody>
@@ -855,6 +1003,8 @@ export function HackathonDetail() {
           </Card>
         </TabsContent>
       </Tabs>
+
+      <CostPreviewDialog {...dialogProps} />
     </div>
   );
 }
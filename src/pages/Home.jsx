@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -20,6 +20,9 @@ import {
   TrendingUp
 } from 'lucide-react';
 
+// Hackathons rendered (and, without the index, fetched) per scroll step
+const PAGE_SIZE = 12;
+
 /**
  * Home Page
  * Main landing page with hackathon listing and hero section
@@ -27,16 +30,22 @@ import {
 export function Home() {
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedTab, setSelectedTab] = useState('all');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const sentinelRef = useRef(null);
 
   const { 
     hackathons, 
+    totalCount,
     loading, 
     error,
+    hasMore,
+    loadingMore,
+    loadMore,
     getActiveHackathons,
     getMyOrganizedHackathons,
     getMyJudgingHackathons,
     refresh 
-  } = useHackathons();
+  } = useHackathons({ pageSize: PAGE_SIZE });
 
   const { isConnected } = useWalletContext();
 
@@ -62,6 +71,40 @@ export function Home() {
   };
 
   const filteredHackathons = getFilteredHackathons();
+  const visibleHackathons = filteredHackathons.slice(0, visibleCount);
+
+  const handleTabChange = (tab) => {
+    setSelectedTab(tab);
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const handleSearchChange = (e) => {
+    setSearchQuery(e.target.value);
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  // Infinite scroll: while the sentinel below the grid is on screen, reveal
+  // loaded hackathons, then fetch the next page. Re-observing on every change
+  // re-checks the sentinel, since observe() always reports its current state.
+  const filteredCount = filteredHackathons.length;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (!entry.isIntersecting || loadingMore) return;
+
+      if (visibleCount < filteredCount) {
+        setVisibleCount(count => count + PAGE_SIZE);
+      } else if (hasMore) {
+        loadMore();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [loading, loadingMore, visibleCount, filteredCount, hasMore, loadMore]);
 
   if (loading && hackathons.length === 0) {
     return <PageLoading message="Loading hackathons..." />;
@@ -149,20 +192,20 @@ export function Home() {
               <Input
                 placeholder="Search hackathons..."
                 value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
+                onChange={handleSearchChange}
                 className="pl-10"
               />
             </div>
           </div>
 
           {/* Tabs */}
-          <Tabs value={selectedTab} onValueChange={setSelectedTab} className="space-y-6">
+          <Tabs value={selectedTab} onValueChange={handleTabChange} className="space-y-6">
             <TabsList className="grid w-full max-w-md grid-cols-4">
               <TabsTrigger value="all">
                 All
-                {hackathons.length > 0 && (
+                {totalCount > 0 && (
                   <Badge variant="secondary" className="ml-2">
-                    {hackathons.length}
+                    {totalCount}
                   </Badge>
                 )}
               </TabsTrigger>
@@ -207,7 +250,7 @@ export function Home() {
                 </div>
               ) : (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                  {filteredHackathons.map((hackathon) => (
+                  {visibleHackathons.map((hackathon) => (
                     <HackathonCard
                       key={hackathon.id}
                       hackathon={hackathon}
@@ -228,7 +271,7 @@ export function Home() {
                 </div>
               ) : (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                  {filteredHackathons.map((hackathon) => (
+                  {visibleHackathons.map((hackathon) => (
                     <HackathonCard
                       key={hackathon.id}
                       hackathon={hackathon}
@@ -258,7 +301,7 @@ export function Home() {
                     </div>
                   ) : (
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                      {filteredHackathons.map((hackathon) => (
+                      {visibleHackathons.map((hackathon) => (
                         <HackathonCard
                           key={hackathon.id}
                           hackathon={hackathon}
@@ -280,7 +323,7 @@ export function Home() {
                     </div>
                   ) : (
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                      {filteredHackathons.map((hackathon) => (
+                      {visibleHackathons.map((hackathon) => (
                         <HackathonCard
                           key={hackathon.id}
                           hackathon={hackathon}
@@ -293,6 +336,16 @@ export function Home() {
               </>
             )}
           </Tabs>
+
+          {/* Infinite scroll */}
+          {loadingMore && (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mt-6">
+              {Array.from({ length: 3 }).map((_, index) => (
+                <HackathonCardSkeleton key={index} />
+              ))}
+            </div>
+          )}
+          <div ref={sentinelRef} className="h-1" aria-hidden="true" />
         </div>
       </section>
     </div>
@@ -22,9 +22,20 @@ import {
   Star,
   TrendingUp,
   Calendar,
+  ShieldCheck,
+  ShieldAlert,
+  CheckCircle2,
+  XCircle,
 } from 'lucide-react';
-import { formatAddress, formatDate } from '@/utils/helpers';
+import {
+  formatAddress,
+  formatDate,
+  formatOrdinal,
+  getMaxWeightedScore,
+  scoreToPercentage,
+} from '@/utils/helpers';
 import { cn } from '@/lib/utils';
+import { toast } from 'sonner';
 
 /**
  * Results Page
@@ -35,6 +46,10 @@ export function Results() {
   const [selectedTab, setSelectedTab] = useState('all');
   const [hackathonWinners, setHackathonWinners] = useState({});
   const [loadingWinners, setLoadingWinners] = useState({});
+  const [criterionScores, setCriterionScores] = useState({});
+  const [rubrics, setRubrics] = useState({});
+  const [honorableMentions, setHonorableMentions] = useState({});
+  const [verifications, setVerifications] = useState({});
 
   const { signer } = useWalletContext();
   const contract = useContract(signer);
@@ -66,6 +81,27 @@ export function Results() {
         ...prev,
         [hackathonId]: winners
       }));
+
+      const [rubric, ranking, ...breakdowns] = await Promise.all([
+        contract.getRubric(hackathonId),
+        contract.getRanking(hackathonId),
+        ...winners.map(winner => contract.getCriterionScores(hackathonId, winner.submissionId))
+      ]);
+
+      setRubrics(prev => ({ ...prev, [hackathonId]: rubric }));
+
+      // Only RevealAll rankings go past the winners
+      setHonorableMentions(prev => ({
+        ...prev,
+        [hackathonId]: ranking.slice(winners.length)
+      }));
+
+      setCriterionScores(prev => ({
+        ...prev,
+        [hackathonId]: Object.fromEntries(
+          winners.map((winner, index) => [Number(winner.submissionId), breakdowns[index]])
+        )
+      }));
     } catch (error) {
       console.error(`Failed to load winners for hackathon ${hackathonId}:`, error);
     } finally {
@@ -73,6 +109,32 @@ export function Results() {
     }
   };
 
+  const verifyResults = async (hackathon) => {
+    setVerifications(prev => ({ ...prev, [hackathon.id]: { isVerifying: true } }));
+
+    try {
+      const result = await contract.verifyResults(hackathon.id, hackathon.submissionCount);
+      const allPassed = result.signaturesValid && result.entries.every(entry => entry.passed);
+
+      setVerifications(prev => ({ ...prev, [hackathon.id]: { ...result, allPassed } }));
+
+      if (allPassed) {
+        toast.success('Results verified', {
+          description: 'Every revealed score matches its KMS-signed decryption.'
+        });
+      } else {
+        toast.error('Verification failed', {
+          description: 'Some on-chain results do not match the decryption proof.'
+        });
+      }
+    } catch (error) {
+      setVerifications(prev => ({ ...prev, [hackathon.id]: { error: error.message } }));
+      toast.error('Could not verify results', {
+        description: error.message
+      });
+    }
+  };
+
   if (loading) {
     return <PageLoading message="Loading results..." />;
   }
@@ -203,6 +265,12 @@ export function Results() {
                     <TrendingUp className="h-4 w-4" />
                     <span>{hackathon.submissionCount} submissions</span>
                   </div>
+                  {hackathon.winnerCount > 0 && (
+                    <div className="flex items-center gap-2">
+                      <Trophy className="h-4 w-4" />
+                      <span>Top {hackathon.winnerCount} awarded</span>
+                    </div>
+                  )}
                 </div>
               </CardHeader>
 
@@ -225,7 +293,10 @@ export function Results() {
                         .sort((a, b) => a.ranking - b.ranking)
                         .map((winner) => {
                           const rankInfo = rankIcons[winner.ranking];
-                          const Icon = rankInfo?.icon || Trophy;
+                          const Icon = rankInfo?.icon || Star;
+                          const breakdown = criterionScores[hackathon.id]?.[Number(winner.submissionId)];
+                          const rubric = rubrics[hackathon.id] || [];
+                          const maxScore = getMaxWeightedScore(rubric, hackathon.judges?.length || 1);
 
                           return (
                             <Card
@@ -238,23 +309,81 @@ export function Results() {
                               )}
                             >
                               <CardContent className="pt-6 text-center">
-                                <Icon className={cn('h-12 w-12 mx-auto mb-3', rankInfo?.color)} />
+                                <Icon className={cn('h-12 w-12 mx-auto mb-3', rankInfo?.color || 'text-primary')} />
                                 <Badge variant="secondary" className="mb-3">
-                                  {rankInfo?.label}
+                                  {rankInfo?.label || `${formatOrdinal(Number(winner.ranking))} Place`}
                                 </Badge>
                                 <p className="font-mono text-sm mb-2">
                                   {formatAddress(winner.participant)}
                                 </p>
                                 <div className="flex items-center justify-center gap-2 text-sm text-muted-foreground">
                                   <Star className="h-4 w-4" />
-                                  <span>{winner.finalScore} points</span>
+                                  <span>
+                                    {winner.finalScore} points
+                                    {maxScore > 0 && ` (${scoreToPercentage(Number(winner.finalScore), maxScore)}%)`}
+                                  </span>
                                 </div>
+
+                                {breakdown?.isDecrypted && breakdown.criterionTotals.length > 0 && (
+                                  <div className="mt-4 space-y-1 text-left text-xs">
+                                    {rubric.map((criterion, index) => (
+                                      <div key={`${index}-${criterion.name}`} className="flex items-center justify-between gap-2">
+                                        <span className="text-muted-foreground">
+                                          {criterion.name}
+                                          {criterion.weight > 1 && ` ×${criterion.weight}`}
+                                        </span>
+                                        <span className="font-medium">{breakdown.criterionTotals[index]}</span>
+                                      </div>
+                                    ))}
+                                  </div>
+                                )}
                               </CardContent>
                             </Card>
                           );
                         })}
                     </div>
 
+                    {/* Honorable Mentions */}
+                    {honorableMentions[hackathon.id]?.length > 0 && (
+                      <Card>
+                        <CardHeader>
+                          <CardTitle className="text-base flex items-center gap-2">
+                            <Medal className="h-5 w-5" />
+                            Honorable Mentions
+                          </CardTitle>
+                          <CardDescription>
+                            The rest of the ranking, by final score
+                          </CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                          <div className="max-h-96 overflow-y-auto">
+                            <Table>
+                              <TableHeader>
+                                <TableRow>
+                                  <TableHead>Rank</TableHead>
+                                  <TableHead>Participant</TableHead>
+                                  <TableHead>Submission</TableHead>
+                                  <TableHead className="text-right">Score</TableHead>
+                                </TableRow>
+                              </TableHeader>
+                              <TableBody>
+                                {honorableMentions[hackathon.id].map((entry) => (
+                                  <TableRow key={entry.submissionId}>
+                                    <TableCell>{formatOrdinal(entry.ranking)}</TableCell>
+                                    <TableCell className="font-mono text-sm">
+                                      {formatAddress(entry.participant)}
+                                    </TableCell>
+                                    <TableCell>#{entry.submissionId}</TableCell>
+                                    <TableCell className="text-right">{entry.finalScore}</TableCell>
+                                  </TableRow>
+                                ))}
+                              </TableBody>
+                            </Table>
+                          </div>
+                        </CardContent>
+                      </Card>
+                    )}
+
                     {/* Prize Details */}
                     <Card className="bg-muted/30">
                       <CardHeader>
@@ -268,8 +397,78 @@ export function Results() {
                       </CardContent>
                     </Card>
 
-                    {/* View Hackathon Button */}
-                    <div className="flex justify-center pt-2">
+                    {/* Verification */}
+                    {verifications[hackathon.id]?.entries && (
+                      <Card className={cn(
+                        'border-2',
+                        verifications[hackathon.id].allPassed ? 'border-green-500/50' : 'border-destructive/50'
+                      )}>
+                        <CardHeader>
+                          <CardTitle className="text-base flex items-center gap-2">
+                            {verifications[hackathon.id].allPassed ? (
+                              <ShieldCheck className="h-5 w-5 text-green-500" />
+                            ) : (
+                              <ShieldAlert className="h-5 w-5 text-destructive" />
+                            )}
+                            Result Verification
+                          </CardTitle>
+                          <CardDescription>
+                            {verifications[hackathon.id].signaturesValid
+                              ? 'KMS signatures are valid for the on-chain scores.'
+                              : `KMS signatures do not match the on-chain scores${
+                                  verifications[hackathon.id].signatureError
+                                    ? `: ${verifications[hackathon.id].signatureError}`
+                                    : ''
+                                }`}
+                          </CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                          <Table>
+                            <TableHeader>
+                              <TableRow>
+                                <TableHead>Submission</TableHead>
+                                <TableHead>On-chain Score</TableHead>
+                                <TableHead>Decrypted Score</TableHead>
+                                <TableHead className="text-right">Result</TableHead>
+                              </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                              {verifications[hackathon.id].entries.map((entry) => (
+                                <TableRow key={entry.submissionId}>
+                                  <TableCell>#{entry.submissionId}</TableCell>
+                                  <TableCell>{entry.onChainScore}</TableCell>
+                                  <TableCell>{entry.decryptedScore ?? '—'}</TableCell>
+                                  <TableCell className="text-right">
+                                    {entry.passed ? (
+                                      <Badge variant="outline" className="text-green-600 border-green-500/50">
+                                        <CheckCircle2 className="mr-1 h-3 w-3" />
+                                        Pass
+                                      </Badge>
+                                    ) : (
+                                      <Badge variant="destructive">
+                                        <XCircle className="mr-1 h-3 w-3" />
+                                        Fail
+                                      </Badge>
+                                    )}
+                                  </TableCell>
+                                </TableRow>
+                              ))}
+                            </TableBody>
+                          </Table>
+                        </CardContent>
+                      </Card>
+                    )}
+
+                    {/* Actions */}
+                    <div className="flex flex-wrap justify-center gap-2 pt-2">
+                      <Button
+                        variant="outline"
+                        onClick={() => verifyResults(hackathon)}
+                        disabled={!contract.contract || verifications[hackathon.id]?.isVerifying}
+                      >
+                        <ShieldCheck className="mr-2 h-4 w-4" />
+                        {verifications[hackathon.id]?.isVerifying ? 'Verifying...' : 'Verify Results'}
+                      </Button>
                       <Button variant="outline" asChild>
                         <Link to={`/hackathon/${hackathon.id}`}>
                           <Eye className="mr-2 h-4 w-4" />
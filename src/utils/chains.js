@@ -0,0 +1,113 @@
+/**
+ * Supported networks for Zackathon
+ *
+ * CHAINS describes every network the app knows how to talk to, in the
+ * shape wallet_addEthereumChain expects plus a few app-level fields.
+ * VITE_SUPPORTED_CHAINS (comma-separated chain IDs, e.g. "31337") narrows
+ * the list for a given build; by default every known chain is enabled.
+ * Whether the contract is actually deployed on a chain is a separate
+ * question answered by ./deployments.
+ */
+
+export const SEPOLIA_CHAIN_ID = 11155111;
+export const HARDHAT_CHAIN_ID = 31337;
+
+const CHAINS = {
+  [SEPOLIA_CHAIN_ID]: {
+    chainId: SEPOLIA_CHAIN_ID,
+    name: 'Sepolia Testnet',
+    shortName: 'Sepolia',
+    nativeCurrency: { name: 'Sepolia ETH', symbol: 'ETH', decimals: 18 },
+    rpcUrls: ['https://sepolia.infura.io/v3/d05efcb7210a474e8b98308181a49685'],
+    blockExplorerUrl: 'https://sepolia.etherscan.io',
+    isLocal: false,
+  },
+  [HARDHAT_CHAIN_ID]: {
+    chainId: HARDHAT_CHAIN_ID,
+    name: 'Hardhat Local',
+    shortName: 'Local',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [import.meta.env.VITE_LOCAL_RPC_URL || 'http://127.0.0.1:8545'],
+    blockExplorerUrl: null,
+    isLocal: true,
+  },
+};
+
+function parseEnabledChainIds() {
+  const raw = import.meta.env.VITE_SUPPORTED_CHAINS;
+  if (!raw) return null;
+
+  return raw
+    .split(',')
+    .map(value => Number(value.trim()))
+    .filter(chainId => CHAINS[chainId]);
+}
+
+const enabledChainIds = parseEnabledChainIds();
+
+/**
+ * Get every network enabled for this build
+ * @returns {Object[]} Chain definitions
+ */
+export function getSupportedChains() {
+  const chainIds = enabledChainIds || Object.keys(CHAINS).map(Number);
+  return chainIds.map(chainId => CHAINS[chainId]);
+}
+
+/**
+ * Get a supported network by ID
+ * @param {number} chainId
+ * @returns {Object|null} Chain definition or null if unsupported
+ */
+export function getChain(chainId) {
+  return getSupportedChains().find(chain => chain.chainId === Number(chainId)) || null;
+}
+
+/**
+ * Check whether the app supports a network
+ * @param {number} chainId
+ * @returns {boolean}
+ */
+export function isChainSupported(chainId) {
+  return !!getChain(chainId);
+}
+
+/**
+ * Convert a chain ID to the 0x-prefixed hex form wallets use
+ * @param {number} chainId
+ * @returns {string}
+ */
+export function toHexChainId(chainId) {
+  return `0x${Number(chainId).toString(16)}`;
+}
+
+/**
+ * Build wallet_addEthereumChain params for a supported network
+ * @param {number} chainId
+ * @returns {Object}
+ */
+export function getAddChainParams(chainId) {
+  const chain = getChain(chainId);
+  if (!chain) {
+    throw new Error(`Unsupported network: ${chainId}`);
+  }
+
+  return {
+    chainId: toHexChainId(chain.chainId),
+    chainName: chain.name,
+    nativeCurrency: chain.nativeCurrency,
+    rpcUrls: chain.rpcUrls,
+    blockExplorerUrls: chain.blockExplorerUrl ? [chain.blockExplorerUrl] : undefined,
+  };
+}
+
+/**
+ * Block explorer link for a transaction
+ * @param {number} chainId
+ * @param {string} hash
+ * @returns {string|null} URL, or null when the chain has no explorer (local nodes)
+ */
+export function getExplorerTxUrl(chainId, hash) {
+  const explorer = getChain(chainId)?.blockExplorerUrl;
+  return explorer ? `${explorer}/tx/${hash}` : null;
+}
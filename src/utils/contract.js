@@ -1,11 +1,36 @@
 import { ethers } from "ethers";
 import contractArtifact from '../../artifacts/contracts/Zackathon.sol/Zackathon.json';
+import lensArtifact from '../../artifacts/contracts/ZackathonLens.sol/ZackathonLens.json';
+import { getChain } from './chains';
+import { decodeContractError } from './contractErrors';
+import { DEFAULT_CHAIN_ID, getActiveChainId, getDeployment, isChainDeployed } from './deployments';
 
 /**
- * Get contract address from environment or config
- * Priority: VITE_CONTRACT_ADDRESS env variable > contractConfig.json
+ * Largest page the paged views return (MAX_PAGE_SIZE in ZackathonLens.sol)
  */
-export const getContractAddress = () => {
+export const MAX_PAGE_SIZE = 50;
+
+// One JSON-RPC provider per chain, shared by every read-only contract
+const readOnlyProviders = new Map();
+
+/**
+ * Warn when a transaction needs more than this share of the block gas limit
+ */
+const BLOCK_GAS_WARNING_RATIO = 0.8;
+
+/**
+ * Share of the block gas limit one batch of a chunked action may use
+ */
+const BATCH_GAS_SHARE = 0.5;
+
+/**
+ * Get contract address for a chain
+ * Priority: VITE_CONTRACT_ADDRESS env variable (one-off override) > deployments.json
+ * 
+ * @param {number} [chainId] - Defaults to the active chain
+ * @returns {string | null} Contract address
+ */
+export const getContractAddress = (chainId = getActiveChainId()) => {
   const envAddress = import.meta.env.VITE_CONTRACT_ADDRESS;
   
   if (envAddress) {
@@ -13,33 +38,36 @@ export const getContractAddress = () => {
     return envAddress;
   }
   
-  console.warn('⚠️ No VITE_CONTRACT_ADDRESS found in environment');
-  return null;
+  const deployment = getDeployment(chainId);
+  
+  if (!deployment) {
+    console.warn(`⚠️ Zackathon is not deployed on chain ${chainId}`);
+    return null;
+  }
+  
+  return deployment.contractAddress;
 };
 
 /**
- * Load contract address from config file (async fallback)
+ * Check whether the app knows a Zackathon address for a chain
+ * (VITE_CONTRACT_ADDRESS or a deployments.json entry)
+ * 
+ * @param {number} [chainId] - Defaults to the active chain
+ * @returns {boolean}
  */
-export const getContractAddressAsync = async () => {
-  try {
-    const config = await import("./contractConfig.json");
-    const address = config.default?.contractAddress || config.contractAddress;
-    console.log('📍 Using contract address from config:', address);
-    return address;
-  } catch (err) {
-    console.warn('Failed to load contractConfig.json:', err.message);
-    return getContractAddress();
-  }
+export const isContractAvailable = (chainId = getActiveChainId()) => {
+  return !!import.meta.env.VITE_CONTRACT_ADDRESS || isChainDeployed(chainId);
 };
 
 /**
  * Get connected Ethers Contract instance
  * 
  * @param {ethers.Signer | ethers.Provider} signerOrProvider - Ethers signer or provider
+ * @param {number} [chainId] - Chain the signer/provider is on, defaults to the active chain
  * @returns {ethers.Contract | null} Contract instance
  */
-export const getContract = (signerOrProvider) => {
-  const address = getContractAddress();
+export const getContract = (signerOrProvider, chainId = getActiveChainId()) => {
+  const address = getContractAddress(chainId);
   
   if (!address) {
     console.error("❌ No contract address found. Deploy contract first or set VITE_CONTRACT_ADDRESS");
@@ -61,6 +89,69 @@ export const getContract = (signerOrProvider) => {
   }
 };
 
+/**
+ * Chain used for read-only access
+ * The active chain if Zackathon is deployed there, the default chain otherwise.
+ * @returns {number}
+ */
+export const getReadOnlyChainId = () => {
+  const chainId = getActiveChainId();
+  return isChainDeployed(chainId) ? chainId : DEFAULT_CHAIN_ID;
+};
+
+/**
+ * Get a JSON-RPC provider for a chain (no wallet required)
+ * 
+ * @param {number} [chainId] - Defaults to getReadOnlyChainId()
+ * @returns {ethers.JsonRpcProvider | null} Provider or null if no RPC URL is known
+ */
+export const getReadOnlyProvider = (chainId = getReadOnlyChainId()) => {
+  if (readOnlyProviders.has(chainId)) {
+    return readOnlyProviders.get(chainId);
+  }
+  
+  const rpcUrl = getDeployment(chainId)?.rpcUrl || getChain(chainId)?.rpcUrls[0];
+  
+  if (!rpcUrl) {
+    console.error(`❌ No RPC URL known for chain ${chainId}`);
+    return null;
+  }
+  
+  const provider = new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true });
+  readOnlyProviders.set(chainId, provider);
+  
+  return provider;
+};
+
+/**
+ * Get a read-only contract instance backed by a JSON-RPC provider
+ * Used for browsing without a connected wallet.
+ * 
+ * @returns {ethers.Contract | null} Contract instance
+ */
+export const getReadOnlyContract = () => {
+  const chainId = getReadOnlyChainId();
+  return getContract(getReadOnlyProvider(chainId), chainId);
+};
+
+/**
+ * Get the ZackathonLens contract (paged listing views) for a chain
+ * Priority: VITE_LENS_ADDRESS env variable > deployments.json lensAddress
+ * 
+ * @param {ethers.Signer | ethers.Provider} runner - Signer or provider to read with
+ * @param {number} [chainId] - Defaults to the active chain
+ * @returns {ethers.Contract | null} Lens instance or null if none is deployed
+ */
+export const getLensContract = (runner, chainId = getActiveChainId()) => {
+  const address = import.meta.env.VITE_LENS_ADDRESS || getDeployment(chainId)?.lensAddress;
+  
+  if (!address || !runner) {
+    return null;
+  }
+  
+  return new ethers.Contract(address, lensArtifact.abi, runner);
+};
+
 /**
  * Get contract ABI
  * @returns {any[]} Contract ABI
@@ -93,109 +184,13 @@ export const formatAddress = (address, chars = 4) => {
 
 /**
  * Parse transaction error message
+ * Custom errors are decoded against the ABI (see ./contractErrors).
  * @param {Error} error - Error from contract call
- * @returns {string} User-friendly error message
+ * @returns {string} User-friendly, localized error message
  */
 export const parseContractError = (error) => {
   if (!error) return 'Unknown error';
-  
-  const message = error.message || error.toString();
-  
-  if (message.includes('user rejected')) {
-    return 'Transaction rejected by user';
-  }
-  
-  if (message.includes('insufficient funds')) {
-    return 'Insufficient ETH for transaction';
-  }
-  
-  if (message.includes('Only organizer')) {
-    return 'Only hackathon organizer can perform this action';
-  }
-  
-  if (message.includes('Only judge')) {
-    return 'Only authorized judges can perform this action';
-  }
-  
-  if (message.includes('Already registered')) {
-    return 'You are already registered for this hackathon';
-  }
-  
-  if (message.includes('Already submitted')) {
-    return 'You have already submitted a project';
-  }
-  
-  if (message.includes('Not registered')) {
-    return 'You must register for the hackathon first';
-  }
-  
-  if (message.includes('Submission deadline passed')) {
-    return 'Submission deadline has passed';
-  }
-  
-  if (message.includes('Judging deadline passed')) {
-    return 'Judging deadline has passed';
-  }
-  
-  if (message.includes('Too early')) {
-    return 'Cannot perform this action yet - wait for deadline';
-  }
-  
-  if (message.includes('Invalid hackathon')) {
-    return 'Hackathon not found';
-  }
-  
-  if (message.includes('Max participants reached')) {
-    return 'Maximum number of participants reached';
-  }
-  
-  if (message.includes('Minimum 3 judges required')) {
-    return 'Hackathon must have at least 3 judges';
-  }
-  
-  if (message.includes('Access not granted')) {
-    return 'Judge access has not been granted yet';
-  }
-  
-  if (message.includes('Not all judges scored')) {
-    return 'All judges must submit scores before calculating winners';
-  }
-  
-  if (message.includes('Already scored')) {
-    return 'You have already scored this submission';
-  }
-  
-  if (message.includes('No submissions')) {
-    return 'No submissions to process';
-  }
-  
-  if (message.includes('Winners not calculated')) {
-    return 'Winners must be calculated before revealing results';
-  }
-  
-  return message.substring(0, 100);
-};
-
-/**
- * Wait for transaction confirmation with retry logic
- * @param {ethers.TransactionResponse} tx - Transaction response
- * @param {number} confirmations - Number of confirmations to wait for
- * @returns {Promise<ethers.TransactionReceipt>} Transaction receipt
- */
-export const waitForTransaction = async (tx, confirmations = 1) => {
-  console.log('⏳ Waiting for transaction confirmation...');
-  console.log('  → Transaction hash:', tx.hash);
-  
-  try {
-    const receipt = await tx.wait(confirmations);
-    console.log('✓ Transaction confirmed!');
-    console.log('  → Block number:', receipt.blockNumber);
-    console.log('  → Gas used:', receipt.gasUsed.toString());
-    return receipt;
-  } catch (error) {
-    console.error('❌ Transaction failed:', error);
-    throw new Error(parseContractError(error));
-  }
+  return decodeContractError(error).message;
 };
 
 /**
@@ -247,4 +242,98 @@ export const checkBalance = async (provider, address, estimatedGas) => {
     console.error('❌ Balance check failed:', error);
     return false;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Estimate gas and ETH cost of a contract call before sending it
+ * Unlike estimateGas(), a failing estimate is rethrown: it usually means the
+ * call would revert, and the revert data tells the user why.
+ *
+ * @param {ethers.BaseContractMethod} contractMethod - e.g. contract.grantJudgeAccessBatch
+ * @param {any[]} args - Method arguments
+ * @param {ethers.Signer} signer - Account that will send the transaction
+ * @returns {Promise<{gasEstimate: bigint, gasLimit: bigint, feePerGas: bigint, maxFeePerGas: bigint, estimatedCost: bigint, maxCost: bigint, balance: bigint, hasEnoughBalance: boolean, blockGasLimit: bigint, blockGasShare: number, nearBlockGasLimit: boolean}>}
+ */
+export const estimateTransactionCost = async (contractMethod, args, signer) => {
+  const provider = signer.provider;
+  const address = await signer.getAddress();
+
+  const gasEstimate = await contractMethod.estimateGas(...args);
+  const gasLimit = (gasEstimate * 120n) / 100n;
+
+  const [feeData, balance, block] = await Promise.all([
+    provider.getFeeData(),
+    provider.getBalance(address),
+    provider.getBlock('latest'),
+  ]);
+
+  // Expected price today vs. the most the wallet will let it cost
+  const feePerGas = feeData.gasPrice || feeData.maxFeePerGas || 20000000000n;
+  const maxFeePerGas = feeData.maxFeePerGas || feePerGas;
+  const estimatedCost = gasEstimate * feePerGas;
+  const maxCost = gasLimit * maxFeePerGas;
+
+  const blockGasLimit = block?.gasLimit ?? 0n;
+  const blockGasShare = blockGasLimit > 0n ? Number((gasLimit * 10000n) / blockGasLimit) / 10000 : 0;
+
+  const preview = {
+    gasEstimate,
+    gasLimit,
+    feePerGas,
+    maxFeePerGas,
+    estimatedCost,
+    maxCost,
+    balance,
+    hasEnoughBalance: balance >= maxCost,
+    blockGasLimit,
+    blockGasShare,
+    nearBlockGasLimit: blockGasShare >= BLOCK_GAS_WARNING_RATIO,
+  };
+
+  console.log('⛽ Cost preview:', {
+    gas: gasEstimate.toString(),
+    estimatedCost: ethers.formatEther(estimatedCost),
+    maxCost: ethers.formatEther(maxCost),
+    blockGasShare: `${(blockGasShare * 100).toFixed(1)}%`,
+  });
+
+  return preview;
+};
+
+/**
+ * Size the next batch of a chunked action (e.g. grantJudgeAccessBatch)
+ * Estimates a one-item batch and fits as many items as BATCH_GAS_SHARE of the
+ * block gas limit allows. The one-item estimate includes the fixed cost of
+ * the call, so this errs on the small side. Limits other than gas (such as
+ * the FHE complexity budget of a transaction) only show up as a failing
+ * estimate, so the batch is halved until the whole range estimates.
+ * A failing one-item estimate is rethrown.
+ *
+ * @param {ethers.BaseContractMethod} contractMethod - Batch method taking (..., from, to)
+ * @param {Function} argsFor - (from, to) => method arguments
+ * @param {number} from - First item of the batch
+ * @param {number} total - Item count (exclusive end of the last batch)
+ * @param {ethers.Provider} provider - Provider to read the block gas limit from
+ * @returns {Promise<number>} Exclusive end of the next batch
+ */
+export const estimateBatchEnd = async (contractMethod, argsFor, from, total, provider) => {
+  const [gasPerItem, block] = await Promise.all([
+    contractMethod.estimateGas(...argsFor(from, from + 1)),
+    provider.getBlock('latest'),
+  ]);
+
+  const budget = BigInt(Math.floor(Number(block.gasLimit) * BATCH_GAS_SHARE));
+  let end = Math.min(total, from + Math.max(1, Number(budget / gasPerItem)));
+
+  while (end - from > 1) {
+    try {
+      await contractMethod.estimateGas(...argsFor(from, end));
+      break;
+    } catch {
+      end = from + Math.floor((end - from) / 2);
+    }
+  }
+
+  console.log('📦 Batch size:', { gasPerItem: gasPerItem.toString(), items: end - from });
+  return end;
+};
@@ -0,0 +1,323 @@
+/**
+ * Contract error decoding
+ *
+ * Zackathon reverts with custom errors (see the Errors section of
+ * Zackathon.sol). decodeContractError() finds the revert data wherever
+ * ethers or the wallet put it, decodes it against the ABI and returns a
+ * structured, localized description:
+ *
+ *   {
+ *     code: 'SubmissionDeadlinePassed',
+ *     args: { deadline: 1735689600n, currentTime: 1735693200n },
+ *     message: 'The submission deadline passed on Jan 1, 2025, 12:00 AM',
+ *     details: [{ name: 'deadline', label: 'Deadline', value: 'Jan 1, 2025, 12:00 AM' }, ...]
+ *   }
+ *
+ * Wallet errors (rejection, insufficient funds) get codes of their own;
+ * plain string reverts from older deployments keep their reason as message.
+ * toContractError() wraps the result in a ContractError for throwing.
+ */
+
+import { Interface, isError } from 'ethers';
+import contractArtifact from '../../artifacts/contracts/Zackathon.sol/Zackathon.json';
+import { formatAddress } from './helpers';
+
+const contractInterface = new Interface(contractArtifact.abi);
+
+/**
+ * Codes for failures that do not come from the contract
+ */
+export const WALLET_ERROR_CODES = {
+  USER_REJECTED: 'UserRejected',
+  INSUFFICIENT_FUNDS: 'InsufficientFunds',
+  REVERT: 'Revert',
+  UNKNOWN: 'Unknown',
+};
+
+const TIME_ARGS = ['deadline', 'currentTime', 'judgingDeadline', 'submissionDeadline'];
+const ADDRESS_ARGS = ['organizer', 'judge'];
+
+// Enum arguments, by error: which catalog list names their values
+const ENUM_ARGS = {
+  WrongStatus: 'statuses',
+  WrongRankingMode: 'rankingModes',
+};
+
+const CATALOGS = {
+  en: {
+    labels: {
+      organizer: 'Organizer',
+      deadline: 'Deadline',
+      currentTime: 'Block time',
+      judgingDeadline: 'Judging deadline',
+      submissionDeadline: 'Submission deadline',
+      provided: 'Provided',
+      required: 'Required',
+      expected: 'Expected',
+      actual: 'Current',
+      max: 'Maximum',
+      judge: 'Judge',
+      index: 'Criterion',
+      submissionId: 'Submission',
+      submissionCount: 'Submissions',
+      scored: 'Scores received',
+      maxParticipants: 'Participant limit',
+      length: 'Words',
+      from: 'Batch start',
+      to: 'Batch end',
+      next: 'Next submission',
+    },
+    statuses: ['Registration open', 'Submissions open', 'Judging', 'Completed'],
+    rankingModes: ['Reveal all scores', 'Reveal winners only'],
+    messages: {
+      OnlyOrganizer: () => 'Only the hackathon organizer can do this',
+      OnlyJudge: () => 'Only judges of this hackathon can do this',
+      HackathonNotFound: (a) => `Hackathon #${a.hackathonId} does not exist`,
+      SubmissionDeadlinePassed: (a) => `The submission deadline passed on ${a.deadline}`,
+      SubmissionDeadlineNotReached: (a) => `Submissions are open until ${a.deadline}; try again after that`,
+      JudgingDeadlinePassed: (a) => `The judging deadline passed on ${a.deadline}`,
+      JudgingDeadlineNotReached: (a) => `Judging is open until ${a.deadline}; try again after that`,
+      NameRequired: () => 'A hackathon name is required',
+      InvalidSubmissionDeadline: (a) => `The submission deadline (${a.deadline}) must be in the future`,
+      InvalidJudgingDeadline: (a) =>
+        `The judging deadline (${a.judgingDeadline}) must be after the submission deadline (${a.submissionDeadline})`,
+      NotEnoughJudges: (a) => `At least ${a.required} judge(s) required, ${a.provided} given`,
+      InvalidRubricSize: (a) => `The scoring rubric needs between 1 and ${a.max} criteria, ${a.provided} given`,
+      InvalidWinnerCount: (a) => `Between 1 and ${a.max} winners can be awarded, ${a.provided} given`,
+      InvalidJudge: (a) => `${a.judge} cannot be a judge (empty address or the organizer)`,
+      InvalidCriterion: (a) => `Criterion ${a.index} needs a name, and max points and weight between 1 and 100`,
+      JudgeAccessAlreadyGranted: () => 'Judge access has already been granted',
+      JudgeAccessNotGranted: () => 'Judge access has not been granted yet',
+      InvalidBatchRange: (a) => `Batch must continue from submission #${a.next} (${a.submissionCount} submitted)`,
+      NoSubmissions: () => 'This hackathon has no submissions yet',
+      WrongStatus: (a) => `Only possible while the hackathon is in "${a.expected}" (currently "${a.actual}")`,
+      WrongRankingMode: (a) => `Only possible for "${a.expected}" hackathons`,
+      NotAllJudgesScored: (a) =>
+        `All judges must score before winners are calculated: submission #${a.submissionId} has ${a.scored} of ${a.required} scores`,
+      CountMismatch: (a) => `Expected ${a.expected} values, got ${a.provided}`,
+      InvalidSubmission: (a) => `Submission #${a.submissionId} does not exist (${a.submissionCount} submitted)`,
+      WinnersNotAnnounced: () => 'Winners have not been announced yet',
+      WinnersAlreadyAnnounced: () => 'Winners have already been announced',
+      AlreadyRegistered: () => 'You are already registered for this hackathon',
+      EmailRequired: () => 'An email address is required',
+      JudgesCannotParticipate: () => 'Judges cannot register as participants',
+      MaxParticipantsReached: (a) => `This hackathon is full (${a.maxParticipants} participants)`,
+      NotRegistered: () => 'You must register for the hackathon first',
+      AlreadySubmitted: () => 'You have already submitted a project',
+      InvalidIPFSHashLength: (a) => `The encrypted IPFS CID must span 1 to ${a.max} words, got ${a.length}`,
+      AlreadyScored: (a) => `You have already scored submission #${a.submissionId}`,
+      UserRejected: () => 'Transaction rejected in your wallet',
+      InsufficientFunds: () => 'Not enough ETH to pay for gas',
+    },
+  },
+  fr: {
+    labels: {
+      organizer: 'Organisateur',
+      deadline: 'Échéance',
+      currentTime: 'Heure du bloc',
+      judgingDeadline: 'Fin du jugement',
+      submissionDeadline: 'Fin des soumissions',
+      provided: 'Fourni',
+      required: 'Requis',
+      expected: 'Attendu',
+      actual: 'Actuel',
+      max: 'Maximum',
+      judge: 'Juge',
+      index: 'Critère',
+      submissionId: 'Soumission',
+      submissionCount: 'Soumissions',
+      scored: 'Notes reçues',
+      maxParticipants: 'Limite de participants',
+      length: 'Mots',
+      from: 'Début du lot',
+      to: 'Fin du lot',
+      next: 'Prochaine soumission',
+    },
+    statuses: ['Inscriptions ouvertes', 'Soumissions ouvertes', 'Jugement', 'Terminé'],
+    rankingModes: ['Tous les scores publiés', 'Gagnants seulement'],
+    messages: {
+      OnlyOrganizer: () => 'Seul l’organisateur du hackathon peut faire cela',
+      OnlyJudge: () => 'Seuls les juges de ce hackathon peuvent faire cela',
+      HackathonNotFound: (a) => `Le hackathon #${a.hackathonId} n’existe pas`,
+      SubmissionDeadlinePassed: (a) => `La date limite de soumission est passée (${a.deadline})`,
+      SubmissionDeadlineNotReached: (a) => `Les soumissions sont ouvertes jusqu’au ${a.deadline} ; réessayez ensuite`,
+      JudgingDeadlinePassed: (a) => `La date limite de jugement est passée (${a.deadline})`,
+      JudgingDeadlineNotReached: (a) => `Le jugement est ouvert jusqu’au ${a.deadline} ; réessayez ensuite`,
+      NameRequired: () => 'Le nom du hackathon est obligatoire',
+      InvalidSubmissionDeadline: (a) => `La date limite de soumission (${a.deadline}) doit être dans le futur`,
+      InvalidJudgingDeadline: (a) =>
+        `La fin du jugement (${a.judgingDeadline}) doit suivre la fin des soumissions (${a.submissionDeadline})`,
+      NotEnoughJudges: (a) => `Au moins ${a.required} juge(s) requis, ${a.provided} fourni(s)`,
+      InvalidRubricSize: (a) => `La grille doit compter entre 1 et ${a.max} critères, ${a.provided} fourni(s)`,
+      InvalidWinnerCount: (a) => `Entre 1 et ${a.max} gagnants peuvent être récompensés, ${a.provided} fourni(s)`,
+      InvalidJudge: (a) => `${a.judge} ne peut pas être juge (adresse vide ou organisateur)`,
+      InvalidCriterion: (a) => `Le critère ${a.index} doit avoir un nom, et des points et un poids entre 1 et 100`,
+      JudgeAccessAlreadyGranted: () => 'L’accès des juges a déjà été accordé',
+      JudgeAccessNotGranted: () => 'L’accès des juges n’a pas encore été accordé',
+      InvalidBatchRange: (a) => `Le lot doit reprendre à la soumission #${a.next} (${a.submissionCount} soumises)`,
+      NoSubmissions: () => 'Ce hackathon n’a encore aucune soumission',
+      WrongStatus: (a) => `Possible uniquement en phase « ${a.expected} » (actuellement « ${a.actual} »)`,
+      WrongRankingMode: (a) => `Possible uniquement pour les hackathons « ${a.expected} »`,
+      NotAllJudgesScored: (a) =>
+        `Tous les juges doivent noter avant le calcul des gagnants : la soumission #${a.submissionId} a ${a.scored} note(s) sur ${a.required}`,
+      CountMismatch: (a) => `${a.expected} valeurs attendues, ${a.provided} reçues`,
+      InvalidSubmission: (a) => `La soumission #${a.submissionId} n’existe pas (${a.submissionCount} soumises)`,
+      WinnersNotAnnounced: () => 'Les gagnants n’ont pas encore été annoncés',
+      WinnersAlreadyAnnounced: () => 'Les gagnants ont déjà été annoncés',
+      AlreadyRegistered: () => 'Vous êtes déjà inscrit à ce hackathon',
+      EmailRequired: () => 'Une adresse e-mail est obligatoire',
+      JudgesCannotParticipate: () => 'Les juges ne peuvent pas s’inscrire comme participants',
+      MaxParticipantsReached: (a) => `Ce hackathon est complet (${a.maxParticipants} participants)`,
+      NotRegistered: () => 'Vous devez d’abord vous inscrire au hackathon',
+      AlreadySubmitted: () => 'Vous avez déjà soumis un projet',
+      InvalidIPFSHashLength: (a) => `Le CID IPFS chiffré doit tenir en 1 à ${a.max} mots, ${a.length} reçus`,
+      AlreadyScored: (a) => `Vous avez déjà noté la soumission #${a.submissionId}`,
+      UserRejected: () => 'Transaction refusée dans votre portefeuille',
+      InsufficientFunds: () => 'Pas assez d’ETH pour payer le gas',
+    },
+  },
+};
+
+/**
+ * Error thrown by contract actions
+ * Carries the decoded code, raw arguments and localized details.
+ */
+export class ContractError extends Error {
+  constructor({ code, args, message, details }, cause) {
+    super(message, { cause });
+    this.name = 'ContractError';
+    this.code = code;
+    this.args = args;
+    this.details = details;
+  }
+}
+
+/**
+ * Pick the catalog for the browser language (English fallback)
+ * @returns {string} Locale key of CATALOGS
+ */
+export function getErrorLocale() {
+  const languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  const match = languages
+    .map(language => String(language).split('-')[0].toLowerCase())
+    .find(language => CATALOGS[language]);
+
+  return match || 'en';
+}
+
+function findRevertData(error) {
+  const candidates = [
+    error?.data,
+    error?.info?.error?.data,
+    error?.info?.error?.data?.data,
+    error?.error?.data,
+    error?.error?.data?.data,
+  ];
+
+  return candidates.find(data => typeof data === 'string' && /^0x[0-9a-fA-F]{8}/.test(data)) || null;
+}
+
+function namedArgs(fragment, values) {
+  const args = {};
+  fragment?.inputs.forEach((input, index) => {
+    args[input.name || index] = values[index];
+  });
+  return args;
+}
+
+function parseRevert(error) {
+  // Already decoded by ethers when the call went through the contract
+  if (error?.revert?.name) {
+    const { name, args } = error.revert;
+    return { name, args: namedArgs(contractInterface.getError(name), args) };
+  }
+
+  const data = findRevertData(error);
+  if (!data) return null;
+
+  try {
+    const parsed = contractInterface.parseError(data);
+    return parsed ? { name: parsed.name, args: namedArgs(parsed.fragment, parsed.args) } : null;
+  } catch {
+    return null;
+  }
+}
+
+function formatArg(code, name, value, catalog, locale) {
+  if (TIME_ARGS.includes(name)) {
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' })
+      .format(new Date(Number(value) * 1000));
+  }
+  if (ADDRESS_ARGS.includes(name)) {
+    return formatAddress(value);
+  }
+  if (ENUM_ARGS[code] && (name === 'expected' || name === 'actual')) {
+    return catalog[ENUM_ARGS[code]][Number(value)] ?? String(value);
+  }
+  if (name === 'index') {
+    // Criteria are numbered from 1 in the UI
+    return String(Number(value) + 1);
+  }
+  return typeof value === 'bigint' ? value.toLocaleString(locale) : String(value);
+}
+
+function describe(code, args, catalog, locale) {
+  const formatted = {};
+  Object.entries(args).forEach(([name, value]) => {
+    formatted[name] = formatArg(code, name, value, catalog, locale);
+  });
+
+  const details = Object.keys(formatted)
+    .filter(name => name !== 'hackathonId')
+    .map(name => ({ name, label: catalog.labels[name] || name, value: formatted[name] }));
+
+  const message = (catalog.messages[code] || CATALOGS.en.messages[code])(formatted);
+  return { code, args, message, details };
+}
+
+/**
+ * Decode any error from a contract call or transaction
+ *
+ * @param {Error} error - From ethers, the wallet or the transaction manager
+ * @param {string} [locale] - Catalog to use, defaults to getErrorLocale()
+ * @returns {{code: string, args: Object, message: string, details: Array<{name: string, label: string, value: string}>}}
+ */
+export function decodeContractError(error, locale = getErrorLocale()) {
+  const catalog = CATALOGS[locale] || CATALOGS.en;
+
+  if (error instanceof ContractError) {
+    return { code: error.code, args: error.args, message: error.message, details: error.details };
+  }
+
+  const revert = parseRevert(error);
+
+  if (revert && (catalog.messages[revert.name] || CATALOGS.en.messages[revert.name])) {
+    return describe(revert.name, revert.args, catalog, locale);
+  }
+
+  // Error(string) from deployments that predate custom errors
+  if (revert?.name === 'Error') {
+    return { code: WALLET_ERROR_CODES.REVERT, args: {}, message: String(revert.args.message ?? revert.args[0]), details: [] };
+  }
+
+  if (isError(error, 'ACTION_REJECTED') || error?.code === 4001 || /user (rejected|denied)/i.test(error?.message)) {
+    return describe(WALLET_ERROR_CODES.USER_REJECTED, {}, catalog, locale);
+  }
+
+  if (isError(error, 'INSUFFICIENT_FUNDS') || /insufficient funds/i.test(error?.message)) {
+    return describe(WALLET_ERROR_CODES.INSUFFICIENT_FUNDS, {}, catalog, locale);
+  }
+
+  const message = error?.reason || error?.shortMessage || error?.message || String(error ?? 'Unknown error');
+  return { code: WALLET_ERROR_CODES.UNKNOWN, args: {}, message, details: [] };
+}
+
+/**
+ * Wrap an error as a ContractError (returned as is if it already is one)
+ * @param {Error} error
+ * @returns {ContractError}
+ */
+export function toContractError(error) {
+  if (error instanceof ContractError) return error;
+  return new ContractError(decodeContractError(error), error);
+}
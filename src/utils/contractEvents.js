@@ -0,0 +1,216 @@
+/**
+ * Live contract event subscriptions
+ *
+ * Wraps ethers' contract.on() with the two things pages need to trust a
+ * live view: duplicate suppression (the same log can be delivered twice
+ * around a reconnect) and reconnection. A shared heartbeat per provider
+ * notices when the RPC stops answering; once it answers again every
+ * subscription on that provider re-attaches its listeners and runs its
+ * onReconnect callback so the caller can refetch whatever it missed.
+ */
+
+const HEARTBEAT_INTERVAL_MS = Number(import.meta.env.VITE_EVENT_HEARTBEAT_MS) || 15000;
+const HEARTBEAT_TIMEOUT_MS = 10000;
+const MAX_SEEN_LOGS = 500;
+
+// provider -> { subscribers: Set, timer, connected }
+const monitors = new Map();
+
+/**
+ * Subscription status values passed to onStatusChange
+ */
+export const EVENT_STATUS = {
+  CONNECTING: 'connecting',
+  LIVE: 'live',
+  RECONNECTING: 'reconnecting',
+};
+
+function getProvider(contract) {
+  return contract.runner?.provider || contract.runner;
+}
+
+async function checkProvider(provider) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Heartbeat timed out')), HEARTBEAT_TIMEOUT_MS);
+  });
+
+  try {
+    await Promise.race([provider.getBlockNumber(), timeout]);
+    return true;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function notifyMonitor(monitor, connected) {
+  if (!connected) {
+    if (monitor.connected) {
+      console.warn('⚠️ RPC connection lost, waiting to resubscribe...');
+      monitor.subscribers.forEach(subscriber => subscriber.disconnect());
+    }
+    monitor.connected = false;
+    return;
+  }
+
+  if (!monitor.connected) {
+    console.log('🔌 RPC connection restored, resubscribing to events...');
+  }
+  monitor.connected = true;
+
+  monitor.subscribers.forEach(subscriber => {
+    if (subscriber.stale) subscriber.reconnect();
+  });
+}
+
+function attachToMonitor(provider, subscriber) {
+  let monitor = monitors.get(provider);
+
+  if (!monitor) {
+    monitor = { subscribers: new Set(), timer: null, connected: true };
+
+    const beat = async () => {
+      const healthy = typeof navigator !== 'undefined' && navigator.onLine === false
+        ? false
+        : await checkProvider(provider);
+      notifyMonitor(monitor, healthy);
+    };
+
+    monitor.timer = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+    monitor.onError = () => notifyMonitor(monitor, false);
+    monitor.onOnline = () => beat();
+    monitor.onOffline = () => notifyMonitor(monitor, false);
+
+    provider.on?.('error', monitor.onError);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', monitor.onOnline);
+      window.addEventListener('offline', monitor.onOffline);
+    }
+
+    monitors.set(provider, monitor);
+  }
+
+  monitor.subscribers.add(subscriber);
+
+  return () => {
+    monitor.subscribers.delete(subscriber);
+    if (monitor.subscribers.size > 0) return;
+
+    clearInterval(monitor.timer);
+    provider.off?.('error', monitor.onError);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', monitor.onOnline);
+      window.removeEventListener('offline', monitor.onOffline);
+    }
+    monitors.delete(provider);
+  };
+}
+
+/**
+ * Subscribe to contract events
+ *
+ * @param {ethers.Contract} contract - Zackathon contract (signer or provider runner)
+ * @param {Object<string, Function>} handlers - Event name -> handler(args, log)
+ * @param {Object} [options]
+ * @param {Function} [options.onReconnect] - Called after listeners are re-attached following a drop
+ * @param {Function} [options.onStatusChange] - Receives an EVENT_STATUS value
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToContractEvents(contract, handlers, { onReconnect, onStatusChange } = {}) {
+  const provider = getProvider(contract);
+  const seenLogs = new Set();
+  let attached = [];
+  let closed = false;
+
+  const setStatus = (status) => {
+    if (!closed) onStatusChange?.(status);
+  };
+
+  const dispatch = (eventName, handler) => (...params) => {
+    const payload = params[params.length - 1];
+    const log = payload?.log;
+
+    if (log) {
+      const key = `${log.transactionHash}:${log.index}`;
+      if (seenLogs.has(key)) return;
+      if (seenLogs.size >= MAX_SEEN_LOGS) seenLogs.clear();
+      seenLogs.add(key);
+    }
+
+    try {
+      handler(payload?.args, log);
+    } catch (error) {
+      console.error(`❌ ${eventName} handler failed:`, error);
+    }
+  };
+
+  const detach = () => {
+    attached.forEach(({ eventName, listener }) => {
+      contract.off(eventName, listener).catch(() => {});
+    });
+    attached = [];
+  };
+
+  const attach = async () => {
+    detach();
+
+    const listeners = Object.entries(handlers).map(([eventName, handler]) => ({
+      eventName,
+      listener: dispatch(eventName, handler),
+    }));
+
+    await Promise.all(listeners.map(({ eventName, listener }) => contract.on(eventName, listener)));
+
+    if (closed) {
+      listeners.forEach(({ eventName, listener }) => contract.off(eventName, listener).catch(() => {}));
+      return;
+    }
+
+    attached = listeners;
+  };
+
+  // stale: listeners are not attached and need re-attaching once the RPC answers
+  const subscriber = {
+    stale: false,
+    disconnect: () => {
+      detach();
+      subscriber.stale = true;
+      setStatus(EVENT_STATUS.RECONNECTING);
+    },
+    reconnect: async () => {
+      if (subscriber.reconnecting) return;
+      subscriber.reconnecting = true;
+
+      try {
+        await attach();
+        subscriber.stale = false;
+        setStatus(EVENT_STATUS.LIVE);
+        if (!closed) onReconnect?.();
+      } catch (error) {
+        console.warn('⚠️ Failed to resubscribe to events:', error);
+        subscriber.stale = true;
+        setStatus(EVENT_STATUS.RECONNECTING);
+      } finally {
+        subscriber.reconnecting = false;
+      }
+    },
+  };
+
+  setStatus(EVENT_STATUS.CONNECTING);
+  const release = attachToMonitor(provider, subscriber);
+
+  attach()
+    .then(() => setStatus(EVENT_STATUS.LIVE))
+    .catch(error => {
+      console.warn('⚠️ Failed to subscribe to events:', error);
+      subscriber.disconnect();
+    });
+
+  return () => {
+    closed = true;
+    release();
+    detach();
+  };
+}
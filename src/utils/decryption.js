@@ -1,7 +1,10 @@
 /**
- * FHEVM v0.9 Public Decryption Workflow for Zackathon
+ * FHEVM v0.9 Decryption Workflows for Zackathon
  * 
- * CRITICAL v0.9 WORKFLOW:
+ * Judge-only data (submission CIDs and content keys) uses EIP-712 user
+ * decryption via userDecrypt() in ./fhevm. Winner scores use public decryption.
+ * 
+ * CRITICAL v0.9 PUBLIC DECRYPTION WORKFLOW:
  * 1. Contract marks ciphertext as publicly decryptable: FHE.makePubliclyDecryptable()
  * 2. Client fetches ciphertext handles from contract
  * 3. Client calls instance.publicDecrypt(handles) → returns PublicDecryptResults
@@ -11,7 +14,15 @@
  * Docs: https://docs.zama.org/protocol/relayer-sdk-guides/fhevm-relayer/decryption/public-decryption
  */
 
-import { getFhevmInstance } from './fhevm';
+import { ethers } from 'ethers';
+import { getFhevmInstance, getKmsVerifierAddress, userDecrypt, wordsToCid } from './fhevm';
+
+/**
+ * Minimal KMSVerifier ABI (the same check FHE.checkSignatures runs on-chain)
+ */
+const KMS_VERIFIER_ABI = [
+  'function verifyDecryptionEIP712KMSSignatures(bytes32[] handlesList, bytes decryptedResult, bytes decryptionProof) returns (bool)'
+];
 
 /**
  * Decrypt winner scores using FHEVM v0.9 public decryption
@@ -82,46 +93,153 @@ export async function decryptScores(handlesList) {
 }
 
 /**
- * Decrypt single IPFS hash (for judges viewing submissions)
+ * Independently re-check publicly decrypted values against the KMS
+ * 
+ * Re-runs public decryption for the handles and compares every cleartext
+ * with the value the contract stored. The fresh decryption proof is then
+ * checked by the KMSVerifier against the on-chain values (packed exactly as
+ * submitDecrypted* passes them to FHE.checkSignatures), so a pass means the
+ * KMS signed the very numbers the contract holds.
+ * 
+ * @param {string[]} handlesList - Publicly decryptable handles
+ * @param {Array<bigint|number>} onChainValues - Stored cleartexts, same order as handles
+ * @param {ethers.ContractRunner} runner - Provider or signer used for the KMSVerifier call
+ * @returns {Promise<{results: Array<{handle: string, expected: bigint, actual: bigint|null, matches: boolean}>, signaturesValid: boolean, signatureError: string|null}>}
+ */
+export async function verifyPublicDecryption(handlesList, onChainValues, runner) {
+  console.log('🔎 Verifying public decryption...');
+  
+  if (handlesList.length !== onChainValues.length) {
+    throw new Error('Handle and value counts do not match');
+  }
+  
+  const decrypted = await decryptScores(handlesList);
+  
+  const results = handlesList.map((handle, index) => {
+    const clear = decrypted.clearValues[handle];
+    const actual = clear === undefined || clear === null ? null : BigInt(clear);
+    const expected = BigInt(onChainValues[index]);
+    
+    return { handle, expected, actual, matches: actual === expected };
+  });
+  
+  let signaturesValid = false;
+  let signatureError = null;
+  
+  try {
+    const kmsVerifier = new ethers.Contract(await getKmsVerifierAddress(), KMS_VERIFIER_ABI, runner);
+    const encodedValues = ethers.solidityPacked(
+      handlesList.map(() => 'uint256'),
+      results.map(result => result.expected)
+    );
+    
+    signaturesValid = await kmsVerifier.verifyDecryptionEIP712KMSSignatures.staticCall(
+      handlesList,
+      encodedValues,
+      decrypted.decryptionProof
+    );
+  } catch (error) {
+    console.warn('⚠️ KMS signature check rejected the on-chain values:', error);
+    signatureError = error.shortMessage || error.message;
+  }
+  
+  console.log(`  → Values matching: ${results.filter(r => r.matches).length}/${results.length}`);
+  console.log(`  → KMS signatures ${signaturesValid ? 'valid' : 'invalid'}`);
+  
+  return { results, signaturesValid, signatureError };
+}
+
+/**
+ * Decrypt submission IPFS hash and payload key (for judges viewing submissions)
+ * The CID is stored as several encrypted 32-byte words that are user-decrypted
+ * together with the AES content key in one batch and reassembled in order.
  * 
- * @param {string} handle - Single ciphertext handle
- * @returns {Promise<string>} Decrypted IPFS hash
+ * @param {Array} encryptedWords - CID word handles from getSubmissionIPFSHash
+ * @param {string} encryptedKey - Content key handle from getSubmissionContentKey
+ * @param {string} contractAddress - Zackathon contract address
+ * @param {ethers.Signer} signer - Judge's wallet signer
+ * @returns {Promise<{ipfsHash: string, contentKey: bigint}>} Decrypted CID and content key
  */
-export async function decryptIPFSHash(handle) {
+export async function decryptIPFSHash(encryptedWords, encryptedKey, contractAddress, signer) {
   try {
     console.log('🔓 Decrypting IPFS hash...');
-    console.log(`  → Handle: ${handle}`);
     
-    if (!handle) {
+    if (!encryptedWords || encryptedWords.length === 0 || !encryptedKey) {
       throw new Error('No handle provided');
     }
     
-    validateHandles([handle]);
+    const handles = extractHandles([...Array.from(encryptedWords), encryptedKey]);
+    console.log(`  → CID words: ${handles.length - 1}`);
     
-    const instance = getFhevmInstance();
+    validateHandles(handles);
     
-    console.log('  → Calling publicDecrypt...');
-    const results = await instance.publicDecrypt([handle]);
+    const clearValues = await userDecrypt(handles, contractAddress, signer);
     
-    if (!results.clearValues || !results.clearValues[handle]) {
-      throw new Error('Failed to decrypt IPFS hash');
-    }
+    const values = handles.map((handle) => {
+      const value = clearValues?.[handle];
+      if (value === undefined || value === null) {
+        throw new Error('Failed to decrypt IPFS hash');
+      }
+      return value;
+    });
     
-    const clearValue = results.clearValues[handle];
-    const ipfsHash = typeof clearValue === 'bigint' 
-      ? '0x' + clearValue.toString(16).padStart(64, '0')
-      : clearValue;
+    const ipfsHash = wordsToCid(values.slice(0, -1));
+    const contentKey = BigInt(values[values.length - 1]);
     
-    console.log('  ✓ IPFS hash decrypted');
-    console.log(`  → Hash: ${ipfsHash.substring(0, 20)}...`);
+    console.log('  ✓ IPFS hash and content key decrypted');
+    console.log(`  → CID: ${ipfsHash}`);
     
-    return ipfsHash;
+    return { ipfsHash, contentKey };
   } catch (error) {
     console.error('❌ IPFS hash decryption failed:', error);
     throw new Error(`Failed to decrypt IPFS hash: ${error.message}`);
   }
 }
 
+/**
+ * Decrypt the encrypted "score was clamped" flag stored by submitScore
+ * Readable by the judge who scored and by the hackathon organizer.
+ * 
+ * @param {string} clampHandle - ebool handle from scoreClamped()
+ * @param {string} contractAddress - Zackathon contract address
+ * @param {ethers.Signer} signer - Judge's or organizer's wallet signer
+ * @returns {Promise<boolean>} True if any criterion score was out of range
+ */
+export async function decryptScoreClampFlag(clampHandle, contractAddress, signer) {
+  const [wasClamped] = await decryptScoreClampFlags([clampHandle], contractAddress, signer);
+  return wasClamped;
+}
+
+/**
+ * Decrypt several "score was clamped" flags with one user decryption
+ * Lets the organizer review every judge's scores behind a single signature.
+ * 
+ * @param {string[]} clampHandles - ebool handles from scoreClamped()
+ * @param {string} contractAddress - Zackathon contract address
+ * @param {ethers.Signer} signer - Judge's or organizer's wallet signer
+ * @returns {Promise<boolean[]>} Flags in handle order (unset handles read as false)
+ */
+export async function decryptScoreClampFlags(clampHandles, contractAddress, signer) {
+  try {
+    const handles = extractHandles(clampHandles);
+    const setHandles = handles.filter(handle => !/^0x0+$/.test(handle));
+    
+    if (setHandles.length === 0) {
+      return handles.map(() => false);
+    }
+    
+    const clearValues = await userDecrypt([...new Set(setHandles)], contractAddress, signer);
+    
+    return handles.map((handle) => {
+      const value = clearValues?.[handle];
+      return value === true || value === 1n || value === 1;
+    });
+  } catch (error) {
+    console.error('❌ Clamp flag decryption failed:', error);
+    throw new Error(`Failed to decrypt clamp flag: ${error.message}`);
+  }
+}
+
 /**
  * Format decrypted results for display
  * Converts PublicDecryptResults.clearValues to ordered array
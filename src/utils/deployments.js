@@ -0,0 +1,93 @@
+/**
+ * Deployment registry for Zackathon
+ *
+ * deployments.json is written by scripts/deploy.cjs and keyed by chainId.
+ * Each entry holds everything the frontend needs for that chain:
+ *
+ * {
+ *   network, contractAddress, lensAddress, rpcUrl, deployBlock, version,
+ *   deployedAt, deployer, multicallAddress,
+ *   fhevm: { backend, aclContractAddress, kmsContractAddress, ..., relayerUrl }
+ * }
+ *
+ * The active chain follows the connected wallet (set by useWallet and
+ * initFhevm) and falls back to VITE_DEFAULT_CHAIN_ID / the first supported chain.
+ */
+
+import registry from './deployments.json';
+import { SEPOLIA_CHAIN_ID, getSupportedChains } from './chains';
+
+/**
+ * Chain used before a wallet reports one
+ */
+export const DEFAULT_CHAIN_ID = Number(import.meta.env.VITE_DEFAULT_CHAIN_ID)
+  || getSupportedChains()[0]?.chainId
+  || SEPOLIA_CHAIN_ID;
+
+let activeChainId = DEFAULT_CHAIN_ID;
+
+/**
+ * Get the registry entry for a chain
+ * @param {number} [chainId] - Defaults to the active chain
+ * @returns {Object|null} Deployment or null if the contract is not deployed there
+ */
+export function getDeployment(chainId = activeChainId) {
+  return registry[String(chainId)] || null;
+}
+
+/**
+ * List every chain with a deployment
+ * @returns {number[]}
+ */
+export function getDeployedChainIds() {
+  return Object.keys(registry).map(Number);
+}
+
+/**
+ * Check whether the contract is deployed on a chain
+ * @param {number} chainId
+ * @returns {boolean}
+ */
+export function isChainDeployed(chainId) {
+  return !!getDeployment(chainId);
+}
+
+/**
+ * Get the chain the app is currently talking to
+ * @returns {number}
+ */
+export function getActiveChainId() {
+  return activeChainId;
+}
+
+/**
+ * Point the app at another chain (called when the wallet connects)
+ * @param {number} chainId
+ */
+export function setActiveChainId(chainId) {
+  const nextChainId = Number(chainId);
+
+  if (nextChainId !== activeChainId) {
+    console.log(`🌐 Active chain: ${nextChainId}${isChainDeployed(nextChainId) ? '' : ' (no deployment)'}`);
+  }
+
+  activeChainId = nextChainId;
+}
+
+/**
+ * Read the chain the injected wallet is on, without requesting accounts
+ * @returns {Promise<number|null>} Chain ID or null when no wallet is available
+ */
+export async function readWalletChainId() {
+  if (typeof window === 'undefined' || !window.ethereum) {
+    return null;
+  }
+
+  try {
+    const chainIdHex = await window.ethereum.request({ method: 'eth_chainId' });
+    return parseInt(chainIdHex, 16);
+  } catch (error) {
+    console.warn('⚠️ Could not read wallet chain:', error);
+    return null;
+  }
+}
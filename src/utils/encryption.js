@@ -4,9 +4,9 @@
  * 
  * WORKFLOW:
  * 1. Collect project submission data from form
- * 2. Encrypt data locally (optional layer)
- * 3. Upload to IPFS via Storacha → get CID
- * 4. Encrypt CID with FHEVM → submit to contract
+ * 2. Encrypt data locally with a fresh AES-GCM content key
+ * 3. Upload the encrypted envelope to IPFS via Storacha → get CID
+ * 4. Encrypt CID + content key with FHEVM → submit to contract
  */
 
 import { create } from '@storacha/client';
@@ -140,34 +140,134 @@ export function prepareSubmissionData(submissionData) {
 }
 
 /**
- * Upload submission data to IPFS via Storacha
+ * Generate a random AES-256 content key for a submission payload
+ * Returned as a BigInt so it can be encrypted as a single euint256
+ * 
+ * @returns {bigint} 256-bit content key
+ */
+export function generateContentKey() {
+  const keyBytes = crypto.getRandomValues(new Uint8Array(32));
+  return BigInt('0x' + bytesToHex(keyBytes));
+}
+
+/**
+ * Import a BigInt content key as a Web Crypto AES-GCM key
+ * 
+ * @param {bigint|string} contentKey - 256-bit content key
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+async function importContentKey(contentKey) {
+  const hex = BigInt(contentKey).toString(16).padStart(64, '0');
+  return crypto.subtle.importKey('raw', hexToBytes(hex), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt prepared submission data with AES-GCM
  * 
  * @param {Object} submissionData - Prepared submission data
+ * @param {bigint} contentKey - Key from generateContentKey()
+ * @returns {Promise<Object>} Encrypted envelope safe to publish on IPFS
+ */
+export async function encryptSubmissionPayload(submissionData, contentKey) {
+  console.log('🔐 Encrypting submission payload (AES-GCM)...');
+  
+  const key = await importContentKey(contentKey);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(submissionData));
+  
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  
+  console.log('  ✓ Payload encrypted');
+  
+  return {
+    encrypted: true,
+    algorithm: 'AES-GCM',
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext)),
+    version: '2.0'
+  };
+}
+
+/**
+ * Decrypt an encrypted submission envelope retrieved from IPFS
+ * 
+ * @param {Object} envelope - Envelope from encryptSubmissionPayload()
+ * @param {bigint|string} contentKey - Decrypted content key
+ * @returns {Promise<Object>} Original submission data
+ */
+export async function decryptSubmissionPayload(envelope, contentKey) {
+  if (!envelope?.encrypted) {
+    throw new Error('Submission payload is not encrypted');
+  }
+  
+  if (envelope.algorithm !== 'AES-GCM') {
+    throw new Error(`Unsupported payload algorithm: ${envelope.algorithm}`);
+  }
+  
+  console.log('🔓 Decrypting submission payload...');
+  
+  const key = await importContentKey(contentKey);
+  
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(envelope.iv) },
+      key,
+      base64ToBytes(envelope.ciphertext)
+    );
+  } catch {
+    throw new Error('Payload decryption failed: wrong content key or corrupted data');
+  }
+  
+  const data = JSON.parse(new TextDecoder().decode(plaintext));
+  
+  console.log('  ✓ Payload decrypted');
+  console.log('  → Project:', data.projectName);
+  
+  return data;
+}
+
+/**
+ * Upload submission data to IPFS via Storacha
+ * 
+ * @param {Object} submissionData - Prepared submission data or encrypted envelope
  * @param {string} email - User's email for Storacha authentication
+ * @param {{onProgress?: Function, signal?: AbortSignal}} [options] - Upload progress ({ stage: 'uploading', loaded, total }) and cancellation
  * @returns {Promise<string>} IPFS content hash (CID)
  */
-export async function uploadToIPFS(submissionData, email) {
+export async function uploadToIPFS(submissionData, email, { onProgress, signal } = {}) {
   try {
     console.log('📤 Uploading to IPFS via Storacha...');
-    console.log('  → Project:', submissionData.projectName);
     
     const client = await getStorachaClient(email);
     
     const jsonData = JSON.stringify(submissionData, null, 2);
     const blob = new Blob([jsonData], { type: 'application/json' });
     
-    const fileName = `${submissionData.projectName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${Date.now()}.json`;
+    // Never leak the project name through the file name of an encrypted payload
+    const baseName = submissionData.encrypted
+      ? 'submission'
+      : submissionData.projectName.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    const fileName = `${baseName}_${Date.now()}.json`;
     const file = new File([blob], fileName, { type: 'application/json' });
     
     console.log('  → Uploading to Storacha...');
-    const cid = await client.uploadFile(file);
+    onProgress?.({ stage: 'uploading', loaded: 0, total: file.size });
+    const cid = await client.uploadFile(file, {
+      signal,
+      onUploadProgress: ({ loaded, total }) => {
+        onProgress?.({ stage: 'uploading', loaded, total: total || file.size });
+      }
+    });
     
     console.log('  ✓ Upload successful!');
-    console.log('  → IPFS CID:', cid.toString());
-    console.log('  → Gateway URL:', `https://${cid}.ipfs.storacha.link`);
     
     return cid.toString();
   } catch (error) {
+    if (signal?.aborted) {
+      throw new DOMException('Upload cancelled', 'AbortError');
+    }
+    
     console.error('❌ IPFS upload failed:', error);
     
     if (error.message.includes('email')) {
@@ -204,8 +304,6 @@ export async function uploadDirectoryToIPFS(files, email) {
     const cid = await client.uploadDirectory(files);
     
     console.log('  ✓ Directory upload successful!');
-    console.log('  → IPFS CID:', cid.toString());
-    console.log('  → Gateway URL:', `https://${cid}.ipfs.storacha.link`);
     
     return cid.toString();
   } catch (error) {
@@ -224,7 +322,6 @@ export async function uploadDirectoryToIPFS(files, email) {
 export async function retrieveFromIPFS(cid) {
   try {
     console.log('📥 Retrieving from IPFS...');
-    console.log('  → CID:', cid);
     
     const gateways = [
       `https://${cid}.ipfs.storacha.link`,
@@ -235,9 +332,9 @@ export async function retrieveFromIPFS(cid) {
     
     let lastError;
     
-    for (const gateway of gateways) {
+    for (const [index, gateway] of gateways.entries()) {
       try {
-        console.log(`  → Trying gateway: ${gateway.split('/')[2]}...`);
+        console.log(`  → Trying gateway ${index + 1}/${gateways.length}...`);
         
         const response = await fetch(gateway, {
           method: 'GET',
@@ -268,7 +365,7 @@ export async function retrieveFromIPFS(cid) {
         }
         
         console.log('  ✓ Retrieved successfully');
-        console.log('  → Project:', data.projectName);
+        console.log('  → Encrypted:', !!data.encrypted);
         
         return data;
       } catch (error) {
@@ -294,7 +391,6 @@ export async function retrieveFromIPFS(cid) {
  */
 export function cidToHex(cid) {
   console.log('🔄 Converting CID to hex...');
-  console.log('  → CID:', cid);
   
   const encoder = new TextEncoder();
   const bytes = encoder.encode(cid);
@@ -306,7 +402,6 @@ export function cidToHex(cid) {
   const paddedHex = hex.padEnd(64, '0').substring(0, 64);
   
   console.log('  ✓ Converted to hex');
-  console.log('  → Hex:', '0x' + paddedHex.substring(0, 20) + '...');
   
   return paddedHex;
 }
@@ -331,38 +426,45 @@ export function hexToCid(hex) {
   const cid = decoder.decode(new Uint8Array(bytes));
   
   console.log('  ✓ Converted to CID');
-  console.log('  → CID:', cid);
   
   return cid;
 }
 
 /**
- * Complete submission workflow: prepare → upload → return CID
+ * Complete submission workflow: prepare → encrypt → upload → return CID
+ * The returned content key must be FHE-encrypted and submitted on-chain
+ * with the CID, otherwise the payload can never be decrypted.
  * 
  * @param {Object} submissionData - Raw submission form data
  * @param {string} email - User's email for Storacha authentication
- * @returns {Promise<{cid: string, ipfsUrl: string, data: Object}>}
+ * @param {{onProgress?: Function, signal?: AbortSignal}} [options] - Progress callback ({ stage }) and cancellation
+ * @returns {Promise<{cid: string, ipfsUrl: string, data: Object, contentKey: bigint}>}
  */
-export async function processSubmission(submissionData, email) {
+export async function processSubmission(submissionData, email, { onProgress, signal } = {}) {
   try {
     console.log('🚀 Processing submission...');
     
+    onProgress?.({ stage: 'preparing' });
     const prepared = prepareSubmissionData(submissionData);
     
-    const cid = await uploadToIPFS(prepared, email);
+    const contentKey = generateContentKey();
+    const envelope = await encryptSubmissionPayload(prepared, contentKey);
+    signal?.throwIfAborted();
+    
+    const cid = await uploadToIPFS(envelope, email, { onProgress, signal });
     
     const ipfsUrl = `https://${cid}.ipfs.storacha.link`;
     
     console.log('✅ Submission processed successfully');
-    console.log('  → CID:', cid);
-    console.log('  → IPFS URL:', ipfsUrl);
     
     return {
       cid,
       ipfsUrl,
-      data: prepared
+      data: prepared,
+      contentKey
     };
   } catch (error) {
+    if (error.name === 'AbortError') throw error;
     console.error('❌ Submission processing failed:', error);
     throw error;
   }
@@ -407,6 +509,31 @@ export function validateSubmissionData(data) {
   };
 }
 
+/**
+ * Byte/hex/base64 conversion helpers for payload encryption
+ */
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
 /**
  * Validate URL format
  */
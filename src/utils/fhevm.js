@@ -7,113 +7,54 @@
  * CRITICAL WORKFLOW:
  * 1. SDK loaded via <script> tag in index.html (creates window.relayerSDK global)
  * 2. Call window.relayerSDK.initSDK() to load WASM
- * 3. Call window.relayerSDK.createInstance() with v0.9 Sepolia config
+ * 3. Call window.relayerSDK.createInstance() with the v0.9 config registered
+ *    for the wallet's chain (see ./deployments)
+ * 
+ * On a local Hardhat node the same instance API is served by
+ * @fhevm/mock-utils instead (see ./fhevmBackends).
  */
 
+import { RELAYER_SDK_URL, getRelayerConfig, resolveFhevmBackend } from './fhevmBackends';
+import { readWalletChainId, setActiveChainId } from './deployments';
+import { encryptInWorker, isWorkerSupported } from './fhevmWorkerClient';
+import {
+  DEFAULT_VALIDITY_DAYS,
+  loadUserDecryptionKey,
+  saveUserDecryptionKey
+} from './keystore';
+
 let fhevmInstance = null;
 let isInitialized = false;
-
-/**
- * FHEVM v0.9 Sepolia Configuration
- * Source: Verified addresses from Zama documentation 2025
- */
-const SEPOLIA_V09_CONFIG = {
-  aclContractAddress: '0xf0Ffdc93b7E186bC2f8CB3dAA75D86d1930A433D',
-  kmsContractAddress: '0xbE0E383937d564D7FF0BC3b46c51f0bF8d5C311A',
-  inputVerifierContractAddress: '0xBBC1fFCdc7C316aAAd72E807D9b0272BE8F84DA0',
-  verifyingContractAddressDecryption: '0x5D8BD78e2ea6bbE41f26dFe9fdaEAa349e077478',
-  verifyingContractAddressInputVerification: '0x483b9dE06E4E4C7D35CCf5837A1668487406D955',
-  chainId: 11155111,
-  gatewayChainId: 10901,
-  relayerUrl: 'https://relayer.testnet.zama.org',
-};
-
-/**
- * Wait for SDK to load from CDN with timeout
- * @param {number} maxWaitMs - Maximum wait time in milliseconds
- * @returns {Promise<void>}
- */
-async function waitForSDKLoaded(maxWaitMs = 10000) {
-  if (typeof window === 'undefined') {
-    throw new Error('Must run in browser environment');
-  }
-  
-  if (window.relayerSDK && window.relayerSDK.initSDK && window.relayerSDK.createInstance) {
-    return;
-  }
-  
-  const startTime = Date.now();
-  const checkInterval = 100;
-  
-  return new Promise((resolve, reject) => {
-    const checkSDK = () => {
-      if (window.relayerSDK && window.relayerSDK.initSDK && window.relayerSDK.createInstance) {
-        resolve();
-        return;
-      }
-      
-      const elapsed = Date.now() - startTime;
-      if (elapsed >= maxWaitMs) {
-        reject(new Error(
-          `FHEVM SDK failed to load within ${maxWaitMs}ms. ` +
-          'Make sure this script is in index.html:\n' +
-          '<script src="https://cdn.zama.org/relayer-sdk-js/0.3.0-5/relayer-sdk-js.umd.cjs"></script>'
-        ));
-        return;
-      }
-      
-      setTimeout(checkSDK, checkInterval);
-    };
-    
-    checkSDK();
-  });
-}
+let activeBackend = null;
 
 /**
  * Initialize FHEVM SDK
  * MUST be called before any encryption/decryption operations
  * 
+ * @param {string} [backendName] - 'relayer' or 'mock' (see ./fhevmBackends)
  * @returns {Promise<FhevmInstance>}
  */
-export async function initFhevm() {
+export async function initFhevm(backendName) {
   if (fhevmInstance && isInitialized) {
     console.log('✓ FHEVM already initialized, returning existing instance');
     return fhevmInstance;
   }
   
+  let backend = null;
+  
   try {
-    console.log('🔧 Initializing FHEVM SDK v0.9 (CDN v0.3.0-5)...');
-    
-    console.log('  → Waiting for SDK script to load...');
-    await waitForSDKLoaded(10000);
-    console.log('  ✓ SDK loaded from CDN');
-    
-    console.log('  → Loading TFHE WASM...');
-    await window.relayerSDK.initSDK();
-    console.log('  ✓ TFHE WASM loaded successfully');
-    
-    console.log('  → Creating FHEVM instance with v0.9 config...');
-    
-    const config = {
-      ...SEPOLIA_V09_CONFIG,
-      network: 'https://sepolia.infura.io/v3/d05efcb7210a474e8b98308181a49685',
-    };
+    // Pick the deployment for whatever chain the wallet is already on
+    const walletChainId = await readWalletChainId();
+    if (walletChainId) {
+      setActiveChainId(walletChainId);
+    }
     
-    console.log('  → Config:', {
-      chainId: config.chainId,
-      gatewayChainId: config.gatewayChainId,
-      relayerUrl: config.relayerUrl,
-      hasMetaMask: !!window.ethereum
-    });
+    backend = await resolveFhevmBackend(backendName);
     
-    try {
-      fhevmInstance = await window.relayerSDK.createInstance(config);
-    } catch (error) {
-      console.warn('Failed to create instance, retrying...', error);
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      fhevmInstance = await window.relayerSDK.createInstance(config);
-    }
+    console.log(`🔧 Initializing FHEVM SDK v0.9 (${backend.name} backend)...`);
     
+    fhevmInstance = await backend.createInstance();
+    activeBackend = backend.name;
     isInitialized = true;
     
     console.log('  ✓ FHEVM instance created successfully');
@@ -125,16 +66,39 @@ export async function initFhevm() {
     console.error('Error details:', {
       message: error.message,
       stack: error.stack,
+      backend: backend?.name,
       sdkLoaded: !!window.relayerSDK,
       sdkMethods: window.relayerSDK ? Object.keys(window.relayerSDK) : []
     });
     
     isInitialized = false;
     fhevmInstance = null;
+    activeBackend = null;
     throw new Error(`FHEVM initialization failed: ${error.message}`);
   }
 }
 
+/**
+ * Get the name of the backend serving the current instance
+ * @returns {string|null} 'relayer', 'mock' or null if not initialized
+ */
+export function getFhevmBackendName() {
+  return activeBackend;
+}
+
+/**
+ * Get the KMSVerifier address of the active backend's host chain
+ * @returns {Promise<string>}
+ * @throws {Error} If FHEVM not initialized
+ */
+export async function getKmsVerifierAddress() {
+  if (!activeBackend) {
+    throw new Error('FHEVM not initialized. Call initFhevm() first.');
+  }
+  const backend = await resolveFhevmBackend(activeBackend);
+  return backend.getKmsVerifierAddress();
+}
+
 /**
  * Get current FHEVM instance
  * @throws {Error} If FHEVM not initialized
@@ -147,104 +111,194 @@ export function getFhevmInstance() {
 }
 
 /**
- * Convert IPFS CID to BigInt using SHA-256 hash
+ * Number of bytes packed into each encrypted euint256 word
+ */
+const CID_WORD_BYTES = 32;
+
+/**
+ * Maximum number of words a CID may span (mirrors Zackathon.MAX_CID_CHUNKS)
+ */
+export const MAX_CID_CHUNKS = 4;
+
+/**
+ * Handles sent per public decryption when scores are revealed in batches,
+ * keeping each relayer request and verifying transaction small
+ */
+export const PUBLIC_DECRYPT_BATCH_HANDLES = 32;
+
+/**
+ * Split an IPFS CID into 32-byte BigInt words for encryption
  * 
- * CRITICAL FIX: CIDs (especially CIDv1 like "bafkrei...") are base32-encoded
- * and cannot be directly converted to BigInt. Instead, we:
- * 1. Hash the CID string with SHA-256 (deterministic)
- * 2. Convert the hash to BigInt
- * 3. This works for ANY CID format (v0, v1, future versions)
+ * The CID string is UTF-8 encoded and cut into 32-byte big-endian words,
+ * with the last word zero-padded on the right. CIDs never contain NUL bytes,
+ * so the padding can be stripped unambiguously by wordsToCid().
+ * 
+ * Works for any CID format (v0 "Qm...", v1 "bafy..."/"bafkrei...").
  * 
  * @param {string} ipfsCid - IPFS CID (any format)
- * @returns {Promise<bigint>} BigInt representation
+ * @returns {bigint[]} Ordered words, one per euint256
  */
-async function cidToBigInt(ipfsCid) {
-  console.log(`  → Converting CID to BigInt: ${ipfsCid.substring(0, 20)}...`);
+export function cidToWords(ipfsCid) {
+  if (!ipfsCid) {
+    throw new Error('Missing IPFS CID');
+  }
   
-  // Encode CID string to bytes
-  const encoder = new TextEncoder();
-  const cidBytes = encoder.encode(ipfsCid);
+  const cidBytes = new TextEncoder().encode(ipfsCid);
+  const wordCount = Math.ceil(cidBytes.length / CID_WORD_BYTES);
   
-  // Hash with SHA-256 (browser Web Crypto API)
-  const hashBuffer = await crypto.subtle.digest('SHA-256', cidBytes);
+  if (wordCount > MAX_CID_CHUNKS) {
+    throw new Error(`CID too long: ${cidBytes.length} bytes (max ${MAX_CID_CHUNKS * CID_WORD_BYTES})`);
+  }
   
-  // Convert hash to hex string
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  const words = [];
+  for (let i = 0; i < wordCount; i++) {
+    const chunk = cidBytes.slice(i * CID_WORD_BYTES, (i + 1) * CID_WORD_BYTES);
+    const hex = Array.from(chunk, b => b.toString(16).padStart(2, '0')).join('');
+    words.push(BigInt('0x' + hex.padEnd(CID_WORD_BYTES * 2, '0')));
+  }
   
-  // Convert to BigInt
-  const bigIntValue = BigInt('0x' + hashHex);
+  console.log(`  → CID split into ${words.length} word(s) (${cidBytes.length} bytes)`);
   
-  console.log(`  → SHA-256 hash: ${hashHex.substring(0, 32)}...`);
-  console.log(`  → BigInt: ${bigIntValue.toString().substring(0, 20)}...`);
+  return words;
+}
+
+/**
+ * Reassemble an IPFS CID from decrypted 32-byte words
+ * 
+ * @param {Array<bigint|string|number>} words - Decrypted words in submission order
+ * @returns {string} Original IPFS CID
+ */
+export function wordsToCid(words) {
+  if (!Array.isArray(words) || words.length === 0) {
+    throw new Error('No CID words to decode');
+  }
   
-  return bigIntValue;
+  const bytes = [];
+  for (const word of words) {
+    const hex = BigInt(word).toString(16).padStart(CID_WORD_BYTES * 2, '0');
+    for (let i = 0; i < hex.length; i += 2) {
+      bytes.push(parseInt(hex.substring(i, i + 2), 16));
+    }
+  }
+  
+  let end = bytes.length;
+  while (end > 0 && bytes[end - 1] === 0) {
+    end--;
+  }
+  
+  return new TextDecoder().decode(new Uint8Array(bytes.slice(0, end)));
+}
+
+/**
+ * Build and encrypt a single input
+ * 
+ * With the relayer backend the work runs in the encryption worker so proof
+ * generation does not freeze the UI; the mock backend (and browsers without
+ * workers) encrypt on the main thread. Either way onProgress receives the
+ * same stages: 'loading' (worker start-up only), 'encrypting', 'proving'.
+ * 
+ * @param {string} contractAddress - Contract the input is bound to
+ * @param {string} userAddress - User the input is bound to
+ * @param {{bits: number, value: bigint}[]} values - Values to add, in order
+ * @param {{onProgress?: Function, signal?: AbortSignal}} options
+ * @returns {Promise<{handles: Uint8Array[], inputProof: Uint8Array}>}
+ */
+async function encryptValues(contractAddress, userAddress, values, { onProgress, signal } = {}) {
+  if (activeBackend === 'relayer' && isWorkerSupported()) {
+    return encryptInWorker({
+      contractAddress,
+      userAddress,
+      values,
+      sdkUrl: RELAYER_SDK_URL,
+      config: getRelayerConfig(),
+      onProgress,
+      signal
+    });
+  }
+  
+  const instance = getFhevmInstance();
+  
+  signal?.throwIfAborted();
+  onProgress?.({ stage: 'encrypting' });
+  
+  const buffer = instance.createEncryptedInput(contractAddress, userAddress);
+  for (const { bits, value } of values) {
+    buffer[`add${bits}`](value);
+  }
+  
+  onProgress?.({ stage: 'proving' });
+  const encryptedData = await buffer.encrypt();
+  signal?.throwIfAborted();
+  
+  return encryptedData;
 }
 
 /**
  * Encrypt IPFS hash for project submission
  * 
- * FIXED VERSION: Properly handles CIDv1 (bafkrei...) and CIDv0 (Qm...)
- * by hashing the CID to a deterministic BigInt value
+ * The CID is split into 32-byte words (see cidToWords) that are encrypted
+ * together with the payload content key under a single input proof, so judges
+ * can recover the exact CID and then decrypt the IPFS payload.
  * 
  * @param {string} contractAddress - Zackathon contract address
  * @param {string} userAddress - Participant's address
  * @param {string} ipfsHash - IPFS content hash to encrypt (any CID format)
- * @returns {Promise<{handles: string[], inputProof: string}>}
+ * @param {bigint} contentKey - AES-256 key the IPFS payload was encrypted with
+ * @param {{onProgress?: Function, signal?: AbortSignal}} [options] - Progress callback and cancellation
+ * @returns {Promise<{handles: string[], keyHandle: string, inputProof: string}>} One handle per CID word plus the key handle
  */
-export async function encryptIPFSHash(contractAddress, userAddress, ipfsHash) {
+export async function encryptIPFSHash(contractAddress, userAddress, ipfsHash, contentKey, options = {}) {
   try {
-    console.log(`🔐 Encrypting IPFS hash: ${ipfsHash.substring(0, 20)}...`);
+    console.log('🔐 Encrypting IPFS hash...');
     console.log(`  → CID format: ${ipfsHash.startsWith('Qm') ? 'CIDv0' : ipfsHash.startsWith('baf') ? 'CIDv1' : 'Unknown'}`);
     
-    const instance = getFhevmInstance();
-    
-    const buffer = instance.createEncryptedInput(contractAddress, userAddress);
+    if (contentKey === undefined || contentKey === null) {
+      throw new Error('Missing payload content key');
+    }
     
-    // CRITICAL FIX: Convert CID to BigInt via SHA-256 hash
-    const ipfsHashBigInt = await cidToBigInt(ipfsHash);
-    buffer.add256(ipfsHashBigInt);
+    const words = cidToWords(ipfsHash);
+    const values = [...words, BigInt(contentKey)].map(value => ({ bits: 256, value }));
     
     console.log('  → Encrypting and generating proof...');
-    const encryptedData = await buffer.encrypt();
+    const encryptedData = await encryptValues(contractAddress, userAddress, values, options);
     
-    console.log('  ✓ IPFS hash encrypted successfully');
-    console.log('  → Handle:', encryptedData.handles[0]);
+    console.log('  ✓ IPFS hash and content key encrypted successfully');
+    console.log('  → Handles:', encryptedData.handles.length);
     console.log('  → Proof length:', encryptedData.inputProof.length);
     
     return {
-      handles: encryptedData.handles,
+      handles: encryptedData.handles.slice(0, words.length),
+      keyHandle: encryptedData.handles[words.length],
       inputProof: encryptedData.inputProof
     };
   } catch (error) {
+    if (error.name === 'AbortError') throw error;
     console.error('❌ IPFS hash encryption failed:', error);
     throw new Error(`IPFS hash encryption failed: ${error.message}`);
   }
 }
 
 /**
- * Encrypt judge score for submission
+ * Encrypt judge scores for submission
+ * Each criterion is encrypted as its own euint16 under a single input proof.
  * 
  * @param {string} contractAddress - Zackathon contract address
  * @param {string} userAddress - Judge's address
- * @param {number} score - Score value (1-50 range for 5 categories * 10 max)
+ * @param {number[]} criterionScores - Scores in contract criterion order (1-10 each)
+ * @param {{onProgress?: Function, signal?: AbortSignal}} [options] - Progress callback and cancellation
  * @returns {Promise<{handles: string[], inputProof: string}>}
  */
-export async function encryptScore(contractAddress, userAddress, score) {
+export async function encryptScores(contractAddress, userAddress, criterionScores, options = {}) {
   try {
-    console.log(`🔐 Encrypting score: ${score}`);
+    console.log(`🔐 Encrypting ${criterionScores.length} criterion scores`);
     
-    const instance = getFhevmInstance();
-    
-    const buffer = instance.createEncryptedInput(contractAddress, userAddress);
-    
-    buffer.add16(BigInt(score));
+    const values = criterionScores.map(score => ({ bits: 16, value: BigInt(score) }));
     
     console.log('  → Encrypting and generating proof...');
-    const encryptedData = await buffer.encrypt();
+    const encryptedData = await encryptValues(contractAddress, userAddress, values, options);
     
-    console.log('  ✓ Score encrypted successfully');
-    console.log('  → Handle:', encryptedData.handles[0]);
+    console.log('  ✓ Scores encrypted successfully');
+    console.log('  → Handles:', encryptedData.handles.length);
     console.log('  → Proof length:', encryptedData.inputProof.length);
     
     return {
@@ -252,43 +306,150 @@ export async function encryptScore(contractAddress, userAddress, score) {
       inputProof: encryptedData.inputProof
     };
   } catch (error) {
+    if (error.name === 'AbortError') throw error;
     console.error('❌ Score encryption failed:', error);
     throw new Error(`Score encryption failed: ${error.message}`);
   }
 }
 
 /**
- * Decrypt submission IPFS hash (judges only, after access granted)
+ * Generate an ephemeral keypair for user decryption
+ * The KMS re-encrypts results under the public key so only the holder
+ * of the private key can read them.
  * 
- * NOTE: This decrypts the SHA-256 hash of the CID, not the original CID.
- * The smart contract would need to store the original CID separately if needed,
- * or you can store a mapping off-chain.
+ * @returns {{publicKey: string, privateKey: string}}
+ */
+export function generateUserKeypair() {
+  const instance = getFhevmInstance();
+  return instance.generateKeypair();
+}
+
+/**
+ * Request an EIP-712 user decryption authorization from the wallet
  * 
- * @param {string} encryptedHandle - Encrypted euint256 handle from contract
- * @returns {Promise<string>} Decrypted hash value (hex string)
+ * @param {ethers.Signer} signer - Wallet signer of the user decrypting
+ * @param {string[]} contractAddresses - Contracts the handles belong to
+ * @param {{publicKey: string, privateKey: string}} keypair - Keypair from generateUserKeypair()
+ * @param {number} durationDays - How long the authorization stays valid
+ * @returns {Promise<Object>} Signed authorization to pass to userDecrypt
  */
-export async function decryptIPFSHash(encryptedHandle) {
+export async function signUserDecryption(
+  signer,
+  contractAddresses,
+  keypair,
+  durationDays = DEFAULT_VALIDITY_DAYS
+) {
+  if (!signer) {
+    throw new Error('Wallet signer required for user decryption');
+  }
+  
+  console.log('✍️ Requesting user decryption signature...');
+  
+  const instance = getFhevmInstance();
+  const userAddress = await signer.getAddress();
+  const startTimestamp = Math.floor(Date.now() / 1000);
+  
+  const eip712 = instance.createEIP712(
+    keypair.publicKey,
+    contractAddresses,
+    startTimestamp,
+    durationDays
+  );
+  
+  const signature = await signer.signTypedData(
+    eip712.domain,
+    { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+    eip712.message
+  );
+  
+  console.log('  ✓ Authorization signed');
+  
+  return {
+    publicKey: keypair.publicKey,
+    privateKey: keypair.privateKey,
+    signature: signature.replace('0x', ''),
+    contractAddresses,
+    userAddress,
+    startTimestamp,
+    durationDays
+  };
+}
+
+/**
+ * Get a user decryption authorization for a contract
+ * Reuses the keypair and signature stored in the keystore while they are
+ * inside their validity window; otherwise asks the wallet to sign a new one.
+ * 
+ * @param {ethers.Signer} signer - Wallet signer of the user decrypting
+ * @param {string} contractAddress - Contract the handles belong to
+ * @returns {Promise<Object>} Signed authorization
+ */
+export async function getUserDecryptionAuthorization(signer, contractAddress) {
+  if (!signer) {
+    throw new Error('Wallet signer required for user decryption');
+  }
+  
+  const userAddress = await signer.getAddress();
+  
+  const stored = await loadUserDecryptionKey(userAddress, contractAddress);
+  if (stored) {
+    console.log('  ✓ Reusing stored decryption authorization');
+    return stored;
+  }
+  
+  const keypair = generateUserKeypair();
+  const authorization = await signUserDecryption(signer, [contractAddress], keypair);
+  
+  await saveUserDecryptionKey(userAddress, contractAddress, authorization);
+  
+  return authorization;
+}
+
+/**
+ * Decrypt a batch of handles the user has been granted ACL access to
+ * 
+ * Uses the EIP-712 user decryption flow: the cleartext is re-encrypted
+ * for the requesting wallet only and never made public.
+ * 
+ * @param {string[]} handles - Ciphertext handles (bytes32 hex strings)
+ * @param {string} contractAddress - Contract that owns the handles
+ * @param {ethers.Signer} signer - Wallet signer with ACL access
+ * @returns {Promise<Object>} Clear values keyed by handle
+ */
+export async function userDecrypt(handles, contractAddress, signer) {
   try {
-    console.log('🔓 Decrypting IPFS hash...');
+    console.log('🔓 Starting user decryption...');
+    console.log(`  → Handles to decrypt: ${handles.length}`);
+    
+    validateHandles(handles);
     
     const instance = getFhevmInstance();
     
-    const handles = [encryptedHandle];
+    const authorization = await getUserDecryptionAuthorization(signer, contractAddress);
     
-    console.log('  → Calling publicDecrypt...');
-    const decryptionResults = await instance.publicDecrypt(handles);
+    const handleContractPairs = handles.map(handle => ({
+      handle,
+      contractAddress
+    }));
     
-    const clearValue = decryptionResults.clearValues[0];
-    const hashValue = '0x' + clearValue.toString(16).padStart(64, '0');
+    console.log('  → Calling userDecrypt...');
+    const clearValues = await instance.userDecrypt(
+      handleContractPairs,
+      authorization.privateKey,
+      authorization.publicKey,
+      authorization.signature,
+      authorization.contractAddresses,
+      authorization.userAddress,
+      authorization.startTimestamp,
+      authorization.durationDays
+    );
     
-    console.log('  ✓ Hash decrypted successfully');
-    console.log('  → Hash:', hashValue.substring(0, 20) + '...');
-    console.log('  ⚠️  Note: This is the SHA-256 hash of the CID, not the original CID');
+    console.log('  ✓ User decryption successful');
     
-    return hashValue;
+    return clearValues;
   } catch (error) {
-    console.error('❌ Hash decryption failed:', error);
-    throw new Error(`Hash decryption failed: ${error.message}`);
+    console.error('❌ User decryption failed:', error);
+    throw new Error(`User decryption failed: ${error.message}`);
   }
 }
 
@@ -329,7 +490,7 @@ export function formatDecryptedScores(clearValues, handles) {
   const scoresArray = [];
   
   for (let i = 0; i < handles.length; i++) {
-    const value = clearValues[i];
+    const value = clearValues[handles[i]];
     if (value === undefined || value === null) {
       throw new Error(`Missing decrypted value at index ${i}`);
     }
@@ -416,4 +577,5 @@ export function resetFhevmInstance() {
   console.warn('⚠️ Resetting FHEVM instance');
   fhevmInstance = null;
   isInitialized = false;
+  activeBackend = null;
 }
\ No newline at end of file
@@ -0,0 +1,283 @@
+/**
+ * FHEVM backends for Zackathon
+ *
+ * Every backend exposes createInstance() and resolves to an object with the
+ * relayer SDK FhevmInstance API (createEncryptedInput, publicDecrypt,
+ * userDecrypt, generateKeypair, createEIP712), so the rest of the app does
+ * not care which one is active. getKmsVerifierAddress() returns the host
+ * chain KMSVerifier used to check decryption proofs.
+ *
+ * - relayer: Zama relayer SDK loaded from the CDN (Sepolia)
+ * - mock:    @fhevm/mock-utils against a local `npx hardhat node` with
+ *            @fhevm/hardhat-plugin (chain 31337), no relayer needed
+ *
+ * Selection: VITE_FHEVM_BACKEND ('relayer' | 'mock'), then the `fhevm.backend`
+ * of the active chain's deployment (see ./deployments), otherwise the mock is
+ * used automatically on chain 31337.
+ */
+
+import { ethers } from 'ethers';
+import { HARDHAT_CHAIN_ID } from './chains';
+import { getActiveChainId, getDeployment } from './deployments';
+
+/**
+ * Relayer SDK UMD bundle (also loaded by index.html)
+ */
+export const RELAYER_SDK_URL = 'https://cdn.zama.org/relayer-sdk-js/0.3.0-5/relayer-sdk-js.umd.cjs';
+
+/**
+ * FHEVM v0.9 Sepolia Configuration
+ * Source: Verified addresses from Zama documentation 2025
+ * Used when the active chain has no deployment entry.
+ */
+const SEPOLIA_V09_CONFIG = {
+  aclContractAddress: '0xf0Ffdc93b7E186bC2f8CB3dAA75D86d1930A433D',
+  kmsContractAddress: '0xbE0E383937d564D7FF0BC3b46c51f0bF8d5C311A',
+  inputVerifierContractAddress: '0xBBC1fFCdc7C316aAAd72E807D9b0272BE8F84DA0',
+  verifyingContractAddressDecryption: '0x5D8BD78e2ea6bbE41f26dFe9fdaEAa349e077478',
+  verifyingContractAddressInputVerification: '0x483b9dE06E4E4C7D35CCf5837A1668487406D955',
+  chainId: 11155111,
+  gatewayChainId: 10901,
+  relayerUrl: 'https://relayer.testnet.zama.org',
+};
+
+/**
+ * Local Hardhat FHEVM mock configuration
+ * Host contract addresses are read from the node (fhevm_relayer_metadata);
+ * the gateway verifying contracts are fixed by @fhevm/hardhat-plugin.
+ */
+const HARDHAT_MOCK_CONFIG = {
+  rpcUrl: import.meta.env.VITE_LOCAL_RPC_URL || 'http://127.0.0.1:8545',
+  verifyingContractAddressDecryption: '0x5ffdaAB0373E62E2ea2944776209aEf29E631A64',
+  verifyingContractAddressInputVerification: '0x812b06e1CDCE800494b79fFE4f925A504a9A9810',
+  chainId: HARDHAT_CHAIN_ID,
+  gatewayChainId: 55815,
+};
+
+/**
+ * Wait for SDK to load from CDN with timeout
+ * @param {number} maxWaitMs - Maximum wait time in milliseconds
+ * @returns {Promise<void>}
+ */
+async function waitForSDKLoaded(maxWaitMs = 10000) {
+  if (typeof window === 'undefined') {
+    throw new Error('Must run in browser environment');
+  }
+
+  if (window.relayerSDK && window.relayerSDK.initSDK && window.relayerSDK.createInstance) {
+    return;
+  }
+
+  const startTime = Date.now();
+  const checkInterval = 100;
+
+  return new Promise((resolve, reject) => {
+    const checkSDK = () => {
+      if (window.relayerSDK && window.relayerSDK.initSDK && window.relayerSDK.createInstance) {
+        resolve();
+        return;
+      }
+
+      const elapsed = Date.now() - startTime;
+      if (elapsed >= maxWaitMs) {
+        reject(new Error(
+          `FHEVM SDK failed to load within ${maxWaitMs}ms. ` +
+          'Make sure this script is in index.html:\n' +
+          `<script src="${RELAYER_SDK_URL}"></script>`
+        ));
+        return;
+      }
+
+      setTimeout(checkSDK, checkInterval);
+    };
+
+    checkSDK();
+  });
+}
+
+/**
+ * Strip registry-only fields from a deployment's FHEVM config
+ */
+function fhevmConfigOf(deployment) {
+  const { backend: _backend, ...config } = deployment?.fhevm || {};
+  return config;
+}
+
+/**
+ * Relayer SDK instance config for a chain
+ * Plain data only, so it can also be posted to the encryption worker.
+ * @param {number} [chainId] - Defaults to the active chain
+ * @returns {Object}
+ */
+export function getRelayerConfig(chainId = getActiveChainId()) {
+  const deployment = getDeployment(chainId);
+
+  if (!deployment?.fhevm) {
+    console.warn(`⚠️ No FHEVM config registered for chain ${chainId}, using Sepolia defaults`);
+    return {
+      ...SEPOLIA_V09_CONFIG,
+      network: 'https://sepolia.infura.io/v3/d05efcb7210a474e8b98308181a49685',
+    };
+  }
+
+  return {
+    ...fhevmConfigOf(deployment),
+    network: deployment.rpcUrl,
+  };
+}
+
+/**
+ * Relayer SDK backend (Sepolia)
+ */
+const relayerBackend = {
+  name: 'relayer',
+
+  async createInstance() {
+    console.log('  → Waiting for SDK script to load...');
+    await waitForSDKLoaded(10000);
+    console.log('  ✓ SDK loaded from CDN');
+
+    console.log('  → Loading TFHE WASM...');
+    await window.relayerSDK.initSDK();
+    console.log('  ✓ TFHE WASM loaded successfully');
+
+    console.log('  → Creating FHEVM instance with v0.9 config...');
+
+    const config = getRelayerConfig();
+
+    console.log('  → Config:', {
+      chainId: config.chainId,
+      gatewayChainId: config.gatewayChainId,
+      relayerUrl: config.relayerUrl,
+      hasMetaMask: !!window.ethereum
+    });
+
+    try {
+      return await window.relayerSDK.createInstance(config);
+    } catch (error) {
+      console.warn('Failed to create instance, retrying...', error);
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return window.relayerSDK.createInstance(config);
+    }
+  },
+
+  async getKmsVerifierAddress() {
+    return getRelayerConfig().kmsContractAddress;
+  }
+};
+
+/**
+ * Local node RPC URL for the active chain
+ */
+function getMockRpcUrl() {
+  return getDeployment()?.rpcUrl || HARDHAT_MOCK_CONFIG.rpcUrl;
+}
+
+/**
+ * Resolve the mock config from the host contract addresses reported by the node
+ * @param {ethers.JsonRpcProvider} provider - Local node provider
+ * @returns {Promise<Object>}
+ */
+async function readMockConfig(provider) {
+  let metadata;
+  try {
+    metadata = await provider.send('fhevm_relayer_metadata', []);
+  } catch (error) {
+    throw new Error(
+      'Local node does not serve FHEVM metadata. Start it with `npx hardhat node` ' +
+      '(@fhevm/hardhat-plugin), then run `npm run deploy-contract:local`.',
+      { cause: error }
+    );
+  }
+
+  console.log('  ✓ FHEVM metadata read from local node');
+
+  return {
+    ...HARDHAT_MOCK_CONFIG,
+    ...fhevmConfigOf(getDeployment()),
+    rpcUrl: getMockRpcUrl(),
+    aclContractAddress: metadata.ACLAddress,
+    kmsContractAddress: metadata.KMSVerifierAddress,
+    inputVerifierContractAddress: metadata.InputVerifierAddress,
+    gatewayChainId: metadata.gatewayChainId ?? HARDHAT_MOCK_CONFIG.gatewayChainId,
+  };
+}
+
+/**
+ * Local mock backend (Hardhat node with FHEVM mock contracts)
+ * Encryption, public/user decryption and proof signing are served by the
+ * node itself, so everything works offline.
+ */
+const mockBackend = {
+  name: 'mock',
+
+  async createInstance() {
+    console.log('  → Loading @fhevm/mock-utils...');
+    const { MockFhevmInstance, contracts } = await import('@fhevm/mock-utils');
+
+    const rpcUrl = getMockRpcUrl();
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const network = await provider.getNetwork();
+
+    if (Number(network.chainId) !== HARDHAT_CHAIN_ID) {
+      throw new Error(
+        `Mock backend expects a local Hardhat node (chain ${HARDHAT_CHAIN_ID}) at ${rpcUrl}`
+      );
+    }
+
+    const config = await readMockConfig(provider);
+
+    console.log('  → Config:', {
+      chainId: config.chainId,
+      gatewayChainId: config.gatewayChainId,
+      rpcUrl: config.rpcUrl
+    });
+
+    const { rpcUrl: _rpcUrl, ...instanceConfig } = config;
+
+    // Signers and EIP-712 domains of the mock InputVerifier / KMSVerifier
+    const repository = await contracts.FhevmContractsRepository.create(provider, {
+      aclContractAddress: config.aclContractAddress,
+      kmsContractAddress: config.kmsContractAddress,
+    });
+
+    return MockFhevmInstance.create(provider, provider, instanceConfig, {
+      inputVerifierProperties: repository.inputVerifier.inputVerifierProperties,
+      kmsVerifierProperties: repository.kmsVerifier.kmsVerifierProperties,
+    });
+  },
+
+  async getKmsVerifierAddress() {
+    const provider = new ethers.JsonRpcProvider(getMockRpcUrl());
+    const config = await readMockConfig(provider);
+    return config.kmsContractAddress;
+  }
+};
+
+const BACKENDS = {
+  relayer: relayerBackend,
+  mock: mockBackend,
+};
+
+/**
+ * Pick the FHEVM backend to use
+ *
+ * @param {string} [name] - Explicit backend name, overrides env and the registry
+ * @param {number} [chainId] - Chain to pick for, defaults to the active chain
+ * @returns {Promise<{name: string, createInstance: Function, getKmsVerifierAddress: Function}>}
+ */
+export async function resolveFhevmBackend(name, chainId = getActiveChainId()) {
+  const requested = name
+    || import.meta.env.VITE_FHEVM_BACKEND
+    || getDeployment(chainId)?.fhevm?.backend;
+
+  if (requested) {
+    const backend = BACKENDS[requested];
+    if (!backend) {
+      throw new Error(`Unknown FHEVM backend "${requested}" (expected: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return backend;
+  }
+
+  return chainId === HARDHAT_CHAIN_ID ? mockBackend : relayerBackend;
+}
@@ -0,0 +1,162 @@
+/**
+ * Promise-based client for the FHEVM encryption worker
+ *
+ * Requests are matched to responses by id. Progress messages are forwarded
+ * to the caller's onProgress callback. Every request carries its chain's
+ * instance config, so the worker never encrypts with another chain's
+ * addresses. Aborting a request terminates the worker (a running proof
+ * cannot be interrupted any other way) and rejects only that request; the
+ * other requests in flight are re-sent to a fresh worker.
+ */
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+/**
+ * Check whether encryption can be offloaded to a worker
+ * @returns {boolean}
+ */
+export function isWorkerSupported() {
+  return typeof window !== 'undefined' && typeof Worker !== 'undefined';
+}
+
+function createAbortError() {
+  return new DOMException('Encryption cancelled', 'AbortError');
+}
+
+function rejectAll(error) {
+  for (const { reject, cleanup } of pendingRequests.values()) {
+    cleanup();
+    reject(error);
+  }
+  pendingRequests.clear();
+}
+
+/**
+ * Terminate the worker and reject everything in flight
+ * @param {Error} [reason] - Rejection reason for pending requests
+ */
+export function terminateFhevmWorker(reason = createAbortError()) {
+  if (worker) {
+    console.warn('⚠️ Terminating FHEVM worker');
+    worker.terminate();
+  }
+  worker = null;
+  rejectAll(reason);
+}
+
+/**
+ * Cancel one request
+ * The worker is restarted to stop its proof; every other pending request is
+ * replayed on the new worker.
+ */
+function abortRequest(id) {
+  const request = pendingRequests.get(id);
+  if (!request) return;
+
+  pendingRequests.delete(id);
+  request.cleanup();
+  request.reject(createAbortError());
+
+  if (worker) {
+    console.warn('⚠️ Restarting FHEVM worker to cancel an encryption');
+    worker.terminate();
+    worker = null;
+  }
+
+  for (const { message } of pendingRequests.values()) {
+    getWorker().postMessage(message);
+  }
+}
+
+function handleMessage(event) {
+  const { id, type, ...payload } = event.data;
+  const request = pendingRequests.get(id);
+  if (!request) return;
+
+  if (type === 'progress') {
+    request.onProgress?.({ stage: payload.stage });
+    return;
+  }
+
+  pendingRequests.delete(id);
+  request.cleanup();
+
+  if (type === 'result') {
+    request.resolve(payload.result);
+  } else {
+    request.reject(new Error(payload.error || 'FHEVM worker request failed'));
+  }
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/fhevmWorker.js', import.meta.url));
+    worker.onmessage = handleMessage;
+    worker.onerror = (event) => {
+      terminateFhevmWorker(new Error(`FHEVM worker crashed: ${event.message || 'unknown error'}`));
+    };
+  }
+  return worker;
+}
+
+/**
+ * Send a request to the worker
+ * @param {string} type - Message type
+ * @param {Object} payload - Message payload
+ * @param {{onProgress?: Function, signal?: AbortSignal}} options
+ * @returns {Promise<any>} Worker result
+ */
+function request(type, payload, { onProgress, signal } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    const message = { id, type, ...payload };
+
+    const onAbort = () => abortRequest(id);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    pendingRequests.set(id, {
+      resolve,
+      reject,
+      onProgress,
+      message,
+      cleanup: () => signal?.removeEventListener('abort', onAbort),
+    });
+
+    getWorker().postMessage(message);
+  });
+}
+
+/**
+ * Encrypt values inside the worker
+ *
+ * @param {Object} params
+ * @param {string} params.contractAddress - Contract the input is bound to
+ * @param {string} params.userAddress - User the input is bound to
+ * @param {{bits: number, value: bigint}[]} params.values - Values to add, in order
+ * @param {string} params.sdkUrl - Relayer SDK UMD bundle URL
+ * @param {Object} params.config - Relayer SDK instance config of the target chain
+ * @param {Function} [params.onProgress] - Receives { stage }
+ * @param {AbortSignal} [params.signal] - Cancels the request
+ * @returns {Promise<{handles: Uint8Array[], inputProof: Uint8Array}>}
+ */
+export async function encryptInWorker({
+  contractAddress,
+  userAddress,
+  values,
+  sdkUrl,
+  config,
+  onProgress,
+  signal,
+}) {
+  return request(
+    'encrypt',
+    { sdkUrl, config, contractAddress, userAddress, values },
+    { onProgress, signal }
+  );
+}
@@ -124,6 +124,17 @@ export function formatAddress(address, chars = 4) {
   return `${address.substring(0, chars + 2)}...${address.substring(42 - chars)}`;
 }
 
+/**
+ * Format transaction hash for display (0x12345678...abcdef)
+ * @param {string} hash - Full transaction hash
+ * @param {number} chars - Number of chars to show on each side
+ * @returns {string} Formatted hash
+ */
+export function formatTxHash(hash, chars = 6) {
+  if (!hash) return '';
+  return `${hash.substring(0, chars + 2)}...${hash.substring(hash.length - chars)}`;
+}
+
 /**
  * Validate Ethereum address
  * @param {string} address - Address to validate
@@ -176,6 +187,60 @@ export function formatHackathonStatus(status) {
   return statusMap[status] || { label: 'Unknown', color: 'gray' };
 }
 
+/**
+ * Default scoring rubric offered when creating a hackathon
+ */
+export const DEFAULT_RUBRIC = [
+  { name: 'Innovation & Originality', maxScore: 10, weight: 1 },
+  { name: 'Technical Implementation', maxScore: 10, weight: 1 },
+  { name: 'User Experience', maxScore: 10, weight: 1 },
+  { name: 'Completeness', maxScore: 10, weight: 1 },
+  { name: 'Documentation', maxScore: 10, weight: 1 },
+];
+
+/**
+ * Zackathon.RankingMode values
+ * REVEAL_ALL publishes every submission's score, TOP_N only the winners'
+ */
+export const RANKING_MODES = {
+  REVEAL_ALL: 0,
+  TOP_N: 1,
+};
+
+/**
+ * Limits enforced by the contract (Zackathon.MAX_CRITERIA / MAX_CRITERION_VALUE / MAX_WINNERS)
+ */
+export const MAX_RUBRIC_CRITERIA = 10;
+export const MAX_CRITERION_VALUE = 100;
+export const MAX_WINNERS = 10;
+export const DEFAULT_WINNER_COUNT = 3;
+
+/**
+ * Convert a rubric returned by the contract into plain objects
+ * @param {Array} rawRubric - Criterion structs from getRubric()
+ * @returns {{name: string, maxScore: number, weight: number}[]}
+ */
+export function normalizeRubric(rawRubric) {
+  if (!Array.isArray(rawRubric)) return [];
+  return rawRubric.map(criterion => ({
+    name: criterion.name,
+    maxScore: Number(criterion.maxScore),
+    weight: Number(criterion.weight),
+  }));
+}
+
+/**
+ * Highest weighted score a submission can reach
+ * @param {Array} rubric - Normalized rubric
+ * @param {number} judgeCount - Number of judges scoring each submission
+ * @returns {number} Maximum weighted total
+ */
+export function getMaxWeightedScore(rubric, judgeCount = 1) {
+  if (!Array.isArray(rubric)) return 0;
+  const perJudge = rubric.reduce((sum, c) => sum + c.maxScore * c.weight, 0);
+  return perJudge * judgeCount;
+}
+
 /**
  * Calculate score percentage
  * @param {number} score - Raw score
@@ -208,9 +273,20 @@ export function sortByScore(submissions) {
   return [...submissions].sort((a, b) => (b.score || 0) - (a.score || 0));
 }
 
+/**
+ * Format a rank as an English ordinal
+ * @param {number} n - Rank (1-based)
+ * @returns {string} e.g. '1st', '2nd', '11th', '23rd'
+ */
+export function formatOrdinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
 /**
  * Get ranking badge for position
- * @param {number} position - Position (1, 2, 3)
+ * @param {number} position - Position (1-based)
  * @returns {{emoji: string, label: string, color: string}}
  */
 export function getRankingBadge(position) {
@@ -220,7 +296,7 @@ export function getRankingBadge(position) {
     3: { emoji: '🥉', label: '3rd Place', color: 'bronze' }
   };
   
-  return badges[position] || { emoji: '🏆', label: `${position}th Place`, color: 'gray' };
+  return badges[position] || { emoji: '🏆', label: `${formatOrdinal(position)} Place`, color: 'gray' };
 }
 
 /**
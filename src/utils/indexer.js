@@ -0,0 +1,514 @@
+/**
+ * Event-sourced index of Zackathon state
+ *
+ * Replays the contract's events from its deploy block into IndexedDB and
+ * keeps catching up from the last indexed block, so listing hackathons and
+ * submissions costs one eth_getLogs sweep instead of one view call per item.
+ *
+ * Events carry everything dynamic (status, counts, judging progress,
+ * revealed scores). The immutable parts of a hackathon that events do not
+ * carry (description, prize, judges, ...) are read once with
+ * getHackathonDetails when its HackathonCreated event is replayed.
+ *
+ * Every reducer is idempotent (sets instead of counters, monotonic status),
+ * so re-scanning an overlapping block range is harmless. That overlap is
+ * what lets the indexer pick up logs near the head that an RPC node had
+ * not served yet on the previous sweep.
+ *
+ * Records are scoped by `${chainId}:${contractAddress}`.
+ */
+
+import { getChain } from './chains';
+import { getActiveChainId, getDeployment } from './deployments';
+
+const DB_NAME = 'zackathon-index';
+const DB_VERSION = 1;
+const META_STORE = 'meta';
+const HACKATHON_STORE = 'hackathons';
+const SUBMISSION_STORE = 'submissions';
+
+/**
+ * Max block span per eth_getLogs request (public RPCs cap the range)
+ * Override with VITE_INDEXER_BLOCK_RANGE
+ */
+const LOG_BLOCK_RANGE = Number(import.meta.env.VITE_INDEXER_BLOCK_RANGE) || 5000;
+
+/**
+ * Blocks re-scanned behind the last indexed block on every sync
+ */
+const RESCAN_BLOCKS = 5;
+
+// HackathonStatus / SubmissionStatus enums (mirror the contract)
+const STATUS = { REGISTRATION_OPEN: 0, SUBMISSIONS_OPEN: 1, JUDGING: 2, COMPLETED: 3 };
+const SUBMISSION_STATUS = { PENDING: 0, JUDGED: 1 };
+
+let dbPromise = null;
+let fallbackWarned = false;
+const syncsInFlight = new Map();
+
+/**
+ * Check whether IndexedDB exists in this environment
+ */
+function hasIndexedDB() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Check whether the index can be used for a chain
+ * Needs IndexedDB and a known deploy block to replay events from.
+ * @param {number} [chainId] - Defaults to the active chain
+ * @returns {boolean}
+ */
+export function isIndexerAvailable(chainId = getActiveChainId()) {
+  return hasIndexedDB() && getDeployBlock(chainId) !== null;
+}
+
+/**
+ * Log, once per session, that reads fell back from the index to the contract
+ * @param {Error} error - Why the index could not serve the read
+ */
+export function warnIndexFallback(error) {
+  if (fallbackWarned) return;
+  fallbackWarned = true;
+  console.warn('⚠️ Index unavailable, falling back to contract reads:', error);
+}
+
+/**
+ * Open (and upgrade if needed) the index database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  if (!hasIndexedDB()) {
+    return Promise.reject(new Error('IndexedDB not available'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'scope' });
+      }
+
+      if (!db.objectStoreNames.contains(HACKATHON_STORE)) {
+        const store = db.createObjectStore(HACKATHON_STORE, { keyPath: ['scope', 'id'] });
+        store.createIndex('scope', 'scope', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(SUBMISSION_STORE)) {
+        const store = db.createObjectStore(SUBMISSION_STORE, { keyPath: ['scope', 'hackathonId', 'submissionId'] });
+        store.createIndex('hackathon', ['scope', 'hackathonId'], { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read every record of a scope
+ * @returns {Promise<{meta: Object|undefined, hackathons: Object[], submissions: Object[]}>}
+ */
+async function readScope(scope) {
+  const db = await openDatabase();
+  const tx = db.transaction([META_STORE, HACKATHON_STORE, SUBMISSION_STORE], 'readonly');
+
+  const [meta, hackathons, submissions] = await Promise.all([
+    promisify(tx.objectStore(META_STORE).get(scope)),
+    promisify(tx.objectStore(HACKATHON_STORE).index('scope').getAll(scope)),
+    promisify(
+      tx.objectStore(SUBMISSION_STORE).index('hackathon').getAll(
+        IDBKeyRange.bound([scope, 0], [scope, Number.MAX_SAFE_INTEGER])
+      )
+    ),
+  ]);
+
+  return { meta, hackathons, submissions };
+}
+
+/**
+ * Persist changed records and the new checkpoint in one transaction
+ */
+async function writeScope(scope, lastBlock, hackathons, submissions) {
+  const db = await openDatabase();
+
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([META_STORE, HACKATHON_STORE, SUBMISSION_STORE], 'readwrite');
+
+    hackathons.forEach(record => tx.objectStore(HACKATHON_STORE).put(record));
+    submissions.forEach(record => tx.objectStore(SUBMISSION_STORE).put(record));
+    tx.objectStore(META_STORE).put({ scope, lastBlock, updatedAt: Date.now() });
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Remove indexed data
+ * @param {string} [scope] - Only clear this chain/contract (everything if omitted)
+ */
+export async function clearIndex(scope) {
+  const db = await openDatabase();
+
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([META_STORE, HACKATHON_STORE, SUBMISSION_STORE], 'readwrite');
+
+    if (!scope) {
+      tx.objectStore(META_STORE).clear();
+      tx.objectStore(HACKATHON_STORE).clear();
+      tx.objectStore(SUBMISSION_STORE).clear();
+    } else {
+      tx.objectStore(META_STORE).delete(scope);
+      tx.objectStore(HACKATHON_STORE).delete(
+        IDBKeyRange.bound([scope, 0], [scope, Number.MAX_SAFE_INTEGER])
+      );
+      tx.objectStore(SUBMISSION_STORE).delete(
+        IDBKeyRange.bound([scope, 0, 0], [scope, Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER])
+      );
+    }
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Get the block to start replaying from
+ * VITE_DEPLOY_BLOCK goes with a VITE_CONTRACT_ADDRESS override, otherwise the
+ * registry's deployBlock is used. A missing one is only acceptable on local
+ * chains, where scanning from genesis is cheap; on public chains it would mean
+ * millions of blocks.
+ * @returns {number|null} Null when unknown
+ */
+function getDeployBlock(chainId) {
+  const deployBlock = import.meta.env.VITE_CONTRACT_ADDRESS
+    ? Number(import.meta.env.VITE_DEPLOY_BLOCK)
+    : getDeployment(chainId)?.deployBlock;
+
+  if (deployBlock > 0) {
+    return deployBlock;
+  }
+
+  return getChain(chainId)?.isLocal ? 0 : null;
+}
+
+/**
+ * Get the provider behind a contract's runner (signer or provider)
+ */
+function getProvider(contract) {
+  return contract.runner?.provider || contract.runner;
+}
+
+/**
+ * Build the index scope of a contract
+ * @param {ethers.Contract} contract - Zackathon contract
+ * @returns {Promise<{scope: string, chainId: number, address: string}>}
+ */
+export async function getIndexScope(contract) {
+  const network = await getProvider(contract).getNetwork();
+  const chainId = Number(network.chainId);
+  const address = (await contract.getAddress()).toLowerCase();
+
+  return { scope: `${chainId}:${address}`, chainId, address };
+}
+
+function addUnique(list, value) {
+  const normalized = value.toLowerCase();
+  return list.includes(normalized) ? list : [...list, normalized];
+}
+
+/**
+ * Apply one decoded event to the in-memory state
+ * @returns {boolean} True if the event touched indexed state
+ */
+function applyEvent(state, event, details) {
+  const { hackathons, submissions, dirtyHackathons, dirtySubmissions } = state;
+  const args = event.args;
+  const hackathonId = Number(args.hackathonId);
+
+  const touchHackathon = (update) => {
+    const current = hackathons.get(hackathonId);
+    if (!current) return false;
+    hackathons.set(hackathonId, { ...current, ...update(current) });
+    dirtyHackathons.add(hackathonId);
+    return true;
+  };
+
+  const touchSubmission = (submissionId, update) => {
+    const key = `${hackathonId}:${submissionId}`;
+    const current = submissions.get(key);
+    if (!current) return false;
+    submissions.set(key, { ...current, ...update(current) });
+    dirtySubmissions.add(key);
+    return true;
+  };
+
+  switch (event.name) {
+    case 'HackathonCreated': {
+      const existing = hackathons.get(hackathonId);
+      const info = details.get(hackathonId);
+      hackathons.set(hackathonId, {
+        scope: state.scope,
+        id: hackathonId,
+        name: args.name,
+        description: info?.description ?? existing?.description ?? '',
+        prizeDetails: info?.prizeDetails ?? existing?.prizeDetails ?? '',
+        submissionDeadline: Number(args.submissionDeadline),
+        judgingDeadline: Number(args.judgingDeadline),
+        organizer: args.organizer,
+        judges: info ? Array.from(info.judges) : existing?.judges ?? [],
+        maxParticipants: info ? Number(info.maxParticipants) : existing?.maxParticipants ?? 0,
+        winnerCount: info ? Number(info.winnerCount) : existing?.winnerCount ?? 0,
+        status: existing?.status ?? STATUS.REGISTRATION_OPEN,
+        participants: existing?.participants ?? [],
+        participantCount: existing?.participantCount ?? 0,
+        submissionCount: existing?.submissionCount ?? 0,
+        judgeAccessGranted: existing?.judgeAccessGranted ?? false,
+        winnersAnnounced: existing?.winnersAnnounced ?? false,
+        winners: existing?.winners ?? [],
+        createdBlock: event.blockNumber,
+      });
+      dirtyHackathons.add(hackathonId);
+      return true;
+    }
+
+    case 'ParticipantRegistered':
+      return touchHackathon(h => {
+        const participants = addUnique(h.participants, args.participant);
+        return {
+          participants,
+          participantCount: participants.length,
+          status: Math.max(h.status, STATUS.SUBMISSIONS_OPEN),
+        };
+      });
+
+    case 'ProjectSubmitted': {
+      const submissionId = Number(args.submissionId);
+      const key = `${hackathonId}:${submissionId}`;
+      const existing = submissions.get(key);
+
+      submissions.set(key, {
+        scope: state.scope,
+        hackathonId,
+        submissionId,
+        participant: args.participant,
+        submissionTime: Number(args.submissionTime),
+        status: existing?.status ?? SUBMISSION_STATUS.PENDING,
+        scoredBy: existing?.scoredBy ?? [],
+        judgeCount: existing?.judgeCount ?? 0,
+        decryptedScore: existing?.decryptedScore ?? null,
+      });
+      dirtySubmissions.add(key);
+
+      return touchHackathon(h => ({
+        submissionCount: Math.max(h.submissionCount, submissionId + 1),
+      }));
+    }
+
+    case 'JudgeAccessGranted':
+      return touchHackathon(h => ({
+        judgeAccessGranted: true,
+        status: Math.max(h.status, STATUS.JUDGING),
+      }));
+
+    case 'ScoreSubmitted':
+      return touchSubmission(Number(args.submissionId), s => {
+        const scoredBy = addUnique(s.scoredBy, args.judge);
+        return {
+          scoredBy,
+          judgeCount: scoredBy.length,
+          status: SUBMISSION_STATUS.JUDGED,
+        };
+      });
+
+    case 'WinnersCalculated':
+      return touchHackathon(() => ({ status: STATUS.COMPLETED }));
+
+    case 'WinnersAnnounced':
+      return touchHackathon(() => ({
+        winnersAnnounced: true,
+        winners: Array.from(args.winners),
+      }));
+
+    case 'ScoreDecrypted':
+      return touchSubmission(Number(args.submissionId), () => ({
+        decryptedScore: Number(args.score),
+      }));
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Catch the index up with the chain
+ *
+ * @param {ethers.Contract} contract - Zackathon contract (signer or provider runner)
+ * @param {{onProgress?: Function}} [options] - Receives { fromBlock, toBlock, latestBlock }
+ * @returns {Promise<{scope: string, lastBlock: number}>}
+ */
+async function runSync(contract, { onProgress } = {}) {
+  const { scope, chainId, address } = await getIndexScope(contract);
+  const provider = getProvider(contract);
+
+  const { meta, hackathons, submissions } = await readScope(scope);
+  const deployBlock = getDeployBlock(chainId);
+  if (deployBlock === null) {
+    throw new Error(`Deploy block unknown for chain ${chainId}. Set deployBlock in deployments.json or VITE_DEPLOY_BLOCK.`);
+  }
+
+  const startBlock = meta
+    ? Math.max(deployBlock, meta.lastBlock - RESCAN_BLOCKS + 1)
+    : deployBlock;
+  const latestBlock = await provider.getBlockNumber();
+
+  const state = {
+    scope,
+    hackathons: new Map(hackathons.map(h => [h.id, h])),
+    submissions: new Map(submissions.map(s => [`${s.hackathonId}:${s.submissionId}`, s])),
+    dirtyHackathons: new Set(),
+    dirtySubmissions: new Set(),
+  };
+
+  console.log(`📚 Indexing ${scope} from block ${startBlock} to ${latestBlock}...`);
+
+  let lastBlock = meta?.lastBlock ?? deployBlock - 1;
+
+  for (let fromBlock = startBlock; fromBlock <= latestBlock; fromBlock += LOG_BLOCK_RANGE) {
+    const toBlock = Math.min(fromBlock + LOG_BLOCK_RANGE - 1, latestBlock);
+    const logs = await provider.getLogs({ address, fromBlock, toBlock });
+
+    const events = logs
+      .map(log => {
+        try {
+          const parsed = contract.interface.parseLog(log);
+          return parsed && { name: parsed.name, args: parsed.args, blockNumber: log.blockNumber };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    // Immutable fields that events do not carry, read once per new hackathon
+    const details = new Map();
+    const created = events
+      .filter(event => event.name === 'HackathonCreated')
+      .map(event => Number(event.args.hackathonId))
+      .filter(id => !state.hackathons.has(id));
+
+    const results = await Promise.all(created.map(id => contract.getHackathonDetails(id)));
+    created.forEach((id, index) => details.set(id, results[index]));
+
+    events.forEach(event => applyEvent(state, event, details));
+
+    lastBlock = toBlock;
+    await writeScope(
+      scope,
+      lastBlock,
+      [...state.dirtyHackathons].map(id => state.hackathons.get(id)),
+      [...state.dirtySubmissions].map(key => state.submissions.get(key))
+    );
+    state.dirtyHackathons.clear();
+    state.dirtySubmissions.clear();
+
+    onProgress?.({ fromBlock, toBlock, latestBlock });
+
+    if (events.length > 0) {
+      console.log(`  → Blocks ${fromBlock}-${toBlock}: ${events.length} events`);
+    }
+  }
+
+  console.log(`  ✓ Index up to date at block ${lastBlock}`);
+  return { scope, lastBlock };
+}
+
+/**
+ * Catch the index up with the chain
+ * Concurrent calls for the same contract share one sync.
+ *
+ * @param {ethers.Contract} contract - Zackathon contract
+ * @param {{onProgress?: Function}} [options]
+ * @returns {Promise<{scope: string, lastBlock: number}>}
+ */
+export async function syncIndex(contract, options = {}) {
+  const { scope } = await getIndexScope(contract);
+
+  if (!syncsInFlight.has(scope)) {
+    const promise = runSync(contract, options).finally(() => syncsInFlight.delete(scope));
+    syncsInFlight.set(scope, promise);
+  }
+
+  return syncsInFlight.get(scope);
+}
+
+function toHackathon(record) {
+  const { scope: _scope, participants: _participants, createdBlock: _createdBlock, ...hackathon } = record;
+  return hackathon;
+}
+
+function toSubmission(record) {
+  const { scope: _scope, hackathonId: _hackathonId, scoredBy: _scoredBy, ...submission } = record;
+  return submission;
+}
+
+/**
+ * Get all hackathons from the index (syncs first)
+ * Shape matches useHackathons' formatted hackathons.
+ *
+ * @param {ethers.Contract} contract - Zackathon contract
+ * @returns {Promise<Object[]>} Hackathons ordered by ID
+ */
+export async function getIndexedHackathons(contract) {
+  const { scope } = await syncIndex(contract);
+  const { hackathons } = await readScope(scope);
+
+  return hackathons
+    .sort((a, b) => a.id - b.id)
+    .map(toHackathon);
+}
+
+/**
+ * Get a hackathon's submissions from the index (syncs first)
+ * Shape matches useSubmissions' formatted submissions.
+ *
+ * @param {ethers.Contract} contract - Zackathon contract
+ * @param {number} hackathonId
+ * @returns {Promise<Object[]>} Submissions ordered by ID
+ */
+export async function getIndexedSubmissions(contract, hackathonId) {
+  const { scope } = await syncIndex(contract);
+  const db = await openDatabase();
+  const tx = db.transaction(SUBMISSION_STORE, 'readonly');
+
+  const records = await promisify(
+    tx.objectStore(SUBMISSION_STORE).index('hackathon').getAll([scope, Number(hackathonId)])
+  );
+
+  return records
+    .sort((a, b) => a.submissionId - b.submissionId)
+    .map(toSubmission);
+}
@@ -0,0 +1,180 @@
+/**
+ * IndexedDB keystore for FHE user decryption authorizations
+ *
+ * Stores the ephemeral keypair together with the signed EIP-712
+ * authorization so a judge only signs once per validity window instead
+ * of once per submission. Entries are keyed by account + contract address.
+ */
+
+const DB_NAME = 'zackathon-keystore';
+const DB_VERSION = 1;
+const STORE_NAME = 'userDecryption';
+
+/**
+ * Default validity window (days) of a stored authorization
+ * Override with VITE_USER_DECRYPT_DURATION_DAYS
+ */
+export const DEFAULT_VALIDITY_DAYS = Number(import.meta.env.VITE_USER_DECRYPT_DURATION_DAYS) || 1;
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the keystore database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB not available'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('account', 'account', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request inside a transaction on the keystore
+ * @param {IDBTransactionMode} mode
+ * @param {Function} action - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+async function withStore(mode, action) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = action(tx.objectStore(STORE_NAME));
+
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Build the keystore key for an account / contract pair
+ */
+function entryId(account, contractAddress) {
+  return `${account.toLowerCase()}:${contractAddress.toLowerCase()}`;
+}
+
+/**
+ * Check whether a stored authorization is still inside its validity window
+ * @param {Object} authorization - Authorization from signUserDecryption()
+ * @returns {boolean}
+ */
+export function isAuthorizationValid(authorization) {
+  if (!authorization) return false;
+
+  const expiresAt = (authorization.startTimestamp + authorization.durationDays * 86400) * 1000;
+
+  // Leave a minute of slack so the relayer never sees an expired request
+  return Date.now() < expiresAt - 60 * 1000;
+}
+
+/**
+ * Load a stored decryption authorization
+ * Expired entries are removed and null is returned.
+ *
+ * @param {string} account - Wallet address
+ * @param {string} contractAddress - Contract the authorization covers
+ * @returns {Promise<Object|null>} Authorization or null
+ */
+export async function loadUserDecryptionKey(account, contractAddress) {
+  try {
+    const id = entryId(account, contractAddress);
+    const entry = await withStore('readonly', (store) => store.get(id));
+
+    if (!entry) {
+      return null;
+    }
+
+    if (!isAuthorizationValid(entry.authorization)) {
+      console.log('  → Stored decryption authorization expired');
+      await withStore('readwrite', (store) => store.delete(id));
+      return null;
+    }
+
+    return entry.authorization;
+  } catch (error) {
+    console.warn('⚠️ Failed to read decryption keystore:', error);
+    return null;
+  }
+}
+
+/**
+ * Persist a decryption authorization
+ *
+ * @param {string} account - Wallet address
+ * @param {string} contractAddress - Contract the authorization covers
+ * @param {Object} authorization - Authorization from signUserDecryption()
+ */
+export async function saveUserDecryptionKey(account, contractAddress, authorization) {
+  try {
+    await withStore('readwrite', (store) =>
+      store.put({
+        id: entryId(account, contractAddress),
+        account: account.toLowerCase(),
+        contractAddress: contractAddress.toLowerCase(),
+        authorization
+      })
+    );
+  } catch (error) {
+    console.warn('⚠️ Failed to write decryption keystore:', error);
+  }
+}
+
+/**
+ * Remove stored authorizations
+ *
+ * @param {string} [account] - Only clear entries for this wallet (all if omitted)
+ */
+export async function clearUserDecryptionKeys(account) {
+  try {
+    if (!account) {
+      await withStore('readwrite', (store) => store.clear());
+      return;
+    }
+
+    const db = await openDatabase();
+
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      const index = tx.objectStore(STORE_NAME).index('account');
+      const request = index.openCursor(IDBKeyRange.only(account.toLowerCase()));
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (error) {
+    console.warn('⚠️ Failed to clear decryption keystore:', error);
+  }
+}
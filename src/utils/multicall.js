@@ -0,0 +1,159 @@
+/**
+ * Transparent Multicall3 batching for contract reads
+ *
+ * createBatchedContract() returns a copy of a contract whose runner queues
+ * every eth_call and flushes the queue once per tick as a single
+ * Multicall3.aggregate3 call. Callers keep using the normal ethers API:
+ *
+ *   const reader = createBatchedContract(contract, multicallAddress);
+ *   await Promise.all(ids.map(id => reader.getDecryptedScore(hackathonId, id)));
+ *   // → one eth_call
+ *
+ * Reads run with msg.sender = Multicall3, so views that check the caller
+ * (judge-only getters) must be listed in `unbatched` and go straight to the
+ * original runner. Calls carrying their own from/blockTag/value are never
+ * batched either. If the aggregate call itself fails, each queued call is
+ * retried on its own so a bad Multicall address only costs performance.
+ */
+
+import { ethers } from 'ethers';
+import { getDeployment } from './deployments';
+
+/**
+ * Canonical Multicall3 address on public networks
+ */
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+];
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+/**
+ * Max calls per aggregate3 request (larger queues are split)
+ */
+const MAX_BATCH_SIZE = Number(import.meta.env.VITE_MULTICALL_BATCH_SIZE) || 100;
+
+/**
+ * Get the Multicall3 address for a chain
+ * Priority: VITE_MULTICALL_ADDRESS > deployments.json multicallAddress
+ *
+ * @param {number} [chainId] - Defaults to the active chain
+ * @returns {string|null} Address or null when batching is unavailable
+ */
+export function getMulticallAddress(chainId) {
+  return import.meta.env.VITE_MULTICALL_ADDRESS
+    || getDeployment(chainId)?.multicallAddress
+    || null;
+}
+
+function isBatchable(tx) {
+  return Object.keys(tx).every(key => key === 'to' || key === 'data');
+}
+
+function toCallException(returnData, tx) {
+  return ethers.makeError('execution reverted', 'CALL_EXCEPTION', {
+    action: 'call',
+    data: returnData,
+    reason: null,
+    transaction: { to: tx.to, data: tx.data },
+    invocation: null,
+    revert: null,
+  });
+}
+
+/**
+ * Create a contract runner that batches eth_calls through Multicall3
+ *
+ * @param {ethers.ContractRunner} runner - Signer or provider to call through
+ * @param {string} multicallAddress - Multicall3 deployment
+ * @param {Set<string>} [unbatchedSelectors] - 4-byte selectors that must keep msg.sender
+ * @returns {ethers.ContractRunner}
+ */
+export function createBatchingRunner(runner, multicallAddress, unbatchedSelectors = new Set()) {
+  let queue = [];
+  let flushTimer = null;
+
+  const callDirect = (tx) => runner.call(tx);
+
+  const flushChunk = async (chunk) => {
+    if (chunk.length === 1) {
+      const [{ tx, resolve, reject }] = chunk;
+      callDirect(tx).then(resolve, reject);
+      return;
+    }
+
+    let results;
+    try {
+      const data = multicallInterface.encodeFunctionData('aggregate3', [
+        chunk.map(({ tx }) => ({ target: tx.to, allowFailure: true, callData: tx.data })),
+      ]);
+      const raw = await callDirect({ to: multicallAddress, data });
+      [results] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+    } catch (error) {
+      console.warn('⚠️ Multicall failed, falling back to individual calls:', error?.shortMessage || error);
+      chunk.forEach(({ tx, resolve, reject }) => callDirect(tx).then(resolve, reject));
+      return;
+    }
+
+    chunk.forEach(({ tx, resolve, reject }, index) => {
+      const { success, returnData } = results[index];
+      if (success) {
+        resolve(returnData);
+      } else {
+        reject(toCallException(returnData, tx));
+      }
+    });
+  };
+
+  const flush = () => {
+    const pending = queue;
+    queue = [];
+    flushTimer = null;
+
+    for (let i = 0; i < pending.length; i += MAX_BATCH_SIZE) {
+      flushChunk(pending.slice(i, i + MAX_BATCH_SIZE));
+    }
+  };
+
+  return {
+    provider: runner.provider || runner,
+
+    call(tx) {
+      if (!isBatchable(tx) || unbatchedSelectors.has(tx.data?.slice(0, 10))) {
+        return callDirect(tx);
+      }
+
+      return new Promise((resolve, reject) => {
+        queue.push({ tx, resolve, reject });
+        if (!flushTimer) {
+          flushTimer = setTimeout(flush, 0);
+        }
+      });
+    },
+
+    estimateGas: runner.estimateGas?.bind(runner),
+    resolveName: runner.resolveName?.bind(runner),
+  };
+}
+
+/**
+ * Get a read-only copy of a contract whose calls are batched
+ *
+ * @param {ethers.Contract} contract - Contract to read from
+ * @param {string|null} multicallAddress - Multicall3 deployment (no batching if null)
+ * @param {string[]} [unbatched] - Function names that must keep msg.sender
+ * @returns {ethers.Contract}
+ */
+export function createBatchedContract(contract, multicallAddress, unbatched = []) {
+  if (!contract || !multicallAddress) {
+    return contract;
+  }
+
+  const selectors = new Set(
+    unbatched.map(name => contract.interface.getFunction(name).selector)
+  );
+
+  return contract.connect(createBatchingRunner(contract.runner, multicallAddress, selectors));
+}
@@ -0,0 +1,271 @@
+/**
+ * Shared stale-while-revalidate query cache
+ *
+ * One cache for every hook instance, so navigating between pages reuses
+ * what the previous page already read. Keys are built from the chain, the
+ * contract address and the query (see queryKey):
+ *
+ *   fetchQuery(key, fetcher)
+ *     fresh entry        → returned as is
+ *     stale entry        → returned immediately, refetched in the background
+ *     invalidated / none → fetched (concurrent callers share one request)
+ *
+ * Background results reach mounted hooks through subscribeQuery(). Our own
+ * transactions call invalidateHackathonQueries(): the data is known to be
+ * outdated, so subscribed queries refetch and later reads wait for the network.
+ * Entries are persisted to sessionStorage and come back stale after a
+ * reload, so the first render is instant and then revalidates.
+ */
+
+import { getActiveChainId } from './deployments';
+
+const STORAGE_KEY = 'zackathon-query-cache';
+
+/**
+ * How long an entry counts as fresh
+ * Override with VITE_QUERY_STALE_MS
+ */
+const DEFAULT_STALE_TIME = Number(import.meta.env.VITE_QUERY_STALE_MS) || 30000;
+
+/**
+ * Persisted entries older than this are dropped on load
+ */
+const PERSIST_MAX_AGE = 30 * 60 * 1000;
+
+const PERSIST_DELAY_MS = 500;
+
+/**
+ * Queries that list every hackathon (invalidated by any hackathon change)
+ */
+const HACKATHON_LIST_QUERIES = ['hackathons', 'hackathonsPage'];
+
+// key -> { data, updatedAt, stale, invalidated }
+const entries = new Map();
+// key -> Promise
+const inFlight = new Map();
+// key -> Set<listener>
+const listeners = new Map();
+// key -> fetcher used last (replayed on invalidation)
+const fetchers = new Map();
+
+let persistTimer = null;
+
+function replacer(_key, value) {
+  return typeof value === 'bigint' ? { __bigint: value.toString() } : value;
+}
+
+function reviver(_key, value) {
+  return value && typeof value === 'object' && typeof value.__bigint === 'string'
+    ? BigInt(value.__bigint)
+    : value;
+}
+
+function getStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.sessionStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+function restore() {
+  const storage = getStorage();
+  if (!storage) return;
+
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY) || '{}', reviver);
+    const now = Date.now();
+
+    Object.entries(saved).forEach(([key, entry]) => {
+      if (now - entry.updatedAt < PERSIST_MAX_AGE) {
+        entries.set(key, { ...entry, stale: true });
+      }
+    });
+  } catch (error) {
+    console.warn('⚠️ Could not restore query cache:', error);
+    storage.removeItem(STORAGE_KEY);
+  }
+}
+
+function schedulePersist() {
+  const storage = getStorage();
+  if (!storage || persistTimer) return;
+
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+
+    const snapshot = {};
+    entries.forEach(({ data, updatedAt }, key) => {
+      snapshot[key] = { data, updatedAt };
+    });
+
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(snapshot, replacer));
+    } catch (error) {
+      console.warn('⚠️ Could not persist query cache:', error);
+    }
+  }, PERSIST_DELAY_MS);
+}
+
+function notify(key, data) {
+  listeners.get(key)?.forEach(listener => {
+    try {
+      listener(data);
+    } catch (error) {
+      console.error('❌ Query listener failed:', error);
+    }
+  });
+}
+
+function parseKey(key) {
+  const [scope, name, ...args] = key.split('|');
+  return { scope, name, args };
+}
+
+restore();
+
+/**
+ * Build the cache scope for a contract (chain + address)
+ * @param {ethers.Contract} contract
+ * @returns {string}
+ */
+export function getQueryScope(contract) {
+  return `${getActiveChainId()}:${String(contract.target).toLowerCase()}`;
+}
+
+/**
+ * Build a cache key
+ * @param {string} scope - From getQueryScope
+ * @param {string} name - Query name, e.g. 'hackathon'
+ * @param {...any} args - Query arguments (hackathon ID first when there is one)
+ * @returns {string}
+ */
+export function queryKey(scope, name, ...args) {
+  return [scope, name, ...args.map(String)].join('|');
+}
+
+/**
+ * Read cached data without fetching
+ * @returns {any} Data or undefined
+ */
+export function getQueryData(key) {
+  return entries.get(key)?.data;
+}
+
+/**
+ * Write data into the cache (e.g. after a live event) and notify subscribers
+ * @param {string} key
+ * @param {any|Function} updater - New data or (previous) => new data
+ */
+export function setQueryData(key, updater) {
+  const previous = entries.get(key)?.data;
+  const data = typeof updater === 'function' ? updater(previous) : updater;
+
+  entries.set(key, { data, updatedAt: Date.now(), stale: false, invalidated: false });
+  notify(key, data);
+  schedulePersist();
+}
+
+function revalidate(key) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const fetcher = fetchers.get(key);
+  const promise = fetcher()
+    .then(data => {
+      setQueryData(key, data);
+      return data;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Get query data, stale-while-revalidate
+ *
+ * @param {string} key - From queryKey
+ * @param {Function} fetcher - Async loader
+ * @param {Object} [options]
+ * @param {number} [options.staleTime] - Freshness window in ms
+ * @param {boolean} [options.force] - Skip the cache and wait for the network
+ * @returns {Promise<any>}
+ */
+export async function fetchQuery(key, fetcher, { staleTime = DEFAULT_STALE_TIME, force = false } = {}) {
+  fetchers.set(key, fetcher);
+  const entry = entries.get(key);
+
+  if (!entry || force || entry.invalidated) {
+    return revalidate(key);
+  }
+
+  if (entry.stale || Date.now() - entry.updatedAt > staleTime) {
+    revalidate(key).catch(error => {
+      console.warn(`⚠️ Background revalidation failed for ${key}:`, error);
+    });
+  }
+
+  return entry.data;
+}
+
+/**
+ * Listen for new data on a key (background revalidation, setQueryData)
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeQuery(key, listener) {
+  if (!listeners.has(key)) {
+    listeners.set(key, new Set());
+  }
+  listeners.get(key).add(listener);
+
+  return () => {
+    const set = listeners.get(key);
+    set?.delete(listener);
+    if (set?.size === 0) listeners.delete(key);
+  };
+}
+
+/**
+ * Mark matching entries stale; subscribed ones refetch right away
+ * @param {Function} predicate - Receives { scope, name, args }
+ * @param {{refetchActive?: boolean}} [options] - Pass false when state was already patched
+ */
+export function invalidateQueries(predicate, { refetchActive = true } = {}) {
+  entries.forEach((entry, key) => {
+    if (!predicate(parseKey(key))) return;
+
+    entry.stale = true;
+    entry.invalidated = true;
+    if (refetchActive && listeners.has(key) && fetchers.has(key)) {
+      revalidate(key).catch(error => {
+        console.warn(`⚠️ Revalidation failed for ${key}:`, error);
+      });
+    }
+  });
+}
+
+/**
+ * Invalidate everything a change to one hackathon can affect
+ * @param {string} scope - From getQueryScope
+ * @param {number|string|null} [hackathonId] - Omit to only invalidate the listings
+ * @param {{refetchActive?: boolean}} [options]
+ */
+export function invalidateHackathonQueries(scope, hackathonId = null, options) {
+  invalidateQueries(({ scope: entryScope, name, args }) =>
+    entryScope === scope && (
+      HACKATHON_LIST_QUERIES.includes(name)
+      || (hackathonId !== null && args[0] === String(hackathonId))
+    ),
+    options
+  );
+}
+
+/**
+ * Drop every cached entry (memory and sessionStorage)
+ */
+export function clearQueryCache() {
+  entries.clear();
+  getStorage()?.removeItem(STORAGE_KEY);
+}
@@ -0,0 +1,315 @@
+/**
+ * Transaction manager
+ *
+ * Every write goes through sendTransaction(), which:
+ *   1. queues the wallet request, so prompts (and nonces) come one at a time
+ *   2. records the transaction in localStorage as soon as it has a hash
+ *   3. waits for the receipt, following speed-ups and cancellations
+ *
+ * Pending records survive a reload: resumePendingTransactions() picks them
+ * up again through the read-only provider of their chain, so no wallet is
+ * needed. A speed-up (same call, higher fee) counts as confirmed under the
+ * replacement hash; a cancellation or any other replacement fails the action.
+ */
+
+import { isError } from 'ethers';
+import { getReadOnlyProvider, parseContractError } from './contract';
+import { sleep } from './helpers';
+
+const STORAGE_KEY = 'zackathon-transactions';
+
+export const TX_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  REPLACED: 'replaced',
+  DROPPED: 'dropped',
+};
+
+/**
+ * Finished records kept for the history list
+ */
+const MAX_HISTORY = 20;
+
+/**
+ * Finished records older than this are dropped on load
+ */
+const HISTORY_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * A resumed transaction the network has never heard of is given up after this
+ */
+const DROP_AFTER_MS = 60 * 60 * 1000;
+
+const RESUME_POLL_MS = 5000;
+
+// id (hash of the first broadcast) -> record
+const records = new Map();
+const listeners = new Set();
+// ids currently awaited (live or resumed)
+const watching = new Set();
+
+let snapshot = [];
+let sendQueue = Promise.resolve();
+
+function getStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+function persist() {
+  try {
+    getStorage()?.setItem(STORAGE_KEY, JSON.stringify([...records.values()]));
+  } catch (error) {
+    console.warn('⚠️ Could not persist transactions:', error);
+  }
+}
+
+function emit() {
+  snapshot = [...records.values()].sort((a, b) => b.createdAt - a.createdAt);
+  persist();
+  listeners.forEach(listener => listener(snapshot));
+}
+
+function prune() {
+  const finished = [...records.values()]
+    .filter(record => record.status !== TX_STATUS.PENDING)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+
+  finished.forEach((record, index) => {
+    if (index >= MAX_HISTORY || Date.now() - record.updatedAt > HISTORY_MAX_AGE) {
+      records.delete(record.id);
+    }
+  });
+}
+
+function update(id, changes) {
+  const record = records.get(id);
+  if (!record) return;
+
+  records.set(id, { ...record, ...changes, updatedAt: Date.now() });
+  if (changes.status && changes.status !== TX_STATUS.PENDING) {
+    prune();
+  }
+  emit();
+}
+
+function restore() {
+  const storage = getStorage();
+  if (!storage) return;
+
+  try {
+    JSON.parse(storage.getItem(STORAGE_KEY) || '[]').forEach(record => {
+      // Nothing in this session awaits them, so the UI announces their outcome
+      records.set(record.id, record.status === TX_STATUS.PENDING ? { ...record, resumed: true } : record);
+    });
+    prune();
+    snapshot = [...records.values()].sort((a, b) => b.createdAt - a.createdAt);
+  } catch (error) {
+    console.warn('⚠️ Could not restore transactions:', error);
+    storage.removeItem(STORAGE_KEY);
+  }
+}
+
+restore();
+
+/**
+ * Wait for a broadcast transaction and settle its record
+ * @returns {Promise<ethers.TransactionReceipt>}
+ */
+async function track(id, tx) {
+  watching.add(id);
+
+  try {
+    const receipt = await tx.wait();
+    update(id, { status: TX_STATUS.CONFIRMED, blockNumber: receipt.blockNumber });
+    console.log('✓ Transaction confirmed!');
+    console.log('  → Block number:', receipt.blockNumber);
+    console.log('  → Gas used:', receipt.gasUsed.toString());
+    return receipt;
+  } catch (error) {
+    if (isError(error, 'TRANSACTION_REPLACED')) {
+      const replacedHash = records.get(id)?.hash;
+
+      if (error.reason === 'repriced' && error.receipt?.status === 1) {
+        console.log('⚡ Transaction sped up:', replacedHash, '→', error.hash);
+        update(id, {
+          status: TX_STATUS.CONFIRMED,
+          hash: error.hash,
+          replacedHash,
+          blockNumber: error.receipt.blockNumber,
+        });
+        return error.receipt;
+      }
+
+      const cancelled = error.reason === 'cancelled';
+      console.warn(`⚠️ Transaction ${cancelled ? 'cancelled' : 'replaced'}:`, replacedHash, '→', error.hash);
+      update(id, {
+        status: error.reason === 'repriced' ? TX_STATUS.FAILED : cancelled ? TX_STATUS.CANCELLED : TX_STATUS.REPLACED,
+        hash: error.hash,
+        replacedHash,
+        blockNumber: error.receipt?.blockNumber ?? null,
+      });
+      throw new Error(cancelled
+        ? 'Transaction was cancelled in the wallet'
+        : 'Transaction was replaced by another transaction from this account');
+    }
+
+    if (isError(error, 'CALL_EXCEPTION')) {
+      update(id, { status: TX_STATUS.FAILED, error: parseContractError(error) });
+    } else {
+      // Lost track (e.g. RPC hiccup), but the transaction may still land
+      console.warn('⚠️ Lost track of transaction, resuming in the background:', error);
+      update(id, { resumed: true });
+      watching.delete(id);
+      resumeTransaction(id);
+    }
+
+    console.error('❌ Transaction failed:', error);
+    throw error;
+  } finally {
+    if (records.get(id)?.status !== TX_STATUS.PENDING) {
+      watching.delete(id);
+    }
+  }
+}
+
+/**
+ * Follow a pending record without its original TransactionResponse
+ */
+async function resumeTransaction(id) {
+  if (watching.has(id)) return;
+  watching.add(id);
+
+  const { chainId, from, nonce, hash, createdAt } = records.get(id);
+  const provider = getReadOnlyProvider(chainId);
+
+  if (!provider) {
+    watching.delete(id);
+    return;
+  }
+
+  console.log('🔁 Resuming transaction:', hash);
+
+  while (records.get(id)?.status === TX_STATUS.PENDING) {
+    try {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        update(id, {
+          status: receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED,
+          blockNumber: receipt.blockNumber,
+        });
+        break;
+      }
+
+      const response = await provider.getTransaction(hash);
+      if (response) {
+        // Still in the mempool, so any replacement lands from this block on
+        const head = await provider.getBlockNumber();
+        watching.delete(id);
+        await track(id, response.replaceableTransaction(head)).catch(() => {});
+        return;
+      }
+
+      // Unknown to the node: our nonce being used means something else replaced it
+      if (await provider.getTransactionCount(from, 'latest') > nonce) {
+        update(id, { status: TX_STATUS.REPLACED, error: 'Replaced while the app was closed' });
+        break;
+      }
+
+      if (Date.now() - createdAt > DROP_AFTER_MS) {
+        update(id, { status: TX_STATUS.DROPPED, error: 'Dropped by the network' });
+        break;
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not check transaction ${hash}:`, error?.shortMessage || error);
+    }
+
+    await sleep(RESUME_POLL_MS);
+  }
+
+  watching.delete(id);
+}
+
+/**
+ * Send a transaction through the manager and wait for it
+ *
+ * @param {Function} send - Returns the ethers TransactionResponse, e.g. () => contract.grantJudgeAccessBatch(id, 0, 10)
+ * @param {Object} [options]
+ * @param {string} [options.description] - Shown in the pending transactions list
+ * @param {number|string} [options.hackathonId] - Hackathon the transaction belongs to
+ * @param {Function} [options.onSubmitted] - Called with the response once it has a hash
+ * @returns {Promise<ethers.TransactionReceipt>} Receipt (of the replacement after a speed-up)
+ */
+export async function sendTransaction(send, { description = 'Transaction', hackathonId = null, onSubmitted } = {}) {
+  const submitted = sendQueue.then(() => send());
+  sendQueue = submitted.catch(() => {});
+
+  const tx = await submitted;
+  const chainId = Number(tx.chainId);
+
+  console.log('⏳ Waiting for transaction confirmation...');
+  console.log('  → Transaction hash:', tx.hash);
+
+  records.set(tx.hash, {
+    id: tx.hash,
+    hash: tx.hash,
+    chainId,
+    from: tx.from,
+    nonce: tx.nonce,
+    description,
+    hackathonId: hackathonId === null ? null : String(hackathonId),
+    status: TX_STATUS.PENDING,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  });
+  emit();
+
+  onSubmitted?.(tx);
+  return track(tx.hash, tx);
+}
+
+/**
+ * Resume tracking every pending record restored from localStorage
+ * Safe to call repeatedly; records already being watched are skipped.
+ */
+export function resumePendingTransactions() {
+  records.forEach(record => {
+    if (record.status === TX_STATUS.PENDING && !watching.has(record.id)) {
+      resumeTransaction(record.id);
+    }
+  });
+}
+
+/**
+ * Current records, newest first (stable between changes)
+ * @returns {Object[]}
+ */
+export function getTransactions() {
+  return snapshot;
+}
+
+/**
+ * Listen for record changes
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeTransactions(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Remove every finished record
+ */
+export function clearFinishedTransactions() {
+  records.forEach(record => {
+    if (record.status !== TX_STATUS.PENDING) {
+      records.delete(record.id);
+    }
+  });
+  emit();
+}
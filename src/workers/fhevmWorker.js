@@ -0,0 +1,105 @@
+/**
+ * FHEVM encryption worker
+ *
+ * Owns its own relayer SDK instances so that building encrypted inputs and
+ * generating their ZK proofs never blocks the UI thread. Every request
+ * carries the instance config it needs, and one instance is kept per config,
+ * so requests for different chains never share ACL/KMS addresses.
+ *
+ * Protocol (see src/utils/fhevmWorkerClient.js):
+ *   → { id, type: 'encrypt', sdkUrl, config, contractAddress, userAddress, values: [{ bits, value }] }
+ *   ← { id, type: 'progress', stage }
+ *   ← { id, type: 'result', result }
+ *   ← { id, type: 'error', error }
+ */
+
+let sdkPromise = null;
+
+// Instance promises keyed by their serialized config
+const instances = new Map();
+
+const ADDERS = {
+  8: 'add8',
+  16: 'add16',
+  32: 'add32',
+  64: 'add64',
+  128: 'add128',
+  256: 'add256',
+};
+
+function post(id, type, payload = {}) {
+  self.postMessage({ id, type, ...payload });
+}
+
+function loadSDK(sdkUrl) {
+  if (!sdkPromise) {
+    sdkPromise = (async () => {
+      if (!self.relayerSDK) {
+        self.importScripts(sdkUrl);
+      }
+      await self.relayerSDK.initSDK();
+    })();
+
+    sdkPromise.catch(() => {
+      sdkPromise = null;
+    });
+  }
+
+  return sdkPromise;
+}
+
+function getInstance(id, sdkUrl, config) {
+  const key = JSON.stringify(config);
+
+  if (!instances.has(key)) {
+    const instancePromise = (async () => {
+      post(id, 'progress', { stage: 'loading' });
+      await loadSDK(sdkUrl);
+      return self.relayerSDK.createInstance(config);
+    })();
+
+    instancePromise.catch(() => {
+      instances.delete(key);
+    });
+    instances.set(key, instancePromise);
+  }
+
+  return instances.get(key);
+}
+
+async function encrypt(id, { sdkUrl, config, contractAddress, userAddress, values }) {
+  const instance = await getInstance(id, sdkUrl, config);
+
+  post(id, 'progress', { stage: 'encrypting' });
+
+  const buffer = instance.createEncryptedInput(contractAddress, userAddress);
+
+  for (const { bits, value } of values) {
+    const adder = ADDERS[bits];
+    if (!adder) {
+      throw new Error(`Unsupported encrypted input size: ${bits}`);
+    }
+    buffer[adder](BigInt(value));
+  }
+
+  post(id, 'progress', { stage: 'proving' });
+
+  const { handles, inputProof } = await buffer.encrypt();
+
+  return { handles, inputProof };
+}
+
+self.onmessage = async (event) => {
+  const { id, type, ...payload } = event.data;
+
+  try {
+    if (type === 'encrypt') {
+      const result = await encrypt(id, payload);
+      post(id, 'result', { result });
+    } else {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+  } catch (error) {
+    post(id, 'error', { error: error?.message || String(error) });
+  }
+};